@@ -0,0 +1,157 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { sideSequence } from './assessmentEngine';
+import { createTranslator } from './messages';
+import { drawOverlay } from './overlay';
+import { createRemoteChannel, createRemoteView, remoteViewReducer } from './remoteChannel';
+
+const buttonStyle = (background, disabled) => ({
+  backgroundColor: background,
+  color: 'white',
+  border: 'none',
+  padding: '10px 20px',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  fontWeight: '600',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.5 : 1
+});
+
+const CHECKS = ['detected', 'shoulderTouching', 'correctAngle', 'elbowExtended'];
+
+// Remote clinician view of a patient's assessment (see remoteChannel.js). Shows
+// the patient's keypoints with the same overlay, the run's status and each arm's
+// checks, and lets the clinician start, reset or move on to the next side.
+// url: the relay's WebSocket URL; sessionId: the session the patient joined
+// createSocket: optional WebSocket factory, e.g. a local stand-in
+const ClinicianView = ({ url, sessionId, locale = 'en', messages = null, createSocket }) => {
+  const canvasRef = useRef(null);
+  const channelRef = useRef(null);
+  const [view, setView] = useState(createRemoteView);
+  const [connection, setConnection] = useState('connecting');
+  const t = createTranslator(locale, messages);
+
+  // Connect to the relay for as long as the view is open
+  useEffect(() => {
+    const channel = createRemoteChannel({
+      url,
+      sessionId,
+      role: 'clinician',
+      onMessage: message => setView(current => remoteViewReducer(current, message)),
+      onStatus: setConnection,
+      createSocket
+    });
+    channelRef.current = channel;
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [url, sessionId]);
+
+  // Redraw the overlay from the patient's latest frame
+  useEffect(() => {
+    const { frame, engine } = view;
+    if (!frame || !canvasRef.current) return;
+    canvasRef.current.width = frame.videoWidth;
+    canvasRef.current.height = frame.videoHeight;
+    drawOverlay(canvasRef.current.getContext('2d'), frame, engine);
+  }, [view.frame, view.engine]);
+
+  const sendCommand = command => channelRef.current && channelRef.current.send({ type: 'command', command });
+
+  const { status, engine, patientConnected } = view;
+  const phase = status ? status.phase : 'idle';
+  const running = phase === 'running' || phase === 'calibrating';
+  const canSwitch = phase === 'running' && status.sideIndex < sideSequence(engine.protocol).length - 1;
+  const sides = status && status.currentSide === 'both' ? ['right', 'left'] : [status ? status.currentSide : null];
+  const controlsDisabled = connection !== 'open' || !patientConnected;
+
+  return (
+    <div lang={locale} dir={t.direction} style={{
+      maxWidth: '800px',
+      margin: '0 auto',
+      padding: '20px',
+      fontFamily: "'Inter', sans-serif",
+      color: '#2d3748'
+    }}>
+      <h2 style={{ marginTop: 0 }}>{t('clinician.title')}</h2>
+      <p role="status" aria-live="polite" style={{ color: '#4a5568' }}>
+        {connection !== 'open' && t(`clinician.connection.${connection}`)}
+        {connection === 'open' && t(patientConnected ? 'clinician.patientConnected' : 'clinician.waitingForPatient')}
+      </p>
+
+      {/* Keypoints only: the video itself isn't streamed */}
+      <div dir="ltr" style={{
+        position: 'relative',
+        borderRadius: '12px',
+        overflow: 'hidden',
+        background: '#1f2937',
+        aspectRatio: view.frame ? `${view.frame.videoWidth}/${view.frame.videoHeight}` : '4/3',
+        marginBottom: '16px'
+      }}>
+        <canvas
+          ref={canvasRef}
+          style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%' }}
+        />
+      </div>
+
+      {status && (
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '16px',
+          background: '#f8fafc',
+          padding: '12px 16px',
+          borderRadius: '8px',
+          marginBottom: '16px'
+        }}>
+          <span>{t(`clinician.phase.${phase}`)}</span>
+          {phase === 'running' && <span>{t('timer.side', { arm: t(`arm.${status.currentSide}`) })}</span>}
+          {phase === 'running' && <span>{t('timer.remaining', { seconds: status.timeLeft })}</span>}
+          {status.holdCountdown !== null && (
+            <span>{t('timer.hold', {
+              held: engine.protocol.holdDuration - status.holdCountdown,
+              total: engine.protocol.holdDuration
+            })}</span>
+          )}
+        </div>
+      )}
+
+      {status && phase === 'running' && (
+        <ul style={{ listStyle: 'none', padding: 0, margin: '0 0 16px' }}>
+          {sides.map(side => (
+            <li key={side} style={{ marginBottom: '4px' }}>
+              <strong>{t(`arm.${side}`)}:</strong>{' '}
+              {CHECKS.map(check => `${status.handStates[side][check] ? '✓' : '✗'} ${t(`clinician.check.${check}`)}`).join(' · ')}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+        <button
+          onClick={() => sendCommand('start')}
+          disabled={controlsDisabled || running}
+          style={buttonStyle('#6366f1', controlsDisabled || running)}
+        >
+          {t('clinician.start')}
+        </button>
+        <button
+          onClick={() => sendCommand('switchSide')}
+          disabled={controlsDisabled || !canSwitch}
+          style={buttonStyle('#0ea5e9', controlsDisabled || !canSwitch)}
+        >
+          {t('clinician.switchSide')}
+        </button>
+        <button
+          onClick={() => sendCommand('reset')}
+          disabled={controlsDisabled}
+          style={buttonStyle('#ef4444', controlsDisabled)}
+        >
+          {t('clinician.reset')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClinicianView;
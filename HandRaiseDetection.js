@@ -1,306 +1,859 @@
 import React, { useRef, useState, useEffect } from 'react';
-import * as tf from '@tensorflow/tfjs';
-import '@tensorflow/tfjs-backend-webgl';
-import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
-import * as poseDetection from '@tensorflow-models/pose-detection';
 import Webcam from 'react-webcam';
+import {
+  DEFAULT_PROTOCOL,
+  assessmentReducer,
+  createAssessmentState,
+  createProtocol,
+  getAssessmentResult,
+  sideSequence
+} from './assessmentEngine';
+import {
+  DEFAULT_CAMERA,
+  buildVideoConstraints,
+  classifyCameraError,
+  isBackCamera,
+  isPortrait,
+  listCameras,
+  streamDeviceId,
+  watchCameraEnded
+} from './camera';
+import { outwardDirection } from './coordinates';
+import { createTfjsDetector } from './detectors';
+import { buildFaceFrame, createFaceState, faceReducer } from './faceDroop';
+import { createFineMotorProtocol, createFineMotorState, currentFineMotorStep, fineMotorReducer } from './fineMotor';
+import { createFrameLoop } from './frameLoop';
+import { createClipRecorder, downloadClip } from './clipRecorder';
+import { captureSnapshot, describeFineMotor, describeRangeOfMotion, downloadText, printReport, toFhirBundle, toHtmlReport, toSamplesCsv } from './exporters';
+import { measureBrightness } from './frameQuality';
+import { buildFrame } from './frames';
+import { lifecycleEvents } from './lifecycleEvents';
+import { createTranslator } from './messages';
+import SessionHistory from './SessionHistory';
+import { DEFAULT_PATIENT_ID, createSessionHistory } from './historyStore';
+import {
+  drawFaceOverlay,
+  drawFineMotorOverlay,
+  drawOverlay,
+  drawRangeOfMotionOverlay,
+  OVERLAY_COLORS as colors
+} from './overlay';
+import { createRomProtocol, createRomState, currentRomStep, romReducer } from './rangeOfMotion';
+import { createRemoteChannel, toRemoteStatus } from './remoteChannel';
+import { createSessionRecorder, downloadRecording, toEngineEvent } from './sessionRecording';
+import { createSpeechGuide } from './speech';
+import { useFocusTrap } from './useFocusTrap';
+import { createWorkerDetector, isWorkerInferenceSupported } from './workerDetector';
 
-const MotorWeaknessAssessment = ({ onComplete }) => {
+// record: save the per-frame detector output for download
+// recordClip: record the camera with the overlay as a video clip, marking side
+// switches and hold breaks; offered for download and passed to onComplete
+// replay: a parsed recording to run instead of the camera
+// detector: a detector provider (see detectors.js); defaults to TensorFlow.js with poseModel
+// poseModel: one of POSE_MODELS (see detectors.js); only 'movenet-multipose' sees
+// other people in the frame, so the other-people check needs it
+// inferenceWorker: run the default detector in a Web Worker where supported
+// (see workerDetector.js)
+// onMetrics: called about once a second with the detection loop's frame rate and
+// latency (see frameLoop.js); showMetrics also shows them over the video
+// armTracking: 'hands' pairs MediaPipeHands wrists with the pose, 'pose' uses the
+// pose model's own elbow and wrist keypoints only
+// protocol: overrides for DEFAULT_PROTOCOL (see assessmentEngine.js), e.g.
+// { holdDuration: 20, sideOrder: 'left-first', attempts: 3 }; replays use the
+// protocol they were recorded with
+// includeFace: run the facial droop (smile) step before the arms; skipped on replay
+// and with a detector that has no estimateFaces
+// fineMotor: run the fine-motor hand tests (see fineMotor.js) after the face step
+// and before the arms; true for all of them, or overrides for
+// DEFAULT_FINE_MOTOR_PROTOCOL, e.g. { tests: ['fingerTap'] }; skipped on replay
+// rangeOfMotion: measure how far each arm raises in abduction and forward flexion
+// (see rangeOfMotion.js) after the hand tests and before the arm hold; true, or
+// overrides for DEFAULT_ROM_PROTOCOL, e.g. { movements: ['abduction'] }; skipped on replay
+// speech: read the guidance and hold countdown aloud (Web Speech API)
+// locale: language of the patient-facing text (see messages.js); messages
+// overrides individual strings for that locale
+// saveHistory: store finished runs on the device (IndexedDB) under patientId and
+// offer the history view; replays are never stored
+// fhirPatientReference: subject of the exported FHIR Observation, e.g. 'Patient/123'
+// onEvent: called with each lifecycle event (models loaded or failed, detection
+// failing, start, arm detected or lost, position reached, hold broken and why,
+// side completed or switched, timed out, reset), with a timestamp and the current
+// measurements (see lifecycleEvents.js)
+// remote: { url, sessionId } of a relay (see relayServer.js) to stream the run to a
+// remote clinician (ClinicianView), who can also start, reset and switch sides
+// camera: overrides for DEFAULT_CAMERA (see camera.js), e.g. { facingMode:
+// 'environment', width: 1280, height: 720 }; the patient can also pick a camera
+// before starting
+
+// Build the protocols, or keep the validation error to show instead of the assessment.
+// fineMotorProtocol and romProtocol are null when those steps are off.
+const resolveProtocol = (overrides, fineMotorOverrides, romOverrides) => {
+  const optional = (create, stepOverrides) => (stepOverrides ? create(stepOverrides === true ? {} : stepOverrides) : null);
+  try {
+    return {
+      protocol: createProtocol(overrides || {}),
+      fineMotorProtocol: optional(createFineMotorProtocol, fineMotorOverrides),
+      romProtocol: optional(createRomProtocol, romOverrides),
+      protocolError: null
+    };
+  } catch (error) {
+    return { protocol: DEFAULT_PROTOCOL, fineMotorProtocol: null, romProtocol: null, protocolError: error };
+  }
+};
+
+// Steps that run before the arm hold, in order
+const PRE_ARM_STEPS = ['face', 'fineMotor', 'rangeOfMotion'];
+
+const MAX_DETECTION_FAILURES = 30; // Frames in a row the detector may fail before it is reported
+
+const MotorWeaknessAssessment = ({
+  onComplete,
+  record = false,
+  recordClip = false,
+  replay = null,
+  detector: detectorProp = null,
+  inferenceWorker = true,
+  onMetrics = null,
+  showMetrics = false,
+  poseModel = 'movenet-thunder',
+  armTracking = 'hands',
+  protocol: protocolOverrides = null,
+  includeFace = false,
+  fineMotor: fineMotorOverrides = false,
+  rangeOfMotion: romOverrides = false,
+  speech = false,
+  locale = 'en',
+  messages = null,
+  saveHistory = false,
+  patientId = DEFAULT_PATIENT_ID,
+  fhirPatientReference = null,
+  remote = null,
+  onEvent = null,
+  camera: cameraOverrides = null
+}) => {
   // Refs
   const webcamRef = useRef(null);
   const canvasRef = useRef(null);
+  const engineRef = useRef(createAssessmentState(DEFAULT_PROTOCOL)); // Latest engine state for the detection loop
+  const faceEngineRef = useRef(createFaceState()); // Latest facial droop step state
+  const fineMotorRef = useRef(createFineMotorState()); // Latest fine-motor hand tests state
+  const romRef = useRef(createRomState()); // Latest range-of-motion step state
+  const recorderRef = useRef(createSessionRecorder());
+  const clipRecorderRef = useRef(createClipRecorder());
+  const speechRef = useRef(null);
+  const startDialogRef = useRef(null);
+  const completionDialogRef = useRef(null);
+  const historyDialogRef = useRef(null);
+  const historyRef = useRef(null);
+  const detectRef = useRef(null); // Latest per-frame detection step, for the frame loop
+  const detectErrorRef = useRef(null); // Latest handler for a failed detection step
+  const remoteRef = useRef(null); // Channel to the remote clinician, while connected
+  const remoteMessageRef = useRef(null); // Latest handler for the clinician's messages
+  const onEventRef = useRef(onEvent); // Latest onEvent, for callbacks set up in effects
+  onEventRef.current = onEvent;
+  const unwatchCameraRef = useRef(null); // Stops watching the open camera for disconnects
+  const cameraEndedRef = useRef(null); // Latest handler for the camera going away
   
   // State
-  const [holdCountdown, setHoldCountdown] = useState(null);
-  const [isComplete, setIsComplete] = useState(false);
-  const [handDetector, setHandDetector] = useState(null);
-  const [poseDetector, setPoseDetector] = useState(null);
+  const [detector, setDetector] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [handStates, setHandStates] = useState({
-    left: { detected: false, correctAngle: false, shoulderTouching: false },
-    right: { detected: false, correctAngle: false, shoulderTouching: false }
-  });
+  const [loadError, setLoadError] = useState(null);
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [assessment, setAssessment] = useState(engineRef.current);
+  const [faceStep, setFaceStep] = useState(faceEngineRef.current);
+  const [fineMotorStep, setFineMotorStep] = useState(fineMotorRef.current);
+  const [romStep, setRomStep] = useState(romRef.current);
   const [showStartModal, setShowStartModal] = useState(true);
-  const [timeLeft, setTimeLeft] = useState(60);
-  const [challengeStarted, setChallengeStarted] = useState(false);
   const [showCompletionModal, setShowCompletionModal] = useState(false);
-  const [holdDuration] = useState(10); // Need to hold for 10 seconds
-  const [currentSide, setCurrentSide] = useState('right'); // Start with right side
+  const [result, setResult] = useState(null);
+  const [recording, setRecording] = useState(null);
+  const [videoSize, setVideoSize] = useState(null); // { width, height } of the latest frame
+  const [showHistory, setShowHistory] = useState(false);
+  const [snapshot, setSnapshot] = useState(null);
+  const [clip, setClip] = useState(null);
+  const [clipPending, setClipPending] = useState(false); // The clip is still being finalized
+  const [clipFailed, setClipFailed] = useState(false);
+  const [resultError, setResultError] = useState(null); // Message key for a failed export
+  const [historySaveFailed, setHistorySaveFailed] = useState(false);
+  const [metrics, setMetrics] = useState(null);
+  const [clinicianConnected, setClinicianConnected] = useState(false);
+  const [cameraError, setCameraError] = useState(null); // One of CAMERA_ERRORS
+  const [cameraAttempt, setCameraAttempt] = useState(0);
+  const [cameras, setCameras] = useState([]);
+  const [deviceId, setDeviceId] = useState(null); // Camera picked by the patient
+  const [activeCameraId, setActiveCameraId] = useState(null); // Camera the stream came from
+  const [backCamera, setBackCamera] = useState(false);
+  const [portrait, setPortrait] = useState(isPortrait);
 
   // Configuration
-  const detectionLineY = 0.7; // Shoulder line position (70% down the screen)
-  const targetAngle = 45; // 45 degrees from shoulder
-  const angleTolerance = 15; // ±15 degrees tolerance
-  const colors = {
-    right: '#4CAF50',
-    left: '#FF5252',
-    line: '#3B82F6',
-    target: 'rgba(251, 191, 36, 0.7)'
+  const { protocol, fineMotorProtocol, romProtocol, protocolError } = resolveProtocol(
+    replay && replay.protocol ? replay.protocol : protocolOverrides,
+    fineMotorOverrides,
+    romOverrides
+  );
+  // estimateFaces is optional for custom detectors (see detectors.js); without it
+  // the face step is skipped and the result says why
+  const faceUnsupported = includeFace && !replay && Boolean(detector) && typeof detector.estimateFaces !== 'function';
+  const runSteps = {
+    face: includeFace && !replay && !faceUnsupported,
+    fineMotor: fineMotorProtocol !== null && !replay,
+    rangeOfMotion: romProtocol !== null && !replay
+  };
+  const { holdDuration, timeLimit, targetAngles, attempts } = protocol;
+  const bilateral = protocol.sideOrder === 'bilateral';
+  const firstSide = sideSequence(protocol)[0];
+  const t = createTranslator(locale, messages);
+  const targetText = targetAngles.right === targetAngles.left
+    ? t('angle.single', { angle: targetAngles.right })
+    : t('angle.split', targetAngles);
+  const camera = { ...DEFAULT_CAMERA, ...cameraOverrides, ...(deviceId ? { deviceId } : {}) };
+  const mirrored = !backCamera; // Selfie view for front cameras; keypoints are mapped to match (see coordinates.js)
+  // Side pills in the order the arms appear across the picture, left to right
+  const pillSides = ['left', 'right'].sort((a, b) => outwardDirection(a, mirrored) - outwardDirection(b, mirrored));
+
+  // Values derived from the engine state
+  const { phase, currentSide, handStates } = assessment;
+  const isCalibrating = phase === 'calibrating';
+  const challengeStarted = phase === 'running';
+  const faceActive = faceStep.phase === 'capturing';
+  const handTest = currentFineMotorStep(fineMotorStep); // { test, side } while the hand tests run
+  const romMovement = currentRomStep(romStep); // { movement, side } while range of motion is measured
+  const sessionActive = faceActive || handTest !== null || romMovement !== null || isCalibrating || challengeStarted; // Detection runs in all of them
+  const timeLeft = Math.ceil(assessment.timeLeft);
+  const holdCountdown = assessment.holdStartedAt !== null
+    ? Math.ceil(holdDuration - assessment.holdElapsed)
+    : null;
+
+  // Feed an event to the engine and publish the new state
+  const dispatch = (event) => {
+    const previous = engineRef.current;
+    engineRef.current = assessmentReducer(previous, event);
+    setAssessment(engineRef.current);
+    const events = lifecycleEvents(previous, engineRef.current, event, event.timestamp ?? Date.now());
+    markClip(events);
+    events.forEach(emitEvent);
+    if (remoteRef.current) {
+      remoteRef.current.send({ type: 'event', event, status: toRemoteStatus(engineRef.current) });
+    }
   };
 
+  // Pass a lifecycle event on to the host
+  const emitEvent = (event) => {
+    if (onEventRef.current) onEventRef.current(event);
+  };
+
+  const dispatchFace = (event) => {
+    faceEngineRef.current = faceReducer(faceEngineRef.current, event);
+    setFaceStep(faceEngineRef.current);
+  };
+
+  const dispatchFineMotor = (event) => {
+    fineMotorRef.current = fineMotorReducer(fineMotorRef.current, event);
+    setFineMotorStep(fineMotorRef.current);
+  };
+
+  const dispatchRom = (event) => {
+    romRef.current = romReducer(romRef.current, event);
+    setRomStep(romRef.current);
+  };
+
+  // Hand tracking is needed for the wrists in 'hands' mode and for the fine-motor test
+  const trackHands = armTracking === 'hands' || Boolean(fineMotorOverrides);
+
   // Load models
   useEffect(() => {
-    const loadModels = async () => {
-      await tf.ready();
-      
-      // Load hand detector
-      const handModel = handPoseDetection.SupportedModels.MediaPipeHands;
-      const handDetectorConfig = {
-        runtime: 'tfjs',
-        modelType: 'full',
-        maxHands: 2
-      };
-      const handDetector = await handPoseDetection.createDetector(handModel, handDetectorConfig);
-      
-      // Load pose detector
-      const poseModel = poseDetection.SupportedModels.MoveNet;
-      const poseDetectorConfig = {
-        modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
-        enableSmoothing: true
-      };
-      const poseDetector = await poseDetection.createDetector(poseModel, poseDetectorConfig);
-      
-      setHandDetector(handDetector);
-      setPoseDetector(poseDetector);
+    // Replays run on recorded detections, no models needed
+    if (replay) {
       setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    const options = { poseModel, trackHands, trackFace: includeFace };
+    const useWorker = inferenceWorker && isWorkerInferenceSupported();
+    const provider = detectorProp || (useWorker ? createWorkerDetector(options) : createTfjsDetector(options));
+
+    const loadModels = async () => {
+      setIsLoading(true);
+      setLoadError(null);
+      try {
+        await provider.load();
+        if (cancelled) return;
+        setDetector(provider);
+        emitEvent({
+          type: 'modelsLoaded',
+          timestamp: Date.now(),
+          model: provider.name,
+          backend: provider.backend,
+          measurements: engineRef.current.measurements
+        });
+        setIsLoading(false);
+      } catch (error) {
+        if (cancelled) return;
+        setLoadError(error);
+        emitEvent({
+          type: 'modelsFailed',
+          timestamp: Date.now(),
+          error: error.message,
+          measurements: engineRef.current.measurements
+        });
+      }
     };
 
     loadModels();
 
     return () => {
-      if (handDetector) handDetector.dispose();
-      if (poseDetector) poseDetector.dispose();
+      cancelled = true;
+      setDetector(null);
+      provider.dispose();
     };
-  }, []);
+  }, [replay, detectorProp, inferenceWorker, poseModel, trackHands, includeFace, loadAttempt]);
 
-  // Timer effect
+  // Move on to the next enabled step as each one finishes
   useEffect(() => {
-    if (!challengeStarted || timeLeft <= 0) return;
+    if (faceStep.phase !== 'done') return;
+    startStepFrom('fineMotor', Date.now());
+  }, [faceStep.phase]);
 
-    const timer = setInterval(() => {
-      setTimeLeft(prev => prev - 1);
-    }, 1000);
+  useEffect(() => {
+    if (fineMotorStep.phase !== 'done') return;
+    startStepFrom('rangeOfMotion', Date.now());
+  }, [fineMotorStep.phase]);
 
-    return () => clearInterval(timer);
-  }, [challengeStarted, timeLeft]);
+  useEffect(() => {
+    if (romStep.phase !== 'done') return;
+    startArms(Date.now());
+  }, [romStep.phase]);
 
-  // Handle timer completion
+  // Show the result once the run finishes, either completed or timed out
   useEffect(() => {
-    if (timeLeft <= 0 && challengeStarted) {
-      setChallengeStarted(false);
-      if (isComplete) {
-        setShowCompletionModal(true);
-      }
+    if (phase !== 'complete' && phase !== 'timedOut') return;
+    const finished = {
+      ...getAssessmentResult(engineRef.current),
+      face: faceEngineRef.current.result,
+      fineMotor: fineMotorRef.current.result,
+      rangeOfMotion: romRef.current.result
+    };
+    setResult(finished);
+    // Freeze the last frame and its overlay for the printable report
+    if (canvasRef.current && canvasRef.current.width > 0) {
+      const video = webcamRef.current ? webcamRef.current.video : null;
+      setSnapshot(captureSnapshot(video, canvasRef.current, mirrored));
+    }
+    if (saveHistory && !replay) {
+      // Without IndexedDB the run still completes, but the clinician is told it wasn't saved
+      getHistory().save(finished, patientId).catch(() => setHistorySaveFailed(true));
     }
-  }, [timeLeft, challengeStarted, isComplete]);
+    if (record && !replay) {
+      setRecording(recorderRef.current.stop(engineRef.current.endedAt));
+    }
+    if (recordClip && !replay) {
+      // Continue waits for the clip so onComplete gets it
+      setClipPending(true);
+      clipRecorderRef.current.stop()
+        .then(setClip)
+        .catch(() => setClipFailed(true))
+        .finally(() => setClipPending(false));
+    }
+    setShowCompletionModal(true);
+  }, [phase]);
+
+  // Exports of the finished run
+  const fileStem = () => `motor-assessment-${result.startedAt.replace(/[:.]/g, '-')}`;
+  const exportFhir = () => downloadText(
+    JSON.stringify(toFhirBundle(result, { patientReference: fhirPatientReference }), null, 2),
+    `${fileStem()}.fhir.json`,
+    'application/fhir+json'
+  );
+  const exportCsv = () => downloadText(toSamplesCsv(engineRef.current), `${fileStem()}.csv`, 'text/csv');
+  const openReport = () => {
+    const opened = printReport(toHtmlReport(result, {
+      snapshot,
+      patientId: patientId !== DEFAULT_PATIENT_ID ? patientId : null,
+      locale,
+      messages
+    }));
+    setResultError(opened ? null : 'result.reportBlocked');
+  };
 
-  // Detection loop
+  // Session store, opened on first use
+  const getHistory = () => {
+    if (!historyRef.current) historyRef.current = createSessionHistory();
+    return historyRef.current;
+  };
+
+  // Speech guide, created on first use since it needs the browser's synthesizer
+  const getSpeechGuide = () => {
+    if (!speechRef.current) speechRef.current = createSpeechGuide({ lang: locale });
+    return speechRef.current;
+  };
+
+  // Stop talking when speech is turned off, the language changes or the component goes away
   useEffect(() => {
-    if (!handDetector || !poseDetector || isLoading || !challengeStarted) return;
-
-    const detect = async () => {
-      if (webcamRef.current?.video?.readyState === 4) {
-        const video = webcamRef.current.video;
-        const videoWidth = video.videoWidth;
-        const videoHeight = video.videoHeight;
-
-        // Set dimensions
-        webcamRef.current.video.width = videoWidth;
-        webcamRef.current.video.height = videoHeight;
-        canvasRef.current.width = videoWidth;
-        canvasRef.current.height = videoHeight;
-        
-        // Get canvas context
-        const ctx = canvasRef.current.getContext('2d');
-        ctx.clearRect(0, 0, videoWidth, videoHeight);
-
-        // Draw detection line for shoulders
-        const shoulderLineY = videoHeight * detectionLineY;
-        ctx.strokeStyle = colors.line;
-        ctx.lineWidth = 3;
-        ctx.setLineDash([5, 5]);
-        ctx.beginPath();
-        ctx.moveTo(0, shoulderLineY);
-        ctx.lineTo(videoWidth, shoulderLineY);
-        ctx.stroke();
-        ctx.setLineDash([]);
-
-        // Detect pose (for shoulders)
-        const posePredictions = await poseDetector.estimatePoses(video);
-        let shoulders = { left: null, right: null };
-        
-        if (posePredictions.length > 0) {
-          const keypoints = posePredictions[0].keypoints;
-          // MoveNet keypoints: 5 - left shoulder, 6 - right shoulder
-          shoulders.left = keypoints[5];
-          shoulders.right = keypoints[6];
-          
-          // Draw shoulders
-          [shoulders.left, shoulders.right].forEach((shoulder, index) => {
-            if (shoulder.score > 0.3) {
-              const isLeft = index === 0;
-              ctx.fillStyle = isLeft ? colors.left : colors.right;
-              ctx.beginPath();
-              ctx.arc(shoulder.x, shoulder.y, 8, 0, 2 * Math.PI);
-              ctx.fill();
-              
-              // Draw line from shoulder to hand target position
-              const targetX = isLeft 
-                ? shoulder.x - (videoHeight * 0.3) // Left side: negative X
-                : shoulder.x + (videoHeight * 0.3); // Right side: positive X
-              const targetY = shoulder.y - (videoHeight * 0.3); // Upwards
-              
-              // Draw target circle
-              ctx.fillStyle = colors.target;
-              ctx.beginPath();
-              ctx.arc(targetX, targetY, 15, 0, 2 * Math.PI);
-              ctx.fill();
-              
-              // Draw line from shoulder to target
-              ctx.strokeStyle = isLeft ? colors.left : colors.right;
-              ctx.lineWidth = 2;
-              ctx.beginPath();
-              ctx.moveTo(shoulder.x, shoulder.y);
-              ctx.lineTo(targetX, targetY);
-              ctx.stroke();
-            }
-          });
-        }
-
-        // Detect hands
-        const handPredictions = await handDetector.estimateHands(video);
-        
-        // Reset hand states
-        const newHandStates = {
-          left: { detected: false, correctAngle: false, shoulderTouching: false },
-          right: { detected: false, correctAngle: false, shoulderTouching: false }
-        };
-
-        // Process each hand
-        handPredictions.forEach((prediction) => {
-          const landmarks = prediction.keypoints;
-          const wrist = landmarks[0]; // Wrist is keypoint 0
-          const handeness = prediction.handedness.toLowerCase();
-          const isLeft = handeness === 'left';
-          const color = isLeft ? colors.left : colors.right;
-          const side = isLeft ? 'left' : 'right';
-          const shoulder = isLeft ? shoulders.left : shoulders.right;
-
-          // Update detection state
-          newHandStates[side].detected = true;
-
-          // Draw hand landmarks
-          ctx.fillStyle = color;
-          landmarks.forEach((keypoint) => {
-            ctx.beginPath();
-            ctx.arc(keypoint.x, keypoint.y, 5, 0, 2 * Math.PI);
-            ctx.fill();
-          });
-
-          // Check if shoulder is touching the line
-          if (shoulder && shoulder.score > 0.3) {
-            const shoulderOnLine = Math.abs(shoulder.y - shoulderLineY) < 20;
-            newHandStates[side].shoulderTouching = shoulderOnLine;
-            
-            // Calculate angle between shoulder and wrist
-            const dx = wrist.x - shoulder.x;
-            const dy = shoulder.y - wrist.y; // Inverted because y increases downward
-            const angle = Math.atan2(dy, dx) * (180 / Math.PI);
-            
-            // Normalize angle to be positive (0-180)
-            const normalizedAngle = angle < 0 ? angle + 360 : angle;
-            
-            // For left hand, we want ~135 degrees (180 - 45)
-            // For right hand, we want ~45 degrees
-            const targetAngleForSide = isLeft ? 135 : 45;
-            const angleDiff = Math.abs(normalizedAngle - targetAngleForSide);
-            
-            newHandStates[side].correctAngle = angleDiff <= angleTolerance;
-            
-            // Draw angle text
-            ctx.fillStyle = 'black';
-            ctx.font = '16px Arial';
-            ctx.fillText(
-              `${Math.round(normalizedAngle)}°`, 
-              wrist.x + 10, 
-              wrist.y - 10
-            );
-          }
-        });
+    if (!speech) return undefined;
+    return () => {
+      getSpeechGuide().cancel();
+      speechRef.current = null;
+    };
+  }, [speech, locale]);
+
+  // Announce the switch to the next arm
+  useEffect(() => {
+    if (!speech || phase !== 'running' || assessment.sideIndex === 0) return;
+    getSpeechGuide().say(t('speech.switchSide', { side: t(`side.${currentSide}`) }), { interrupt: true });
+  }, [speech, currentSide]);
+
+  // Modal dialogs keep keyboard focus while open
+  useFocusTrap(startDialogRef, showStartModal && !isLoading && !protocolError && !cameraError);
+  useFocusTrap(completionDialogRef, showCompletionModal && result !== null && !showHistory);
+  useFocusTrap(historyDialogRef, showHistory);
 
-        setHandStates(newHandStates);
-
-        // Only check for current side
-        const currentSideState = newHandStates[currentSide];
-        
-        // Only start countdown if BOTH conditions are met for the current side
-        if (currentSideState.detected && 
-            currentSideState.correctAngle && 
-            currentSideState.shoulderTouching) {
-          if (holdCountdown === null) {
-            setHoldCountdown(holdDuration);
-          } else if (holdCountdown > 0) {
-            setTimeout(() => setHoldCountdown(prev => prev - 1), 1000);
-          } else {
-            // Switch sides or complete if both done
-            if (currentSide === 'right') {
-              setCurrentSide('left');
-              setHoldCountdown(null);
-            } else {
-              setIsComplete(true);
-            }
-          }
-        } else {
-          setHoldCountdown(null);
-        }
+  // Keep the video box in the frame's shape; the same object when unchanged so
+  // steady frames don't re-render
+  const trackVideoSize = (width, height) => setVideoSize(current => (
+    current && current.width === width && current.height === height ? current : { width, height }
+  ));
+
+  // Feed a frame to the engine and draw it
+  const processFrame = (frame) => {
+    trackVideoSize(frame.videoWidth, frame.videoHeight);
+    dispatch(frame);
+    canvasRef.current.width = frame.videoWidth;
+    canvasRef.current.height = frame.videoHeight;
+    drawOverlay(canvasRef.current.getContext('2d'), frame, engineRef.current);
+  };
+
+  // Record the clip for as long as the timed run lasts
+  useEffect(() => {
+    if (!recordClip || replay || !challengeStarted || !webcamRef.current) return;
+    clipRecorderRef.current.start(webcamRef.current.video, canvasRef.current, mirrored);
+  }, [recordClip, replay, challengeStarted]);
+
+  // Discard an unfinished clip when the component goes away
+  useEffect(() => () => clipRecorderRef.current.cancel(), []);
+
+  // Mark side switches and hold breaks in the clip
+  const markClip = (events) => {
+    if (!recordClip) return;
+    events.forEach(event => {
+      if (event.type === 'sideSwitched' && engineRef.current.phase === 'running') {
+        clipRecorderRef.current.mark(t('clip.sideSwitch', { arm: t(`arm.${event.to}`) }));
+      } else if (event.type === 'holdBroken') {
+        const arm = event.sides.length > 1 ? 'both' : event.sides[0];
+        clipRecorderRef.current.mark(t('clip.holdBreak', { arm: t(`arm.${arm}`) }));
       }
+    });
+  };
+
+  // One detection step: a frame from the camera through the detector and the engine.
+  // Returns false when the video has no frame yet, after moving the clock on.
+  detectRef.current = async () => {
+    if (webcamRef.current?.video?.readyState !== 4) {
+      const timestamp = Date.now();
+      if (record) recorderRef.current.addTick(timestamp);
+      dispatch({ type: 'tick', timestamp });
+      return false;
+    }
+
+    const video = webcamRef.current.video;
+    const videoWidth = video.videoWidth;
+    const videoHeight = video.videoHeight;
+    // Time the frame was taken; inference may finish well after it
+    const timestamp = Date.now();
+
+    // Set dimensions
+    webcamRef.current.video.width = videoWidth;
+    webcamRef.current.video.height = videoHeight;
+
+    // Facial droop step: face landmarks only
+    if (faceEngineRef.current.phase === 'capturing') {
+      const faces = await detector.estimateFaces(video);
+      const faceFrame = buildFaceFrame({ timestamp, videoWidth, videoHeight, faces }, mirrored);
+      dispatchFace(faceFrame);
+      trackVideoSize(videoWidth, videoHeight);
+      canvasRef.current.width = videoWidth;
+      canvasRef.current.height = videoHeight;
+      drawFaceOverlay(canvasRef.current.getContext('2d'), faceFrame);
+      return true;
+    }
+
+    // Detect pose (for shoulders) and hands
+    const brightness = measureBrightness(video);
+    const { poses, hands } = await detector.estimate(video);
+
+    const detections = {
+      timestamp,
+      videoWidth,
+      videoHeight,
+      poses,
+      hands,
+      brightness
     };
 
-    const interval = setInterval(detect, 100);
-    return () => clearInterval(interval);
-  }, [handDetector, poseDetector, isLoading, holdCountdown, challengeStarted, holdDuration, currentSide]);
+    // Fine-motor hand tests: always on the hand model's landmarks
+    if (fineMotorRef.current.phase === 'running') {
+      const handFrame = buildFrame(detections, 'hands', mirrored);
+      dispatchFineMotor(handFrame);
+      trackVideoSize(videoWidth, videoHeight);
+      canvasRef.current.width = videoWidth;
+      canvasRef.current.height = videoHeight;
+      drawFineMotorOverlay(canvasRef.current.getContext('2d'), handFrame, fineMotorRef.current);
+      return true;
+    }
+
+    // Range of motion: the pose model's own wrists, which stay tracked overhead and side-on
+    if (romRef.current.phase === 'running') {
+      const romFrame = buildFrame(detections, 'pose', mirrored);
+      dispatchRom(romFrame);
+      trackVideoSize(videoWidth, videoHeight);
+      canvasRef.current.width = videoWidth;
+      canvasRef.current.height = videoHeight;
+      drawRangeOfMotionOverlay(canvasRef.current.getContext('2d'), romFrame, romRef.current);
+      return true;
+    }
+
+    if (record) recorderRef.current.addFrame(detections);
+    processFrame(buildFrame(detections, armTracking, mirrored));
+    return true;
+  };
+
+  // A detection step threw. The clock still moves on so the time limit ends the
+  // run, and a detector that keeps failing is reported like a failed load, whose
+  // retry reloads the models.
+  detectErrorRef.current = (error, failures) => {
+    const timestamp = Date.now();
+    if (record) recorderRef.current.addTick(timestamp);
+    dispatch({ type: 'tick', timestamp });
+    if (failures !== MAX_DETECTION_FAILURES) return;
+    setLoadError(error);
+    emitEvent({ type: 'detectionFailed', timestamp, error: error.message, measurements: engineRef.current.measurements });
+  };
+
+  // Detection loop: one frame in flight at a time, paced by the video and the
+  // detector rather than a fixed interval
+  useEffect(() => {
+    if (replay || !detector || isLoading || !sessionActive) return;
+
+    const loop = createFrameLoop(
+      () => (webcamRef.current ? webcamRef.current.video : null),
+      () => detectRef.current(),
+      { onMetrics: setMetrics, onError: (error, failures) => detectErrorRef.current(error, failures) }
+    );
+    loop.start();
+    return () => loop.stop();
+  }, [detector, isLoading, sessionActive]);
+
+  // Pass the loop's frame rate and latency on
+  useEffect(() => {
+    if (metrics && onMetrics) onMetrics(metrics);
+  }, [metrics]);
+
+  // Replay loop: play recorded frames back on their original schedule
+  useEffect(() => {
+    if (!replay || !sessionActive) return;
+
+    const timers = replay.frames.map(frame => setTimeout(() => {
+      const event = toEngineEvent(frame, replay);
+      if (event.type === 'frame') {
+        processFrame(event);
+      } else {
+        dispatch(event);
+      }
+    }, frame.timestamp - replay.startedAt));
+    if (replay.endedAt !== null) {
+      timers.push(setTimeout(
+        () => dispatch({ type: 'tick', timestamp: replay.endedAt }),
+        replay.endedAt - replay.startedAt
+      ));
+    }
+    return () => timers.forEach(clearTimeout);
+  }, [replay, sessionActive]);
+
+  // Start the arm-hold part
+  const startArms = (timestamp) => {
+    if (record && !replay) recorderRef.current.start(timestamp, protocol, armTracking, mirrored);
+    dispatch({ type: 'start', timestamp, protocol });
+  };
+
+  // Start the fine-motor hand tests, with the protocol from the props
+  const startFineMotor = (timestamp) => {
+    fineMotorRef.current = createFineMotorState(fineMotorProtocol);
+    dispatchFineMotor({ type: 'start', timestamp });
+  };
 
-  // Start the challenge
+  // Start the range-of-motion step, with the protocol from the props
+  const startRangeOfMotion = (timestamp) => {
+    romRef.current = createRomState(romProtocol);
+    dispatchRom({ type: 'start', timestamp });
+  };
+
+  // Start the first enabled step from the given one on, or the arms after them all
+  const startStepFrom = (first, timestamp) => {
+    const starters = {
+      face: () => dispatchFace({ type: 'start', timestamp }),
+      fineMotor: () => startFineMotor(timestamp),
+      rangeOfMotion: () => startRangeOfMotion(timestamp)
+    };
+    const next = PRE_ARM_STEPS.slice(PRE_ARM_STEPS.indexOf(first)).find(step => runSteps[step]);
+    if (next) starters[next]();
+    else startArms(timestamp);
+  };
+
+  // Start the challenge, with the face step, hand tests and range of motion first
+  // when enabled
   const startChallenge = () => {
     setShowStartModal(false);
-    setChallengeStarted(true);
-    setTimeLeft(60);
-    setHoldCountdown(null);
-    setIsComplete(false);
-    setCurrentSide('right'); // Start with right side
+    setResult(null);
+    setRecording(null);
+    dispatchFace({ type: 'reset' });
+    dispatchFineMotor({ type: 'reset' });
+    dispatchRom({ type: 'reset' });
+    startStepFrom('face', replay ? replay.startedAt : Date.now());
   };
 
   // Reset Challenge
   const resetChallenge = () => {
-    setIsComplete(false);
-    setHoldCountdown(null);
-    setChallengeStarted(false);
     setShowStartModal(true);
-    setTimeLeft(60);
     setShowCompletionModal(false);
-    setCurrentSide('right');
+    setShowHistory(false);
+    setResult(null);
+    setSnapshot(null);
+    setClip(null);
+    setClipPending(false);
+    setClipFailed(false);
+    setResultError(null);
+    setHistorySaveFailed(false);
+    clipRecorderRef.current.cancel();
+    setRecording(null);
+    dispatchFace({ type: 'reset' });
+    dispatchFineMotor({ type: 'reset' });
+    dispatchRom({ type: 'reset' });
+    dispatch({ type: 'reset' });
+    if (speech) getSpeechGuide().cancel();
+  };
+
+  // Move on to the next side without finishing this one
+  const switchSide = () => {
+    if (phase !== 'running') return;
+    const timestamp = Date.now();
+    if (record && !replay) recorderRef.current.addSideSwitch(timestamp);
+    dispatch({ type: 'switchSide', timestamp });
+  };
+
+  // Remote clinician: send the whole engine state when they join, then follow
+  // their commands
+  remoteMessageRef.current = (message) => {
+    if (message.type === 'peer' && message.role === 'clinician') {
+      setClinicianConnected(message.connected);
+      if (message.connected) {
+        remoteRef.current.send({ type: 'sync', state: engineRef.current, status: toRemoteStatus(engineRef.current) });
+      }
+    } else if (message.type === 'command') {
+      if (message.command === 'start' && showStartModal && !isLoading && !loadError) startChallenge();
+      else if (message.command === 'reset') resetChallenge();
+      else if (message.command === 'switchSide') switchSide();
+    }
+  };
+
+  useEffect(() => {
+    if (!remote) return;
+    const channel = createRemoteChannel({
+      url: remote.url,
+      sessionId: remote.sessionId,
+      role: 'patient',
+      onMessage: message => remoteMessageRef.current(message),
+      onStatus: (status) => {
+        if (status !== 'open') setClinicianConnected(false);
+      }
+    });
+    remoteRef.current = channel;
+    return () => {
+      channel.close();
+      remoteRef.current = null;
+      setClinicianConnected(false);
+    };
+  }, [remote && remote.url, remote && remote.sessionId]);
+
+  // Camera opened: note which camera it is and which way it faces, refresh the
+  // list (labels only appear once permission is granted) and watch for it going away
+  const handleUserMedia = (stream) => {
+    setCameraError(null);
+    setActiveCameraId(streamDeviceId(stream));
+    setBackCamera(isBackCamera(stream));
+    listCameras().then(setCameras).catch(() => {});
+    if (unwatchCameraRef.current) unwatchCameraRef.current();
+    unwatchCameraRef.current = watchCameraEnded(stream, () => cameraEndedRef.current());
+  };
+
+  const handleUserMediaError = (error) => setCameraError(classifyCameraError(error));
+
+  // The camera was unplugged or revoked mid-session: the run can't be timed
+  // fairly without it, so it's stopped and the recovery screen shown
+  cameraEndedRef.current = () => {
+    if (unwatchCameraRef.current) unwatchCameraRef.current();
+    unwatchCameraRef.current = null;
+    if (sessionActive) resetChallenge();
+    setCameraError('disconnected');
+  };
+
+  useEffect(() => () => {
+    if (unwatchCameraRef.current) unwatchCameraRef.current();
+  }, []);
+
+  // Reopen the camera, after an error or with another camera picked
+  const retryCamera = () => {
+    setCameraError(null);
+    setCameraAttempt(prev => prev + 1);
+  };
+
+  const selectCamera = (id) => {
+    setDeviceId(id || null);
+    if (cameraError) retryCamera();
   };
 
+  // Cameras plugged in or out
+  useEffect(() => {
+    if (replay || typeof navigator === 'undefined' || !navigator.mediaDevices) return;
+    const refresh = () => listCameras().then(setCameras).catch(() => {});
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [replay]);
+
+  // Follow the device between portrait and landscape. The camera reopens in the
+  // new shape and the engine recalibrates when the frame size changes.
+  useEffect(() => {
+    const update = () => setPortrait(isPortrait());
+    window.addEventListener('resize', update);
+    return () => window.removeEventListener('resize', update);
+  }, []);
+
   // Calculate detection status message
   const getStatusMessage = () => {
-    if (!challengeStarted) return 'Click "Start Assessment" to begin';
-    
-    if (isComplete) return 'Assessment complete!';
+    if (faceActive) {
+      if (!faceStep.faceDetected) return t('status.faceNotVisible');
+      return t('status.smile', { seconds: Math.floor(faceStep.captureElapsed) });
+    }
+
+    if (handTest) {
+      const hand = t(`handName.${handTest.side}`);
+      if (!fineMotorStep.handDetected) return t('status.showHand', { hand });
+      const { step } = fineMotorStep;
+      if (handTest.test !== 'targetReach') return t(`status.${handTest.test}`, { hand, count: step.events.length });
+      if (step.targets === null) return t('status.reachFaceVisible');
+      return t(step.touchingNose ? 'status.reachTarget' : 'status.reachNose', { hand });
+    }
+
+    if (romMovement) {
+      const side = t(`side.${romMovement.side}`);
+      const { measurement } = romStep;
+      if (!measurement) return t(`status.romFind.${romMovement.movement}`, { side });
+      if (measurement.issues.length > 0) return t(`status.romIssue.${measurement.issues[0]}`, { side });
+      return t(`status.rom.${romMovement.movement}`, { side });
+    }
+
+    if (phase === 'idle') return t('status.idle', { button: t('start.button') });
     
-    if (timeLeft <= 0) return "Time's up! You didn't complete the assessment in time.";
+    if (phase === 'complete') return t('status.complete');
     
-    const sideName = currentSide === 'right' ? 'Right' : 'Left';
-    const currentState = handStates[currentSide];
+    if (phase === 'timedOut') return t('status.timedOut');
+
+    // Framing and lighting problems come before any arm guidance
+    if (assessment.qualityIssues.length > 0) return t(`quality.${assessment.qualityIssues[0]}`);
+
+    if (isCalibrating) return t(assessment.pausedAt !== null ? 'status.recalibrating' : 'status.calibrating');
+
+    if (assessment.trackingLostAt !== null) return t('status.trackingLost');
     
-    if (!currentState.detected) return `Show your ${sideName} arm to the camera`;
-    if (!currentState.shoulderTouching) return `Position your ${sideName} shoulder on the line`;
-    if (!currentState.correctAngle) return `Extend your ${sideName} arm at 45° angle`;
+    const sides = currentSide === 'both' ? ['right', 'left'] : [currentSide];
+    for (const side of sides) {
+      const sideName = t(`side.${side}`);
+      const currentState = handStates[side];
+      
+      if (!currentState.detected) return t('status.showArm', { side: sideName });
+      if (!currentState.shoulderTouching) return t('status.shoulderLine', { side: sideName });
+      if (!currentState.correctAngle) return t('status.extendArm', { side: sideName, angle: targetAngles[side] });
+      if (!currentState.elbowExtended) return t('status.straightenElbow', { side: sideName });
+      if (currentState.compensating) {
+        return t(`compensation.${assessment.measurements[side].compensation[0]}`, { side: sideName });
+      }
+    }
     
-    return `Hold your ${sideName} arm position! ${holdDuration - (holdCountdown || holdDuration)}s`;
+    const held = holdDuration - (holdCountdown || holdDuration);
+    if (currentSide === 'both') return t('status.holdBoth', { seconds: held });
+    return t('status.hold', { side: t(`side.${currentSide}`), seconds: held });
+  };
+
+  // What to say aloud: the countdown numbers while holding, otherwise the
+  // guidance without the per-second counters
+  const getSpokenPrompt = () => {
+    if (phase === 'idle' && !faceActive && !handTest && !romMovement) return null;
+    if (faceActive && faceStep.faceDetected) return t('speech.smile');
+    if (handTest && fineMotorStep.handDetected && handTest.test !== 'targetReach') {
+      return t(`speech.${handTest.test}`, { hand: t(`handName.${handTest.side}`) });
+    }
+    if (challengeStarted && holdCountdown !== null) return holdCountdown > 0 ? String(holdCountdown) : null;
+    return getStatusMessage();
   };
 
+  const spokenPrompt = speech ? getSpokenPrompt() : null;
+  useEffect(() => {
+    if (!spokenPrompt) return;
+    getSpeechGuide().say(spokenPrompt, { interrupt: holdCountdown !== null });
+  }, [spokenPrompt]);
+
+  if (protocolError) {
+    return (
+      <div lang={locale} dir={t.direction} style={{
+        maxWidth: '800px',
+        margin: '0 auto',
+        padding: '20px',
+        fontFamily: "'Inter', sans-serif",
+        color: '#2d3748'
+      }}>
+        <div style={{
+          background: '#fef2f2',
+          borderRadius: '12px',
+          padding: '20px',
+          textAlign: 'center'
+        }}>
+          <p style={{
+            fontSize: '1.2rem',
+            fontWeight: '600',
+            color: '#b91c1c',
+            marginBottom: '8px'
+          }}>{t('configError.title')}</p>
+          <p style={{ color: '#4a5568' }}>{protocolError.message}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const outOfAttempts = result !== null && ['right', 'left'].some(side => result.sides[side].failed);
+
+  // Shown before starting and on the recovery screen when there's a choice
+  const cameraPicker = !replay && cameras.length > 1 && (
+    <label style={{ display: 'block', marginBottom: '20px', fontSize: '1rem' }}>
+      {t('camera.label')}{' '}
+      <select
+        value={activeCameraId || ''}
+        onChange={event => selectCamera(event.target.value)}
+        style={{ padding: '6px 8px', borderRadius: '6px', fontSize: '1rem' }}
+      >
+        {!activeCameraId && <option value="">{t('camera.default')}</option>}
+        {cameras.map((option, index) => (
+          <option key={option.deviceId} value={option.deviceId}>
+            {option.label
+              ? `${t(`camera.${option.kind}`)} – ${option.label}`
+              : t('camera.unnamed', { number: index + 1 })}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+  const showCameraError = cameraError !== null && !replay;
+
   return (
-    <div style={{
+    <div lang={locale} dir={t.direction} style={{
       maxWidth: '800px',
       margin: '0 auto',
       padding: '20px',
@@ -308,7 +861,7 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
       color: '#2d3748'
     }}>
       {/* Start Modal */}
-      {showStartModal && !isLoading && (
+      {showStartModal && !isLoading && !showCameraError && (
         <div style={{
           position: 'fixed',
           top: 0,
@@ -321,27 +874,35 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           justifyContent: 'center',
           zIndex: 1000
         }}>
-          <div style={{
-            backgroundColor: 'white',
-            padding: '30px',
-            borderRadius: '12px',
-            textAlign: 'center',
-            maxWidth: '500px'
-          }}>
-            <h2 style={{
+          <div
+            ref={startDialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="motor-assessment-start-title"
+            tabIndex={-1}
+            style={{
+              backgroundColor: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              textAlign: 'center',
+              maxWidth: '500px'
+            }}
+          >
+            <h2 id="motor-assessment-start-title" style={{
               fontSize: '1.8rem',
               fontWeight: '700',
               marginBottom: '20px',
               color: '#2d3748'
             }}>
-              Motor Weakness Assessment
+              {t('title')}
             </h2>
             <p style={{ marginBottom: '20px', fontSize: '1.1rem' }}>
-              This test assesses arm strength by having you hold each arm at a 45-degree angle.
+              {t(bilateral ? 'start.introBilateral' : 'start.intro', { angle: targetText })}
             </p>
             <p style={{ marginBottom: '20px', fontSize: '1.1rem' }}>
-              You'll need to hold each arm position for {holdDuration} seconds within 60 seconds total.
+              {t(bilateral ? 'start.holdBilateral' : 'start.hold', { hold: holdDuration, limit: timeLimit })}
             </p>
+            {cameraPicker}
             <button
               onClick={startChallenge}
               style={{
@@ -356,14 +917,14 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
                 transition: 'background-color 0.3s'
               }}
             >
-              Start Assessment
+              {t('start.button')}
             </button>
           </div>
         </div>
       )}
 
       {/* Completion Modal */}
-      {showCompletionModal && (
+      {showCompletionModal && result && (
         <div style={{
           position: 'fixed',
           top: 0,
@@ -376,25 +937,119 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           justifyContent: 'center',
           zIndex: 1000
         }}>
-          <div style={{
-            backgroundColor: 'white',
-            padding: '30px',
-            borderRadius: '12px',
-            textAlign: 'center',
-            maxWidth: '500px'
-          }}>
-            <h2 style={{
+          <div
+            ref={completionDialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="motor-assessment-result-title"
+            tabIndex={-1}
+            style={{
+              backgroundColor: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              textAlign: 'center',
+              maxWidth: '500px'
+            }}
+          >
+            <h2 id="motor-assessment-result-title" style={{
               fontSize: '1.8rem',
               fontWeight: '700',
               marginBottom: '20px',
-              color: '#10B981'
+              color: result.status === 'complete' ? '#10B981' : '#ef4444'
             }}>
-              Assessment Complete!
+              {t(result.status === 'complete' ? 'result.completeTitle' : 'result.timedOutTitle')}
             </h2>
-            <p style={{ marginBottom: '30px', fontSize: '1.1rem' }}>
-              You successfully completed the motor weakness assessment.
+            <p style={{ marginBottom: '20px', fontSize: '1.1rem' }}>
+              {result.status === 'timedOut' && t('result.timedOut', { limit: timeLimit })}
+              {result.status === 'complete' && t(outOfAttempts ? 'result.outOfAttempts' : 'result.complete')}
             </p>
-            <div style={{ display: 'flex', gap: '15px', justifyContent: 'center' }}>
+            <div style={{
+              marginBottom: '30px',
+              textAlign: 'start',
+              background: '#f8fafc',
+              padding: '12px 16px',
+              borderRadius: '8px'
+            }}>
+              {['right', 'left'].map(side => {
+                const sideResult = result.sides[side];
+                return (
+                  <p key={side} style={{ margin: '4px 0', fontSize: '1rem' }}>
+                    <strong>{t(`arm.${side}`)}:</strong>{' '}
+                    {sideResult.drift
+                      ? t('result.grade', {
+                        grade: sideResult.drift.grade,
+                        label: t(`grade.${sideResult.drift.grade}`),
+                        drift: Math.round(sideResult.drift.degrees)
+                      })
+                      : t('result.notTested')}
+                    {sideResult.failed && ` – ${t('result.failed')}`}
+                    {sideResult.compensation && sideResult.compensation.compensated && ` – ${t('result.compensated', {
+                      issues: sideResult.compensation.issues.map(issue => t(`compensationIssue.${issue}`)).join(', ')
+                    })}`}
+                    {sideResult.stability && (
+                      <span style={{ display: 'block', fontSize: '0.875rem', color: '#4a5568' }}>
+                        {t('result.stability', { score: sideResult.stability.score })}
+                        {sideResult.stability.tremor && ` – ${t('result.tremor', {
+                          frequency: sideResult.stability.dominantFrequency.toFixed(1)
+                        })}`}
+                      </span>
+                    )}
+                  </p>
+                );
+              })}
+              {result.face && (
+                <p style={{ margin: '4px 0', fontSize: '1rem' }}>
+                  <strong>{t('result.face')}:</strong>{' '}
+                  {!result.face.detected && t('result.faceNotMeasured')}
+                  {result.face.detected && (result.face.droop
+                    ? t('result.droop', { side: t(`side.${result.face.droopSide}`), score: result.face.droopScore.toFixed(2) })
+                    : t('result.noDroop', { score: result.face.droopScore.toFixed(2) }))}
+                </p>
+              )}
+              {faceUnsupported && (
+                <p style={{ margin: '4px 0', fontSize: '1rem' }}>
+                  <strong>{t('result.face')}:</strong>{' '}{t('result.faceUnsupported')}
+                </p>
+              )}
+              {result.fineMotor && Object.keys(result.fineMotor).map(test => (
+                <p key={test} style={{ margin: '4px 0', fontSize: '1rem' }}>
+                  <strong>{t(`fineMotor.test.${test}`)}:</strong>{' '}
+                  {describeFineMotor(test, result.fineMotor[test], t)}
+                </p>
+              ))}
+              {result.rangeOfMotion && Object.keys(result.rangeOfMotion).map(movement => (
+                <p key={movement} style={{ margin: '4px 0', fontSize: '1rem' }}>
+                  <strong>{t(`rom.movement.${movement}`)}:</strong>{' '}
+                  {describeRangeOfMotion(movement, result.rangeOfMotion[movement], t)}
+                </p>
+              ))}
+              {result.asymmetry && (
+                <p style={{ margin: '4px 0', fontSize: '1rem' }}>
+                  <strong>{t('result.asymmetry')}:</strong>{' '}
+                  {Math.round(result.asymmetry.index)}%
+                  {' – '}
+                  {result.asymmetry.weakerSide
+                    ? t('result.weaker', { arm: t(`arm.${result.asymmetry.weakerSide}`) })
+                    : t('result.symmetric')}
+                </p>
+              )}
+            </div>
+            {historySaveFailed && (
+              <p role="alert" style={{ marginBottom: '20px', color: '#b91c1c' }}>
+                {t('result.historyFailed')}
+              </p>
+            )}
+            {clipFailed && (
+              <p role="alert" style={{ marginBottom: '20px', color: '#b91c1c' }}>
+                {t('result.clipFailed')}
+              </p>
+            )}
+            {resultError && (
+              <p role="alert" style={{ marginBottom: '20px', color: '#b91c1c' }}>
+                {t(resultError)}
+              </p>
+            )}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '15px', justifyContent: 'center' }}>
               <button
                 onClick={resetChallenge}
                 style={{
@@ -409,10 +1064,113 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
                   transition: 'background-color 0.3s'
                 }}
               >
-                Retake Assessment
+                {t('result.retake')}
+              </button>
+              {recording && (
+                <button
+                  onClick={() => downloadRecording(recording)}
+                  style={{
+                    backgroundColor: '#E5E7EB',
+                    color: '#374151',
+                    border: 'none',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '1.1rem',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    transition: 'background-color 0.3s'
+                  }}
+                >
+                  {t('result.download')}
+                </button>
+              )}
+              <button
+                onClick={exportFhir}
+                style={{
+                  backgroundColor: '#E5E7EB',
+                  color: '#374151',
+                  border: 'none',
+                  padding: '12px 24px',
+                  borderRadius: '8px',
+                  fontSize: '1.1rem',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'background-color 0.3s'
+                }}
+              >
+                {t('result.exportFhir')}
+              </button>
+              <button
+                onClick={exportCsv}
+                style={{
+                  backgroundColor: '#E5E7EB',
+                  color: '#374151',
+                  border: 'none',
+                  padding: '12px 24px',
+                  borderRadius: '8px',
+                  fontSize: '1.1rem',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'background-color 0.3s'
+                }}
+              >
+                {t('result.exportCsv')}
               </button>
               <button
-                onClick={onComplete}
+                onClick={openReport}
+                style={{
+                  backgroundColor: '#E5E7EB',
+                  color: '#374151',
+                  border: 'none',
+                  padding: '12px 24px',
+                  borderRadius: '8px',
+                  fontSize: '1.1rem',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'background-color 0.3s'
+                }}
+              >
+                {t('result.printReport')}
+              </button>
+              {clip && (
+                <button
+                  onClick={() => downloadClip(clip, fileStem())}
+                  style={{
+                    backgroundColor: '#E5E7EB',
+                    color: '#374151',
+                    border: 'none',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '1.1rem',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    transition: 'background-color 0.3s'
+                  }}
+                >
+                  {t('result.downloadClip')}
+                </button>
+              )}
+              {saveHistory && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  style={{
+                    backgroundColor: '#E5E7EB',
+                    color: '#374151',
+                    border: 'none',
+                    padding: '12px 24px',
+                    borderRadius: '8px',
+                    fontSize: '1.1rem',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    transition: 'background-color 0.3s'
+                  }}
+                >
+                  {t('result.history')}
+                </button>
+              )}
+              <button
+                onClick={() => onComplete(result, clip ? clip.blob : null)}
+                disabled={clipPending}
                 style={{
                   backgroundColor: '#6366f1',
                   color: 'white',
@@ -421,17 +1179,59 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
                   borderRadius: '8px',
                   fontSize: '1.1rem',
                   fontWeight: '600',
-                  cursor: 'pointer',
+                  cursor: clipPending ? 'wait' : 'pointer',
+                  opacity: clipPending ? 0.6 : 1,
                   transition: 'background-color 0.3s'
                 }}
               >
-                Continue
+                {t(clipPending ? 'result.clipPending' : 'result.continue')}
               </button>
             </div>
           </div>
         </div>
       )}
 
+      {/* History Modal */}
+      {showHistory && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          backgroundColor: 'rgba(0,0,0,0.7)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1001
+        }}>
+          <div
+            ref={historyDialogRef}
+            role="dialog"
+            aria-modal="true"
+            aria-label={t('history.title')}
+            tabIndex={-1}
+            style={{
+              backgroundColor: 'white',
+              padding: '30px',
+              borderRadius: '12px',
+              maxWidth: '500px',
+              width: '100%',
+              maxHeight: '90vh',
+              overflowY: 'auto'
+            }}
+          >
+            <SessionHistory
+              history={getHistory()}
+              patientId={patientId}
+              locale={locale}
+              messages={messages}
+              onClose={() => setShowHistory(false)}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Header */}
       <div style={{
         textAlign: 'center',
@@ -446,16 +1246,78 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           color: 'transparent',
           marginBottom: '10px'
         }}>
-          Motor Weakness Assessment
+          {t('title')}
         </h1>
         <p style={{
           fontSize: '1.1rem',
           color: '#4a5568'
         }}>
-          Hold each arm at 45° for {holdDuration} seconds within 60 seconds total
+          {t(bilateral ? 'header.summaryBilateral' : 'header.summary', { angle: targetText, hold: holdDuration, limit: timeLimit })}
         </p>
       </div>
 
+      {/* Face Step Display */}
+      {faceActive && (
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '20px',
+          fontSize: '1.5rem',
+          fontWeight: 'bold',
+          color: '#2d3748'
+        }}>
+          {t('face.banner', { seconds: faceStep.protocol.captureDuration })}
+        </div>
+      )}
+
+      {/* Hand Tests Display */}
+      {handTest && (
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '20px',
+          fontSize: '1.5rem',
+          fontWeight: 'bold',
+          color: '#2d3748'
+        }}>
+          {t(`fineMotor.banner.${handTest.test}`, {
+            hand: t(`hand.${handTest.side}`),
+            step: fineMotorStep.stepIndex + 1,
+            steps: fineMotorStep.steps.length
+          })}
+        </div>
+      )}
+
+      {/* Range of Motion Display */}
+      {romMovement && (
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '20px',
+          fontSize: '1.5rem',
+          fontWeight: 'bold',
+          color: '#2d3748'
+        }}>
+          {t(romStep.step.maxAngle !== null ? 'rom.bannerBest' : 'rom.banner', {
+            movement: t(`rom.movement.${romMovement.movement}`),
+            arm: t(`arm.${romMovement.side}`),
+            step: romStep.stepIndex + 1,
+            steps: romStep.steps.length,
+            angle: romStep.step.maxAngle !== null ? Math.round(romStep.step.maxAngle) : null
+          })}
+        </div>
+      )}
+
+      {/* Calibration Display */}
+      {isCalibrating && (
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '20px',
+          fontSize: '1.5rem',
+          fontWeight: 'bold',
+          color: '#2d3748'
+        }}>
+          {t('calibration.banner')}
+        </div>
+      )}
+
       {/* Timer Display */}
       {challengeStarted && (
         <div style={{
@@ -465,14 +1327,16 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           fontWeight: 'bold',
           color: timeLeft <= 10 ? '#ef4444' : '#2d3748'
         }}>
-          Time Remaining: {timeLeft}s | 
-          Current Side: {currentSide === 'right' ? 'Right Arm' : 'Left Arm'} | 
-          Hold Time: {holdCountdown !== null ? `${holdDuration - holdCountdown}/${holdDuration}s` : '0s'}
+          {t('timer.remaining', { seconds: timeLeft })} | 
+          {t('timer.side', { arm: t(`arm.${currentSide}`) })} | 
+          {holdCountdown !== null
+            ? t('timer.hold', { held: holdDuration - holdCountdown, total: holdDuration })
+            : t('timer.holdIdle')}
         </div>
       )}
 
       {/* Loading State */}
-      {isLoading && (
+      {isLoading && !loadError && (
         <div style={{
           display: 'flex',
           flexDirection: 'column',
@@ -495,29 +1359,136 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           <p style={{
             fontSize: '1.2rem',
             color: '#4a5568'
-          }}>Loading pose detection models...</p>
+          }}>{t('loading')}</p>
         </div>
       )}
 
-      {/* Camera Feed */}
-      {!isLoading && (
+      {/* Load Error */}
+      {loadError && (
         <div style={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          height: '480px',
+          background: '#fef2f2',
+          borderRadius: '12px',
+          marginBottom: '20px',
+          padding: '20px',
+          textAlign: 'center'
+        }}>
+          <p style={{
+            fontSize: '1.2rem',
+            fontWeight: '600',
+            color: '#b91c1c',
+            marginBottom: '8px'
+          }}>{t(detector ? 'loadError.detectionTitle' : 'loadError.title')}</p>
+          <p style={{
+            color: '#4a5568',
+            marginBottom: '20px'
+          }}>{loadError.message}</p>
+          <button
+            onClick={() => setLoadAttempt(prev => prev + 1)}
+            style={{
+              backgroundColor: '#6366f1',
+              color: 'white',
+              border: 'none',
+              padding: '12px 24px',
+              borderRadius: '8px',
+              fontSize: '1.1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'background-color 0.3s'
+            }}
+          >
+            {t('loadError.retry')}
+          </button>
+        </div>
+      )}
+
+      {/* Camera Error */}
+      {!isLoading && showCameraError && (
+        <div role="alert" style={{
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+          justifyContent: 'center',
+          minHeight: '480px',
+          background: '#fef2f2',
+          borderRadius: '12px',
+          marginBottom: '20px',
+          padding: '20px',
+          textAlign: 'center'
+        }}>
+          <p style={{
+            fontSize: '1.2rem',
+            fontWeight: '600',
+            color: '#b91c1c',
+            marginBottom: '8px'
+          }}>{t(`camera.error.${cameraError}.title`)}</p>
+          <p style={{
+            color: '#4a5568',
+            marginBottom: '20px',
+            maxWidth: '500px'
+          }}>{t(`camera.error.${cameraError}.help`)}</p>
+          {cameraPicker}
+          <button
+            onClick={retryCamera}
+            style={{
+              backgroundColor: '#6366f1',
+              color: 'white',
+              border: 'none',
+              padding: '12px 24px',
+              borderRadius: '8px',
+              fontSize: '1.1rem',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'background-color 0.3s'
+            }}
+          >
+            {t('camera.retry')}
+          </button>
+        </div>
+      )}
+
+      {/* Camera Feed - always left to right, the pills sit over the patient's sides.
+          Sized to the frame's shape, and kept within the screen height in portrait. */}
+      {!isLoading && !showCameraError && (
+        <div dir="ltr" style={{
           position: 'relative',
           borderRadius: '12px',
           overflow: 'hidden',
           boxShadow: '0 10px 25px -5px rgba(0, 0, 0, 0.1)',
-          marginBottom: '20px'
+          marginBottom: '20px',
+          ...(videoSize && videoSize.height > videoSize.width
+            ? { width: `min(100%, calc(70vh * ${videoSize.width} / ${videoSize.height}))`, marginLeft: 'auto', marginRight: 'auto' }
+            : {})
         }}>
-          <Webcam
-            ref={webcamRef}
-            mirrored={true}
-            style={{
+          {replay ? (
+            // Stand-in for the video while replaying a recording
+            <div style={{
               display: 'block',
               width: '100%',
-              height: 'auto',
-              aspectRatio: '4/3'
-            }}
-          />
+              aspectRatio: videoSize ? `${videoSize.width}/${videoSize.height}` : '4/3',
+              background: '#1f2937'
+            }}></div>
+          ) : (
+            <Webcam
+              key={cameraAttempt}
+              ref={webcamRef}
+              mirrored={mirrored}
+              audio={false}
+              videoConstraints={buildVideoConstraints(camera, portrait)}
+              onUserMedia={handleUserMedia}
+              onUserMediaError={handleUserMediaError}
+              style={{
+                display: 'block',
+                width: '100%',
+                height: 'auto',
+                aspectRatio: videoSize ? `${videoSize.width}/${videoSize.height}` : '4/3'
+              }}
+            />
+          )}
           <canvas
             ref={canvasRef}
             style={{
@@ -529,7 +1500,24 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
             }}
           />
           
-          {/* Side Indicators */}
+          {/* Remote observation notice */}
+          {clinicianConnected && (
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              left: '20px',
+              background: 'rgba(220, 38, 38, 0.85)',
+              color: 'white',
+              padding: '6px 12px',
+              borderRadius: '20px',
+              fontSize: '0.875rem',
+              fontWeight: '600'
+            }}>
+              {t('remote.clinicianWatching')}
+            </div>
+          )}
+
+          {/* Side Indicators - each pill on the side of the picture its arm appears on */}
           <div style={{
             position: 'absolute',
             top: '20px',
@@ -537,49 +1525,33 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
             display: 'flex',
             gap: '10px'
           }}>
-            <div style={{
-              background: currentSide === 'left' ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.4)',
-              color: 'white',
-              padding: '8px 12px',
-              borderRadius: '20px',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '6px',
-              transition: 'all 0.3s ease'
-            }}>
-              <div style={{
-                width: '10px',
-                height: '10px',
-                borderRadius: '50%',
-                background: handStates.left.detected ? colors.left : '#ccc',
-                transition: 'all 0.3s ease'
-              }}></div>
-              Left
-            </div>
-            <div style={{
-              background: currentSide === 'right' ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.4)',
-              color: 'white',
-              padding: '8px 12px',
-              borderRadius: '20px',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '6px',
-              transition: 'all 0.3s ease'
-            }}>
-              <div style={{
-                width: '10px',
-                height: '10px',
-                borderRadius: '50%',
-                background: handStates.right.detected ? colors.right : '#ccc',
+            {pillSides.map(side => (
+              <div key={side} style={{
+                background: currentSide === side || currentSide === 'both' ? 'rgba(0, 0, 0, 0.7)' : 'rgba(0, 0, 0, 0.4)',
+                color: 'white',
+                padding: '8px 12px',
+                borderRadius: '20px',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
                 transition: 'all 0.3s ease'
-              }}></div>
-              Right
-            </div>
+              }}>
+                <div style={{
+                  width: '10px',
+                  height: '10px',
+                  borderRadius: '50%',
+                  background: handStates[side].detected ? colors[side] : '#ccc',
+                  transition: 'all 0.3s ease'
+                }}></div>
+                {t(`pill.${side}`)}
+              </div>
+            ))}
           </div>
           
           {/* Countdown - Only shows when current side is in correct position */}
           {holdCountdown !== null && (
-            <div style={{
+            // The status region already announces the hold
+            <div aria-hidden="true" style={{
               position: 'absolute',
               bottom: '20px',
               left: '50%',
@@ -591,14 +1563,31 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
               fontSize: '1.5rem',
               fontWeight: 'bold'
             }}>
-              {holdCountdown > 0 ? holdCountdown : 'Side Complete!'}
+              {holdCountdown > 0 ? holdCountdown : t('countdown.sideComplete')}
+            </div>
+          )}
+
+          {/* Detection frame rate and latency, for checking performance on a device */}
+          {showMetrics && metrics && metrics.fps !== null && (
+            <div aria-hidden="true" style={{
+              position: 'absolute',
+              bottom: '8px',
+              left: '8px',
+              background: 'rgba(0, 0, 0, 0.6)',
+              color: 'white',
+              padding: '4px 8px',
+              borderRadius: '6px',
+              fontSize: '0.75rem',
+              fontFamily: 'monospace'
+            }}>
+              {`${metrics.fps.toFixed(1)} fps · ${Math.round(metrics.latency)} ms (max ${Math.round(metrics.maxLatency)} ms)`}
             </div>
           )}
         </div>
       )}
 
       {/* Status Message */}
-      <div style={{
+      <div role="status" aria-live="polite" aria-atomic="true" style={{
         background: '#f8fafc',
         padding: '16px',
         borderRadius: '8px',
@@ -620,18 +1609,26 @@ const MotorWeaknessAssessment = ({ onComplete }) => {
           marginTop: '0',
           marginBottom: '8px',
           color: '#1e40af'
-        }}>How to perform the assessment:</h3>
+        }}>{t('instructions.title')}</h3>
         <ol style={{
-          paddingLeft: '20px',
+          paddingInlineStart: '20px',
           margin: '0',
           color: '#4b5563'
         }}>
-          <li>Stand facing the camera with your side to the camera</li>
-          <li>Position your shoulder on the blue line</li>
-          <li>Extend your arm at a 45-degree angle from your shoulder</li>
-          <li>Hold the position for {holdDuration} seconds</li>
-          <li>The system will guide you through both arms</li>
-          <li>You have 60 seconds total to complete both sides</li>
+          <li>{t('instructions.mirror')}</li>
+          {runSteps.face && <li>{t('instructions.face')}</li>}
+          {fineMotorProtocol && <li>{t('instructions.fineMotor')}</li>}
+          {romProtocol && <li>{t('instructions.rangeOfMotion')}</li>}
+          {protocol.calibrate && <li>{t('instructions.calibrate')}</li>}
+          <li>{t('instructions.shoulderLine')}</li>
+          <li>{t(bilateral ? 'instructions.extendBilateral' : 'instructions.extend', { angle: targetText })}</li>
+          {protocol.checkElbowExtension && <li>{t('instructions.elbow')}</li>}
+          <li>{t('instructions.hold', { hold: holdDuration })}</li>
+          <li>{bilateral
+            ? t('instructions.orderBilateral')
+            : t('instructions.order', { side: t(`side.${firstSide}`) })}</li>
+          {attempts !== null && <li>{t('instructions.attempts', { count: attempts })}</li>}
+          <li>{t(bilateral ? 'instructions.limitBilateral' : 'instructions.limit', { limit: timeLimit })}</li>
         </ol>
       </div>
     </div>
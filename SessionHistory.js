@@ -0,0 +1,247 @@
+import React, { useEffect, useState } from 'react';
+import { TREND_METRICS, DEFAULT_TREND_OPTIONS, analyzeTrends } from './historyTrends';
+import { createTranslator } from './messages';
+import { DEFAULT_PATIENT_ID } from './historyStore';
+
+const SIDE_COLORS = { right: '#6366f1', left: '#f59e0b' };
+
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 24;
+
+// Line chart of one metric for both arms across sessions, with each arm's
+// baseline as a dashed line
+const TrendChart = ({ title, trends, metric, count }) => {
+  const values = ['right', 'left'].flatMap(side => [
+    ...trends[side].series.map(point => point[metric]),
+    trends[side].baseline ? trends[side].baseline[metric] : null
+  ]).filter(value => value !== null);
+  if (values.length === 0) return null;
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const x = index => CHART_PADDING + (count > 1 ? (index / (count - 1)) * (CHART_WIDTH - 2 * CHART_PADDING) : 0);
+  const y = value => CHART_HEIGHT - CHART_PADDING - ((value - min) / span) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+  return (
+    <figure style={{ margin: '0 0 16px' }}>
+      <figcaption style={{ fontWeight: '600', marginBottom: '4px' }}>{title}</figcaption>
+      <svg
+        width="100%"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={title}
+        style={{ background: '#f8fafc', borderRadius: '8px' }}
+      >
+        <text x={4} y={CHART_PADDING} fontSize="10" fill="#64748b">{Math.round(max)}</text>
+        <text x={4} y={CHART_HEIGHT - CHART_PADDING} fontSize="10" fill="#64748b">{Math.round(min)}</text>
+        {['right', 'left'].map(side => {
+          const { series, baseline } = trends[side];
+          const points = series.filter(point => point[metric] !== null);
+          return (
+            <g key={side}>
+              {baseline && baseline[metric] !== null && (
+                <line
+                  x1={CHART_PADDING}
+                  x2={CHART_WIDTH - CHART_PADDING}
+                  y1={y(baseline[metric])}
+                  y2={y(baseline[metric])}
+                  stroke={SIDE_COLORS[side]}
+                  strokeDasharray="4 4"
+                  opacity="0.6"
+                />
+              )}
+              <polyline
+                fill="none"
+                stroke={SIDE_COLORS[side]}
+                strokeWidth="2"
+                points={points.map(point => `${x(point.sessionIndex)},${y(point[metric])}`).join(' ')}
+              />
+              {points.map(point => (
+                <circle key={point.startedAt} cx={x(point.sessionIndex)} cy={y(point[metric])} r="3" fill={SIDE_COLORS[side]}>
+                  <title>{`${new Date(point.startedAt).toLocaleDateString()}: ${point[metric].toFixed(1)}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+};
+
+// history: a store from createSessionHistory (see historyStore.js)
+// patientId: whose sessions to show
+// locale, messages: as for MotorWeaknessAssessment
+const SessionHistory = ({
+  history,
+  patientId = DEFAULT_PATIENT_ID,
+  locale = 'en',
+  messages = null,
+  trendOptions = DEFAULT_TREND_OPTIONS,
+  onClose = null
+}) => {
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState(null);
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const [clearError, setClearError] = useState(null);
+  const t = createTranslator(locale, messages);
+
+  useEffect(() => {
+    let cancelled = false;
+    setEntries(null);
+    setError(null);
+    setConfirmingClear(false);
+    setClearError(null);
+    history.list(patientId)
+      .then(list => { if (!cancelled) setEntries(list); })
+      .catch(listError => { if (!cancelled) setError(listError); });
+    return () => { cancelled = true; };
+  }, [history, patientId]);
+
+  // Only after the clinician confirms; the sessions are gone for good
+  const clearHistory = async () => {
+    setConfirmingClear(false);
+    setClearError(null);
+    try {
+      await history.clear(patientId);
+      setEntries([]);
+    } catch (clearFailure) {
+      setClearError(clearFailure);
+    }
+  };
+
+  let content;
+  if (error) {
+    content = <p style={{ color: '#b91c1c' }}>{t('history.unavailable')}</p>;
+  } else if (entries === null) {
+    content = <p>{t('history.loading')}</p>;
+  } else if (entries.length === 0) {
+    content = <p>{t('history.empty')}</p>;
+  } else {
+    const trends = analyzeTrends(entries, trendOptions);
+    const hasBaseline = trends.right.baseline || trends.left.baseline;
+
+    content = (
+      <>
+        <p style={{ marginTop: 0 }}>{t('history.sessions', { count: entries.length })}</p>
+        <div role="status" style={{ marginBottom: '16px' }}>
+          {['right', 'left'].filter(side => trends[side].worse).map(side => (
+            <p key={side} style={{ margin: '4px 0', color: '#b91c1c', fontWeight: '600' }}>
+              {t('history.worse', {
+                arm: t(`arm.${side}`),
+                reasons: trends[side].reasons.map(reason => t(`history.reason.${reason}`)).join(', ')
+              })}
+            </p>
+          ))}
+          {hasBaseline && !trends.right.worse && !trends.left.worse && (
+            <p style={{ margin: '4px 0', color: '#10B981' }}>{t('history.stable')}</p>
+          )}
+          {!hasBaseline && <p style={{ margin: '4px 0' }}>{t('history.needsBaseline', { count: trendOptions.baselineSessions })}</p>}
+        </div>
+        <p style={{ fontSize: '0.9rem', color: '#4a5568' }}>
+          <span style={{ color: SIDE_COLORS.right }}>■</span> {t('arm.right')}{'  '}
+          <span style={{ color: SIDE_COLORS.left }}>■</span> {t('arm.left')}{' – '}
+          {t('history.baseline', { count: trendOptions.baselineSessions })}
+        </p>
+        {TREND_METRICS.map(metric => (
+          <TrendChart
+            key={metric}
+            title={t(`history.metric.${metric}`)}
+            trends={trends}
+            metric={metric}
+            count={entries.length}
+          />
+        ))}
+      </>
+    );
+  }
+
+  return (
+    <div lang={locale} dir={t.direction} style={{ textAlign: 'start' }}>
+      <h2 style={{ fontSize: '1.5rem', fontWeight: '700', marginTop: 0, color: '#2d3748' }}>
+        {t('history.title')}
+      </h2>
+      {content}
+      {clearError && <p role="alert" style={{ color: '#b91c1c' }}>{t('history.clearFailed')}</p>}
+      {confirmingClear && (
+        <p role="alert" style={{ fontWeight: '600', textAlign: 'center' }}>
+          {t('history.confirmClear', { count: entries.length })}
+        </p>
+      )}
+      <div style={{ display: 'flex', gap: '15px', justifyContent: 'center', marginTop: '16px' }}>
+        {confirmingClear && (
+          <>
+            <button
+              onClick={clearHistory}
+              style={{
+                backgroundColor: '#b91c1c',
+                color: 'white',
+                border: 'none',
+                padding: '12px 24px',
+                borderRadius: '8px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {t('history.confirmClearYes')}
+            </button>
+            <button
+              onClick={() => setConfirmingClear(false)}
+              style={{
+                backgroundColor: '#e2e8f0',
+                color: '#2d3748',
+                border: 'none',
+                padding: '12px 24px',
+                borderRadius: '8px',
+                fontSize: '1rem',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              {t('history.cancel')}
+            </button>
+          </>
+        )}
+        {entries && entries.length > 0 && !confirmingClear && (
+          <button
+            onClick={() => setConfirmingClear(true)}
+            style={{
+              backgroundColor: '#e2e8f0',
+              color: '#2d3748',
+              border: 'none',
+              padding: '12px 24px',
+              borderRadius: '8px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {t('history.clear')}
+          </button>
+        )}
+        {onClose && (
+          <button
+            onClick={onClose}
+            style={{
+              backgroundColor: '#6366f1',
+              color: 'white',
+              border: 'none',
+              padding: '12px 24px',
+              borderRadius: '8px',
+              fontSize: '1rem',
+              fontWeight: '600',
+              cursor: 'pointer'
+            }}
+          >
+            {t('history.close')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionHistory;
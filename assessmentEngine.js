@@ -0,0 +1,611 @@
+// Headless motor weakness protocol. The engine is a pure reducer over timestamped
+// keypoint frames, so it runs the same in the browser, React Native or Node.
+
+import { MIN_CALIBRATION_FRAMES, computeCalibration, getGeometry, measureBody } from './calibration';
+import { measureCompensation, summarizeCompensation } from './compensation';
+import { armElevation } from './coordinates';
+import { DEFAULT_QUALITY_THRESHOLDS, assessFrameQuality } from './frameQuality';
+import { FINGERTIP_LANDMARK, analyzeStability } from './stability';
+
+// NIHSS item 5 (motor arm) grades
+export const NIHSS_ARM_GRADES = {
+  0: 'No drift',
+  1: 'Drift',
+  2: 'Some effort against gravity',
+  3: 'No effort against gravity',
+  4: 'No movement'
+};
+const DRIFT_THRESHOLD = 10; // Degrees of elevation lost during the hold that count as drift
+const HANGING_ELEVATION = -90; // Arm elevation hanging straight down
+const NO_MOVEMENT_RANGE = 10; // Arm never rose more than this many degrees from hanging
+const NO_EFFORT_PEAK = -45; // Arm never got more than halfway from hanging down to horizontal
+const ASYMMETRY_THRESHOLD = 10; // Asymmetry index (% of target angle) above which a side is flagged weaker
+
+export const DEFAULT_PROTOCOL = {
+  holdDuration: 10, // Seconds each arm must be held
+  timeLimit: 60, // Seconds for the whole assessment
+  targetAngles: { right: 45, left: 45 }, // Arm elevation above horizontal per side
+  angleTolerance: 15, // ±15 degrees tolerance
+  sideOrder: 'right-first', // right-first | left-first | bilateral (both arms together)
+  attempts: null, // Holds a side may break before it is failed; null for unlimited
+  calibrate: true, // Measure the patient at rest before the timer starts
+  calibrationDuration: 3, // Seconds of resting frames to measure
+  shoulderLineTolerance: 0.15, // Shoulder distance from the line, as a fraction of shoulder width
+  minKeypointScore: 0.3, // Pose keypoint confidence
+  minHandScore: 0.5, // Hand detection confidence
+  checkElbowExtension: true,
+  minElbowAngle: 150, // Shoulder-elbow-wrist angle for a straight arm (180 = fully straight)
+  trackingGrace: 0.5, // Seconds a hold survives the arm dropping out of tracking
+  checkFrameQuality: true, // Lighting, framing and other-people checks (see frameQuality.js)
+  minPersonScore: 0.3, // Pose score for another pose to count as a second person (multi-person pose model only)
+  checkCompensation: true, // Trunk lean, shoulder hike and torso rotation (see compensation.js)
+  rejectCompensatedHolds: false, // Compensated frames don't count toward the hold
+  maxTrunkLean: 10, // Degrees of sideways trunk lean beyond rest
+  maxShoulderHike: 8, // Degrees the held side's shoulder may rise beyond rest
+  maxTrunkRotation: 25 // Degrees of torso twist beyond rest
+};
+
+const SIDE_SEQUENCES = {
+  'right-first': ['right', 'left'],
+  'left-first': ['left', 'right'],
+  'bilateral': ['both']
+};
+
+// Sides in the order they are tested; 'both' is one bilateral hold
+export const sideSequence = (protocol) => SIDE_SEQUENCES[protocol.sideOrder];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isScore = value => isNumber(value) && value >= 0 && value < 1;
+
+// List what's wrong with a protocol; empty when it is valid
+export const validateProtocol = (protocol) => {
+  const errors = [];
+  const { holdDuration, timeLimit, targetAngles, angleTolerance, sideOrder, attempts } = protocol;
+
+  if (!isNumber(holdDuration) || holdDuration <= 0) errors.push('holdDuration must be a positive number of seconds');
+  if (!isNumber(timeLimit) || timeLimit <= 0) errors.push('timeLimit must be a positive number of seconds');
+  if (!SIDE_SEQUENCES[sideOrder]) errors.push(`sideOrder must be one of ${Object.keys(SIDE_SEQUENCES).join(', ')}`);
+  if (isNumber(holdDuration) && isNumber(timeLimit) && SIDE_SEQUENCES[sideOrder] &&
+      timeLimit < holdDuration * SIDE_SEQUENCES[sideOrder].length) {
+    errors.push('timeLimit is too short to hold every side for holdDuration');
+  }
+  ['left', 'right'].forEach(side => {
+    const angle = targetAngles ? targetAngles[side] : undefined;
+    if (!isNumber(angle) || angle <= 0 || angle > 90) {
+      errors.push(`targetAngles.${side} must be above 0 and at most 90 degrees`);
+    }
+  });
+  if (!isNumber(angleTolerance) || angleTolerance <= 0 || angleTolerance >= 90) {
+    errors.push('angleTolerance must be between 0 and 90 degrees');
+  }
+  if (attempts !== null && (!Number.isInteger(attempts) || attempts < 1)) {
+    errors.push('attempts must be a positive integer or null');
+  }
+  if (protocol.calibrate && (!isNumber(protocol.calibrationDuration) || protocol.calibrationDuration <= 0)) {
+    errors.push('calibrationDuration must be a positive number of seconds');
+  }
+  if (!isNumber(protocol.shoulderLineTolerance) || protocol.shoulderLineTolerance <= 0) {
+    errors.push('shoulderLineTolerance must be a positive fraction of shoulder width');
+  }
+  if (!isScore(protocol.minKeypointScore)) errors.push('minKeypointScore must be between 0 and 1');
+  if (!isScore(protocol.minHandScore)) errors.push('minHandScore must be between 0 and 1');
+  if (!isScore(protocol.minPersonScore)) errors.push('minPersonScore must be between 0 and 1');
+  if (protocol.checkElbowExtension &&
+      (!isNumber(protocol.minElbowAngle) || protocol.minElbowAngle < 90 || protocol.minElbowAngle > 180)) {
+    errors.push('minElbowAngle must be between 90 and 180 degrees');
+  }
+  if (!isNumber(protocol.trackingGrace) || protocol.trackingGrace < 0) {
+    errors.push('trackingGrace must be zero or a positive number of seconds');
+  }
+  if (protocol.checkCompensation) {
+    ['maxTrunkLean', 'maxShoulderHike', 'maxTrunkRotation'].forEach(key => {
+      if (!isNumber(protocol[key]) || protocol[key] <= 0 || protocol[key] >= 90) {
+        errors.push(`${key} must be between 0 and 90 degrees`);
+      }
+    });
+  }
+  return errors;
+};
+
+// Merge overrides into the default protocol; throws when the result is invalid
+export const createProtocol = (overrides = {}) => {
+  const protocol = {
+    ...DEFAULT_PROTOCOL,
+    ...overrides,
+    targetAngles: { ...DEFAULT_PROTOCOL.targetAngles, ...overrides.targetAngles }
+  };
+  const errors = validateProtocol(protocol);
+  if (errors.length > 0) {
+    throw new Error(`Invalid assessment protocol: ${errors.join('; ')}`);
+  }
+  return protocol;
+};
+
+const emptyHandStates = () => ({
+  left: { detected: false, correctAngle: false, shoulderTouching: false, elbowExtended: false, compensating: false },
+  right: { detected: false, correctAngle: false, shoulderTouching: false, elbowExtended: false, compensating: false }
+});
+
+const isVisible = (keypoint, protocol) => Boolean(keypoint) && keypoint.score > protocol.minKeypointScore;
+
+// Hand-model wrists carry the hand detection score, pose wrists a keypoint score
+const isWristVisible = (wrist, protocol) => Boolean(wrist) &&
+  wrist.score > (wrist.source === 'hand' ? protocol.minHandScore : protocol.minKeypointScore);
+
+// Angle at the elbow between the upper arm and the forearm, in degrees
+export const elbowAngle = (shoulder, elbow, wrist) => {
+  const upper = Math.atan2(shoulder.y - elbow.y, shoulder.x - elbow.x);
+  const lower = Math.atan2(wrist.y - elbow.y, wrist.x - elbow.x);
+  const angle = Math.abs(upper - lower) * (180 / Math.PI);
+  return angle > 180 ? 360 - angle : angle;
+};
+
+const emptySide = () => ({ startedAt: null, completedAt: null, failedAt: null, attempts: 0, samples: [] });
+
+export const createAssessmentState = (protocol = DEFAULT_PROTOCOL) => ({
+  protocol,
+  phase: 'idle', // idle | calibrating | running | complete | timedOut
+  calibrationStartedAt: null,
+  calibrationFrames: [],
+  calibration: null,
+  startedAt: null,
+  endedAt: null,
+  timeLeft: protocol.timeLimit,
+  sideIndex: 0,
+  currentSide: sideSequence(protocol)[0],
+  holdStartedAt: null,
+  holdElapsed: 0,
+  trackingLostAt: null, // When the held arm dropped out of tracking, during the grace window
+  qualityIssues: [], // Framing and quality issues with the latest frame (see frameQuality.js)
+  frameSize: null, // { width, height } of the latest frame; a change means the camera view changed
+  pausedAt: null, // When the run paused to recalibrate after the camera view changed
+  pausedMs: 0, // Time spent paused, which doesn't count against the clock
+  handStates: emptyHandStates(),
+  measurements: { left: null, right: null },
+  sides: { left: emptySide(), right: emptySide() }
+});
+
+// Measure one side of a frame: is the wrist visible, is the shoulder on the line,
+// is the arm at the target angle, is the elbow straight and is the body compensating
+export const measureSide = (side, frame, protocol, calibration = null) => {
+  const shoulder = frame.shoulders[side];
+  const elbow = frame.elbows ? frame.elbows[side] : null;
+  const wrist = frame.wrists[side];
+  const detected = isWristVisible(wrist, protocol);
+  const state = { detected, correctAngle: false, shoulderTouching: false, elbowExtended: false, compensating: false };
+
+  if (!detected || !isVisible(shoulder, protocol)) {
+    return { state, measurement: null };
+  }
+
+  const geometry = getGeometry(calibration, frame);
+  const shoulderDeviation = Math.abs(shoulder.y - geometry.shoulderLineY);
+  state.shoulderTouching = shoulderDeviation < geometry.tolerance;
+
+  // Angle between shoulder and wrist, outward from the body
+  const angle = armElevation(shoulder, wrist, side, frame.mirrored);
+  state.correctAngle = Math.abs(angle - protocol.targetAngles[side]) <= protocol.angleTolerance;
+
+  // An elbow we can't see can't be confirmed straight
+  const elbowAngleDeg = isVisible(elbow, protocol) ? elbowAngle(shoulder, elbow, wrist) : null;
+  state.elbowExtended = !protocol.checkElbowExtension ||
+    (elbowAngleDeg !== null && elbowAngleDeg >= protocol.minElbowAngle);
+
+  // Leaning, hiking or twisting to get the arm up
+  const compensation = protocol.checkCompensation ? measureCompensation(side, frame, protocol, calibration) : null;
+  state.compensating = compensation !== null && compensation.issues.length > 0;
+
+  // Positions for the stability analysis, scaled by the shoulder width
+  const otherShoulder = frame.shoulders[side === 'left' ? 'right' : 'left'];
+  const fingertip = frame.handLandmarks && frame.handLandmarks[side]
+    ? frame.handLandmarks[side][FINGERTIP_LANDMARK]
+    : null;
+  const scale = geometry.shoulderWidth || (isVisible(otherShoulder, protocol)
+    ? Math.hypot(shoulder.x - otherShoulder.x, shoulder.y - otherShoulder.y)
+    : null);
+
+  return {
+    state,
+    measurement: {
+      angle,
+      elbowAngle: elbowAngleDeg,
+      shoulderDeviation,
+      shoulderScore: shoulder.score,
+      handScore: wrist.score,
+      wrist: { x: wrist.x, y: wrist.y },
+      fingertip: fingertip ? { x: fingertip.x, y: fingertip.y } : null,
+      scale,
+      trunkLean: compensation && compensation.trunkLean,
+      shoulderHike: compensation && compensation.shoulderHike,
+      trunkRotation: compensation && compensation.trunkRotation,
+      compensation: compensation && compensation.issues
+    }
+  };
+};
+
+const isInPosition = ({ detected, correctAngle, shoulderTouching, elbowExtended, compensating }, protocol) =>
+  detected && correctAngle && shoulderTouching && elbowExtended &&
+  !(compensating && protocol.rejectCompensatedHolds);
+
+// Sides being tested right now: the current side, or both in bilateral mode
+export const activeSides = (state) => (state.currentSide === 'both' ? ['left', 'right'] : [state.currentSide]);
+
+// Advance the clock; ends the run when the time limit is reached
+const advanceTime = (state, timestamp) => {
+  if (state.phase !== 'running') return state;
+  const elapsed = (timestamp - state.startedAt - state.pausedMs) / 1000;
+  const timeLeft = Math.max(0, state.protocol.timeLimit - elapsed);
+  if (timeLeft > 0) return { ...state, timeLeft };
+  return { ...state, timeLeft: 0, phase: 'timedOut', endedAt: timestamp, holdStartedAt: null, holdElapsed: 0 };
+};
+
+// Begin the timed part of the run
+const beginRun = (state, timestamp) => {
+  // Resuming after recalibrating mid-run: the pause doesn't count against the clock
+  if (state.pausedAt !== null) {
+    const paused = timestamp - state.pausedAt;
+    const sides = { ...state.sides };
+    activeSides(state).forEach(side => {
+      sides[side] = { ...sides[side], startedAt: sides[side].startedAt + paused };
+    });
+    return { ...state, phase: 'running', pausedAt: null, pausedMs: state.pausedMs + paused, sides };
+  }
+
+  const sides = { ...state.sides };
+  activeSides(state).forEach(side => {
+    sides[side] = { ...sides[side], startedAt: timestamp };
+  });
+  return { ...state, phase: 'running', startedAt: timestamp, sides };
+};
+
+// Collect resting measurements; once enough time has passed, fix the geometry
+// and start the run. A window without enough usable frames starts over.
+const processCalibrationFrame = (state, frame) => {
+  const { protocol } = state;
+  const qualityIssues = frameQualityIssues(frame, protocol);
+  const body = qualityIssues.length === 0 ? measureBody(frame, protocol.minKeypointScore) : null;
+  const calibrationStartedAt = state.calibrationStartedAt ?? frame.timestamp;
+  const calibrationFrames = body ? [...state.calibrationFrames, body] : state.calibrationFrames;
+
+  if ((frame.timestamp - calibrationStartedAt) / 1000 < protocol.calibrationDuration) {
+    return { ...state, qualityIssues, calibrationStartedAt, calibrationFrames };
+  }
+  if (calibrationFrames.length < MIN_CALIBRATION_FRAMES) {
+    return { ...state, qualityIssues, calibrationStartedAt: frame.timestamp, calibrationFrames: [] };
+  }
+  const calibration = computeCalibration(calibrationFrames, protocol.shoulderLineTolerance);
+  return beginRun({ ...state, qualityIssues, calibration, calibrationFrames: [] }, frame.timestamp);
+};
+
+// The camera view changed (the device was rotated or the resolution changed), so
+// pixel geometry from calibration no longer applies. The current hold is dropped
+// without using up an attempt, and with calibration on the run pauses until the
+// patient has been measured again.
+const recalibrate = (state, timestamp) => {
+  if (state.phase === 'calibrating') return { ...state, calibrationStartedAt: null, calibrationFrames: [] };
+  if (state.phase !== 'running') return state;
+
+  let sides = state.sides;
+  if (state.holdStartedAt !== null) {
+    activeSides(state).forEach(side => {
+      sides = { ...sides, [side]: { ...sides[side], attempts: sides[side].attempts - 1 } };
+    });
+  }
+  const dropped = { ...state, sides, holdStartedAt: null, holdElapsed: 0, trackingLostAt: null };
+  if (!state.protocol.calibrate) return dropped;
+  return {
+    ...dropped,
+    phase: 'calibrating',
+    pausedAt: timestamp,
+    calibration: null,
+    calibrationStartedAt: null,
+    calibrationFrames: []
+  };
+};
+
+// Keep track of the frame size, recalibrating when it changes
+const trackFrameSize = (state, frame) => {
+  const frameSize = { width: frame.videoWidth, height: frame.videoHeight };
+  const changed = state.frameSize !== null &&
+    (state.frameSize.width !== frameSize.width || state.frameSize.height !== frameSize.height);
+  return { ...(changed ? recalibrate(state, frame.timestamp) : state), frameSize };
+};
+
+const frameQualityIssues = (frame, protocol) => (protocol.checkFrameQuality
+  ? assessFrameQuality(frame, protocol.minKeypointScore, { ...DEFAULT_QUALITY_THRESHOLDS, minPersonScore: protocol.minPersonScore })
+  : []);
+
+const processFrame = (state, frame) => {
+  const { protocol } = state;
+  const testing = activeSides(state);
+  const handStates = emptyHandStates();
+  const measurements = { left: null, right: null };
+  ['left', 'right'].forEach(side => {
+    const { state: sideState, measurement } = measureSide(side, frame, protocol, state.calibration);
+    handStates[side] = sideState;
+    measurements[side] = measurement;
+  });
+
+  // A frame we can't trust, or an arm we can't see, is a tracking problem rather
+  // than the patient moving: it never starts a hold, and during one it only
+  // breaks the hold once it lasts longer than the grace window
+  const qualityIssues = frameQualityIssues(frame, protocol);
+  const tracked = qualityIssues.length === 0 && testing.every(side => measurements[side] !== null);
+  const inPosition = tracked && testing.every(side => isInPosition(handStates[side], protocol));
+  const trackingLostAt = !tracked && state.holdStartedAt !== null ? (state.trackingLostAt ?? frame.timestamp) : null;
+  const inGrace = trackingLostAt !== null && (frame.timestamp - trackingLostAt) / 1000 < protocol.trackingGrace;
+  let sides = state.sides;
+
+  // Record the wrist path for the result and drift grading
+  testing.forEach(side => {
+    if (!measurements[side] || qualityIssues.length > 0) return;
+    sides = {
+      ...sides,
+      [side]: {
+        ...sides[side],
+        samples: [...sides[side].samples, { t: frame.timestamp, ...measurements[side], holding: inPosition || inGrace }]
+      }
+    };
+  });
+
+  const next = { ...state, handStates, measurements, sides, qualityIssues, trackingLostAt: inGrace ? trackingLostAt : null };
+  const update = patch => testing.reduce(
+    (all, side) => ({ ...all, [side]: { ...all[side], ...patch(all[side]) } }),
+    sides
+  );
+
+  // Hold on through the dropout; it completes only on a frame that is in position
+  if (inGrace) return next;
+
+  if (!inPosition) {
+    // A broken hold uses up an attempt; out of attempts fails the side
+    const attemptsUsed = testing.some(side => sides[side].attempts >= protocol.attempts);
+    if (state.holdStartedAt !== null && protocol.attempts !== null && attemptsUsed) {
+      return advanceSide(next, update(() => ({ failedAt: frame.timestamp })), frame.timestamp);
+    }
+    return { ...next, holdStartedAt: null, holdElapsed: 0 };
+  }
+
+  if (state.holdStartedAt === null) {
+    sides = update(side => ({ attempts: side.attempts + 1 }));
+  }
+  const holdStartedAt = state.holdStartedAt ?? frame.timestamp;
+  const holdElapsed = (frame.timestamp - holdStartedAt) / 1000;
+  if (holdElapsed < protocol.holdDuration) return { ...next, sides, holdStartedAt, holdElapsed };
+
+  // Side complete: move on to the next side or finish
+  sides = { ...sides, ...Object.fromEntries(testing.map(side => [side, { ...sides[side], completedAt: frame.timestamp }])) };
+  return advanceSide(next, sides, frame.timestamp);
+};
+
+// Move on to the next side in the sequence, or finish after the last one
+const advanceSide = (state, sides, timestamp) => {
+  const sequence = sideSequence(state.protocol);
+  const sideIndex = state.sideIndex + 1;
+  if (sideIndex >= sequence.length) {
+    return { ...state, sides, phase: 'complete', endedAt: timestamp, holdStartedAt: null, holdElapsed: 0 };
+  }
+  const nextSide = sequence[sideIndex];
+  const nextSides = { ...sides, [nextSide]: { ...sides[nextSide], startedAt: timestamp } };
+  return { ...state, sides: nextSides, sideIndex, currentSide: nextSide, holdStartedAt: null, holdElapsed: 0 };
+};
+
+// Events:
+//   { type: 'start', timestamp, protocol? }  - protocol replaces the current one
+//   { type: 'frame', timestamp, videoWidth, videoHeight, mirrored, shoulders: { left, right }, wrists: { left, right } }
+//   { type: 'tick', timestamp }  - advance the clock when no frame is available
+//   { type: 'switchSide', timestamp }  - end the current side unfinished and move on
+//     to the next one (or finish after the last), e.g. at a remote clinician's request
+//   { type: 'reset' }
+//   (frames may also carry elbows: { left, right } for the elbow-extension check
+//   and hips: { left, right } for the trunk lean and rotation checks)
+// Keypoints are { x, y, score } in display pixels, keyed by the patient's side
+// (see coordinates.js); mirrored says whether the display is a selfie view. A
+// change in frame size mid-run (rotating the device) recalibrates the patient.
+export const assessmentReducer = (state, event) => {
+  switch (event.type) {
+    case 'start': {
+      const fresh = createAssessmentState(event.protocol || state.protocol);
+      if (fresh.protocol.calibrate) return { ...fresh, phase: 'calibrating' };
+      return beginRun(fresh, event.timestamp);
+    }
+    case 'tick':
+      return advanceTime(state, event.timestamp);
+    case 'switchSide': {
+      const timed = advanceTime(state, event.timestamp);
+      return timed.phase === 'running' ? advanceSide(timed, timed.sides, event.timestamp) : timed;
+    }
+    case 'frame': {
+      const timed = trackFrameSize(advanceTime(state, event.timestamp), event);
+      if (timed.phase === 'calibrating') return processCalibrationFrame(timed, event);
+      return timed.phase === 'running' ? processFrame(timed, event) : timed;
+    }
+    case 'reset':
+      return createAssessmentState(state.protocol);
+    default:
+      return state;
+  }
+};
+
+// Grade one side from its wrist path. Each sample carries the arm angle in degrees
+// above the shoulder's horizontal (-90 = hanging down, 45 = target) and whether
+// the hold conditions were met on that frame.
+export const gradeArmDrift = (samples, completed) => {
+  if (samples.length === 0) return { grade: 4, drift: 0, holdBreaks: 0 };
+
+  // An arm held up but drifting still moved; only one that never left the
+  // hanging position didn't
+  const peak = Math.max(...samples.map(sample => sample.angle));
+
+  const holdSamples = samples.filter(sample => sample.holding);
+  const holdStart = holdSamples.length > 0 ? holdSamples[0].angle : peak;
+  const holdLow = holdSamples.length > 0 ? Math.min(...holdSamples.map(sample => sample.angle)) : peak;
+  const drift = Math.max(0, holdStart - holdLow);
+
+  let holdBreaks = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i - 1].holding && !samples[i].holding) holdBreaks++;
+  }
+
+  let grade;
+  if (completed) grade = holdBreaks > 0 || drift > DRIFT_THRESHOLD ? 1 : 0;
+  else if (peak - HANGING_ELEVATION < NO_MOVEMENT_RANGE) grade = 4;
+  else if (peak < NO_EFFORT_PEAK) grade = 3;
+  else grade = 2;
+
+  return { grade, drift, holdBreaks };
+};
+
+/**
+ * @typedef {Object} SideResult
+ * @property {boolean} tested - The side was reached before the assessment ended
+ * @property {boolean} completed - The position was held for the full hold duration
+ * @property {boolean} failed - The side ran out of attempts
+ * @property {number} attempts - Times the position was reached
+ * @property {number|null} timeToPosition - Seconds from the side starting to first reaching position
+ * @property {number} holdDuration - Longest continuous hold, in seconds
+ * @property {{min: number, mean: number, max: number}|null} angle - Arm elevation above horizontal, in degrees
+ * @property {{min: number, mean: number, max: number}|null} elbowAngle - Shoulder-elbow-wrist angle, in degrees
+ * @property {{mean: number, max: number}|null} shoulderDeviation - Shoulder distance from the line, in pixels
+ *   (relative to the calibrated shoulder line when calibration is on)
+ * @property {number} holdBreaks - Times the position was lost after being reached
+ * @property {{shoulder: number, hand: number}|null} confidence - Mean keypoint detection scores
+ * @property {{grade: number, label: string, degrees: number}|null} drift - NIHSS motor-arm grade
+ * @property {import('./stability').StabilityResult|null} stability - Tremor and steadiness over the longest hold
+ * @property {{compensated: boolean, fraction: number, issues: string[]}|null} compensation - Share of held
+ *   frames with trunk lean, shoulder hike or torso rotation, and which of those showed up
+ */
+
+/**
+ * @typedef {Object} AsymmetryResult
+ * @property {{left: number, right: number}} meanAngle - Mean arm angle while both arms were held, in degrees
+ * @property {{left: number, right: number}} drift - Angle lost over the hold per side, in degrees
+ * @property {number} index - Difference in deficit (angle below target plus drift) as a percentage of the target angle
+ * @property {'left'|'right'|null} weakerSide - Set when the index exceeds the flagging threshold
+ */
+
+/**
+ * @typedef {Object} AssessmentResult
+ * @property {'complete'|'timedOut'} status
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} endedAt - ISO timestamp
+ * @property {{shoulderLineY: number, shoulderWidth: number, armLength: number, tolerance: number}|null} calibration
+ *   - Resting geometry in display pixels, null when calibration was off
+ * @property {'sequential'|'bilateral'} mode
+ * @property {{left: SideResult, right: SideResult}} sides
+ * @property {AsymmetryResult|null} asymmetry - Bilateral mode only
+ * @property {import('./faceDroop').FaceResult|null} [face] - Facial droop step, added by the component when it ran
+ */
+
+const summarize = (values) => {
+  if (values.length === 0) return null;
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return { min: Math.min(...values), mean: total / values.length, max: Math.max(...values) };
+};
+
+// Build the result for one side from its recorded samples
+export const buildSideResult = ({ startedAt, completedAt, failedAt, attempts, samples }) => {
+  if (startedAt === null) {
+    return {
+      tested: false,
+      completed: false,
+      failed: false,
+      attempts: 0,
+      timeToPosition: null,
+      holdDuration: 0,
+      angle: null,
+      elbowAngle: null,
+      shoulderDeviation: null,
+      holdBreaks: 0,
+      confidence: null,
+      drift: null,
+      stability: null,
+      compensation: null
+    };
+  }
+
+  const completed = completedAt !== null;
+  const firstHold = samples.find(sample => sample.holding);
+
+  // Longest run of consecutive in-position frames
+  let holdDuration = 0;
+  let runStart = null;
+  samples.forEach(sample => {
+    if (!sample.holding) {
+      runStart = null;
+      return;
+    }
+    if (runStart === null) runStart = sample.t;
+    holdDuration = Math.max(holdDuration, (sample.t - runStart) / 1000);
+  });
+
+  // The reported angle is the held position; the approach only counts if the arm never got there
+  const held = samples.filter(sample => sample.holding);
+  const angle = summarize((held.length > 0 ? held : samples).map(sample => sample.angle));
+  const elbow = summarize(samples.filter(sample => sample.elbowAngle !== null).map(sample => sample.elbowAngle));
+  const deviation = summarize(samples.map(sample => sample.shoulderDeviation));
+  const shoulderScore = summarize(samples.map(sample => sample.shoulderScore));
+  const handScore = summarize(samples.map(sample => sample.handScore));
+  const { grade, drift, holdBreaks } = gradeArmDrift(samples, completed);
+
+  return {
+    tested: true,
+    completed,
+    failed: failedAt !== null,
+    attempts,
+    timeToPosition: firstHold ? (firstHold.t - startedAt) / 1000 : null,
+    holdDuration,
+    angle,
+    elbowAngle: elbow,
+    shoulderDeviation: deviation && { mean: deviation.mean, max: deviation.max },
+    holdBreaks,
+    confidence: shoulderScore && { shoulder: shoulderScore.mean, hand: handScore.mean },
+    drift: { grade, label: NIHSS_ARM_GRADES[grade], degrees: drift },
+    stability: analyzeStability(samples),
+    compensation: summarizeCompensation(samples)
+  };
+};
+
+// Compare both arms over the frames where they were held together. Each arm's
+// deficit is how far it sat below the target on average plus how much it drifted;
+// the weaker arm has the larger deficit.
+export const computeAsymmetry = (state) => {
+  const held = side => state.sides[side].samples.filter(sample => sample.holding);
+  const left = held('left');
+  const right = held('right');
+  if (left.length === 0 || right.length === 0) return null;
+
+  const meanAngle = {
+    left: summarize(left.map(sample => sample.angle)).mean,
+    right: summarize(right.map(sample => sample.angle)).mean
+  };
+  const drift = {
+    left: gradeArmDrift(state.sides.left.samples, true).drift,
+    right: gradeArmDrift(state.sides.right.samples, true).drift
+  };
+  const { targetAngles } = state.protocol;
+  const deficit = side => Math.max(0, targetAngles[side] - meanAngle[side]) + drift[side];
+  const target = (targetAngles.left + targetAngles.right) / 2;
+  const index = (Math.abs(deficit('right') - deficit('left')) / target) * 100;
+  let weakerSide = null;
+  if (index > ASYMMETRY_THRESHOLD) weakerSide = deficit('left') > deficit('right') ? 'left' : 'right';
+
+  return { meanAngle, drift, index, weakerSide };
+};
+
+// Result of a finished run, or null while it is still in progress
+export const getAssessmentResult = (state) => {
+  if (state.phase !== 'complete' && state.phase !== 'timedOut') return null;
+  return {
+    status: state.phase,
+    startedAt: new Date(state.startedAt).toISOString(),
+    endedAt: new Date(state.endedAt).toISOString(),
+    calibration: state.calibration,
+    mode: state.protocol.sideOrder === 'bilateral' ? 'bilateral' : 'sequential',
+    sides: {
+      right: buildSideResult(state.sides.right),
+      left: buildSideResult(state.sides.left)
+    },
+    asymmetry: state.protocol.sideOrder === 'bilateral' ? computeAsymmetry(state) : null
+  };
+};
@@ -0,0 +1,83 @@
+// Per-patient calibration. Before the timer starts the patient stands at rest and
+// we measure where their shoulders sit and how big they appear, so the shoulder
+// line, its tolerance and the target marker scale with the patient instead of
+// the frame. The resting posture is kept as the reference for the compensation
+// checks (see compensation.js).
+
+import { measurePosture } from './compensation';
+
+// Fallback geometry when calibration is turned off
+const UNCALIBRATED_LINE_Y = 0.7; // Shoulder line position (70% down the screen)
+const UNCALIBRATED_LINE_Y_PORTRAIT = 0.45; // Portrait frames show more of the body below the shoulders
+const UNCALIBRATED_TOLERANCE = 20; // Pixels between shoulder and line
+const UNCALIBRATED_ARM_LENGTH = 0.3 * Math.SQRT2; // Fraction of the frame's shorter side
+
+// Shoulder-to-wrist length is roughly 1.4x the shoulder width in adults; used
+// when the arms aren't visible during calibration
+const ARM_TO_SHOULDER_WIDTH = 1.4;
+
+export const MIN_CALIBRATION_FRAMES = 10;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const visible = (keypoint, minScore) => Boolean(keypoint) && keypoint.score > minScore;
+
+// Body measurements from one frame, or null when both shoulders aren't visible
+export const measureBody = (frame, minScore) => {
+  const { left, right } = frame.shoulders;
+  if (!visible(left, minScore) || !visible(right, minScore)) return null;
+
+  const armLengths = ['left', 'right']
+    .filter(side => frame.elbows && visible(frame.elbows[side], minScore) && visible(frame.wrists[side], minScore))
+    .map(side => distance(frame.shoulders[side], frame.elbows[side]) + distance(frame.elbows[side], frame.wrists[side]));
+
+  return {
+    shoulderY: (left.y + right.y) / 2,
+    shoulderWidth: distance(left, right),
+    armLength: armLengths.length > 0 ? Math.max(...armLengths) : null,
+    posture: measurePosture(frame, minScore)
+  };
+};
+
+// Median of each posture measurement that was seen at all
+const restingPosture = (postures) => {
+  const medianOf = (key) => {
+    const values = postures.map(posture => posture[key]).filter(value => value !== null);
+    return values.length > 0 ? median(values) : null;
+  };
+  return {
+    trunkTilt: medianOf('trunkTilt'),
+    shoulderTilt: medianOf('shoulderTilt'),
+    shoulderHipRatio: medianOf('shoulderHipRatio')
+  };
+};
+
+// Resting geometry from the frames collected during calibration.
+// lineTolerance is a fraction of the shoulder width.
+export const computeCalibration = (measurements, lineTolerance) => {
+  const shoulderY = median(measurements.map(m => m.shoulderY));
+  const shoulderWidth = median(measurements.map(m => m.shoulderWidth));
+  const armLengths = measurements.filter(m => m.armLength !== null).map(m => m.armLength);
+  return {
+    shoulderLineY: shoulderY,
+    shoulderWidth,
+    armLength: armLengths.length > 0 ? median(armLengths) : shoulderWidth * ARM_TO_SHOULDER_WIDTH,
+    tolerance: shoulderWidth * lineTolerance,
+    posture: restingPosture(measurements.map(m => m.posture).filter(Boolean))
+  };
+};
+
+// Geometry in display pixels for a frame: the calibration if there is one, else
+// the fixed fallback scaled to the frame
+export const getGeometry = (calibration, frame) => calibration || {
+  shoulderLineY: frame.videoHeight * (frame.videoHeight > frame.videoWidth ? UNCALIBRATED_LINE_Y_PORTRAIT : UNCALIBRATED_LINE_Y),
+  shoulderWidth: null,
+  armLength: Math.min(frame.videoWidth, frame.videoHeight) * UNCALIBRATED_ARM_LENGTH,
+  tolerance: UNCALIBRATED_TOLERANCE
+};
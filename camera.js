@@ -0,0 +1,99 @@
+// Camera selection and errors: getUserMedia constraints for the chosen camera,
+// the list of cameras to pick from and a classification of getUserMedia failures
+// for the recovery screens.
+
+export const DEFAULT_CAMERA = {
+  deviceId: null, // A specific camera from listCameras; overrides facingMode
+  facingMode: 'user', // 'user' (front) or 'environment' (back)
+  width: 640, // Requested resolution; the browser picks the closest it has
+  height: 480,
+  frameRate: 30
+};
+
+// What went wrong opening or keeping the camera:
+//   denied - the user or browser policy refused access
+//   notFound - no camera at all
+//   busy - another app or tab holds the camera, or the hardware failed
+//   unsupported - the camera can't meet the requested constraints
+//   insecure - no camera API (the page isn't served over HTTPS)
+//   disconnected - the camera went away during the session
+//   unknown - anything else
+export const CAMERA_ERRORS = ['denied', 'notFound', 'busy', 'unsupported', 'insecure', 'disconnected', 'unknown'];
+
+const ERROR_NAMES = {
+  NotAllowedError: 'denied',
+  PermissionDeniedError: 'denied',
+  SecurityError: 'denied',
+  NotFoundError: 'notFound',
+  DevicesNotFoundError: 'notFound',
+  NotReadableError: 'busy',
+  TrackStartError: 'busy',
+  AbortError: 'busy',
+  OverconstrainedError: 'unsupported',
+  ConstraintNotSatisfiedError: 'unsupported'
+};
+
+export const classifyCameraError = (error) => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return 'insecure';
+  }
+  return (error && ERROR_NAMES[error.name]) || 'unknown';
+};
+
+// Video constraints for react-webcam's videoConstraints. Resolution and frame
+// rate are ideals so a camera that can't match them still opens. Width and height
+// are swapped for portrait so phones don't crop to landscape.
+export const buildVideoConstraints = (camera = DEFAULT_CAMERA, portrait = false) => {
+  const { deviceId, facingMode, width, height, frameRate } = { ...DEFAULT_CAMERA, ...camera };
+  return {
+    ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+    width: { ideal: portrait ? height : width },
+    height: { ideal: portrait ? width : height },
+    frameRate: { ideal: frameRate }
+  };
+};
+
+// Guess front, back or external from the label; labels are only filled in once
+// camera permission has been granted
+const cameraKind = (label) => {
+  if (/front|user|facetime|face time/i.test(label)) return 'front';
+  if (/back|rear|environment/i.test(label)) return 'back';
+  return 'external';
+};
+
+// Video inputs as [{ deviceId, label, kind }], kind being front, back or external
+export const listCameras = async () => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map(device => ({ deviceId: device.deviceId, label: device.label, kind: cameraKind(device.label) }));
+};
+
+// Whether a stream comes from a back camera, which isn't shown mirrored
+export const isBackCamera = (stream) => {
+  const [track] = stream.getVideoTracks();
+  if (!track) return false;
+  const settings = track.getSettings ? track.getSettings() : {};
+  if (settings.facingMode) return settings.facingMode === 'environment';
+  return cameraKind(track.label) === 'back';
+};
+
+// Device id of the camera a stream comes from, to show it as picked
+export const streamDeviceId = (stream) => {
+  const [track] = stream.getVideoTracks();
+  if (!track || !track.getSettings) return null;
+  return track.getSettings().deviceId || null;
+};
+
+// Call onEnded when the stream's camera is unplugged or revoked; returns a
+// function that stops watching
+export const watchCameraEnded = (stream, onEnded) => {
+  const tracks = stream.getVideoTracks();
+  tracks.forEach(track => track.addEventListener('ended', onEnded));
+  return () => tracks.forEach(track => track.removeEventListener('ended', onEnded));
+};
+
+export const isPortrait = () => typeof window !== 'undefined' && window.innerHeight > window.innerWidth;
@@ -0,0 +1,106 @@
+// Annotated video clip of a run: the webcam frame with the overlay canvas drawn on
+// top, recorded with MediaRecorder. Markers (side switches, hold breaks) are burned
+// into the clip as a banner and also returned with their offsets.
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const MARKER_DURATION = 1500; // Milliseconds a marker banner stays on screen
+
+export const isClipRecordingSupported = () => typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' && Boolean(HTMLCanvasElement.prototype.captureStream);
+
+const pickMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// start(video, overlayCanvas, mirrored) begins recording; mark(label) adds a marker
+// at the current time; stop() resolves to { blob, mimeType, duration, markers }
+// with marker offsets in milliseconds from the start; cancel() discards the clip.
+export const createClipRecorder = ({ fps = 15 } = {}) => {
+  let recorder = null;
+  let chunks = [];
+  let frameTimer = null;
+  let startedAt = null;
+  let markers = [];
+
+  const drawBanner = (ctx, width, label) => {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, width, 44);
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 22px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, width / 2, 30);
+  };
+
+  const stopDrawing = () => {
+    clearInterval(frameTimer);
+    frameTimer = null;
+  };
+
+  return {
+    start: (video, overlayCanvas, mirrored = true) => {
+      if (recorder || !isClipRecordingSupported()) return false;
+      const canvas = document.createElement('canvas');
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      const ctx = canvas.getContext('2d');
+
+      chunks = [];
+      markers = [];
+      startedAt = Date.now();
+      frameTimer = setInterval(() => {
+        ctx.save();
+        if (mirrored) {
+          ctx.translate(canvas.width, 0);
+          ctx.scale(-1, 1);
+        }
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        ctx.restore();
+        ctx.drawImage(overlayCanvas, 0, 0, canvas.width, canvas.height);
+
+        const now = Date.now() - startedAt;
+        const active = markers.filter(marker => now - marker.offset < MARKER_DURATION);
+        if (active.length > 0) drawBanner(ctx, canvas.width, active[active.length - 1].label);
+      }, 1000 / fps);
+
+      const mimeType = pickMimeType();
+      recorder = new MediaRecorder(canvas.captureStream(fps), mimeType ? { mimeType } : undefined);
+      recorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+      };
+      recorder.start(1000);
+      return true;
+    },
+    mark: (label) => {
+      if (recorder) markers.push({ offset: Date.now() - startedAt, label });
+    },
+    stop: () => new Promise((resolve) => {
+      if (!recorder) {
+        resolve(null);
+        return;
+      }
+      const current = recorder;
+      const duration = Date.now() - startedAt;
+      recorder = null;
+      current.onstop = () => {
+        stopDrawing();
+        const mimeType = current.mimeType || 'video/webm';
+        resolve({ blob: new Blob(chunks, { type: mimeType }), mimeType, duration, markers });
+      };
+      current.stop();
+    }),
+    cancel: () => {
+      if (recorder && recorder.state !== 'inactive') recorder.stop();
+      recorder = null;
+      stopDrawing();
+      chunks = [];
+    }
+  };
+};
+
+export const downloadClip = (clip, name) => {
+  const extension = clip.mimeType.startsWith('video/mp4') ? 'mp4' : 'webm';
+  const url = URL.createObjectURL(clip.blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${name}.${extension}`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
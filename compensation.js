@@ -0,0 +1,84 @@
+// Compensation checks: a weak arm can reach the target angle by leaning the trunk
+// sideways, hiking the shoulder or twisting the torso instead of lifting the arm.
+// Posture is measured from the shoulders and hips and compared with the resting
+// posture from calibration (upright and level when there is none). Anything that
+// needs the hips is skipped when they are out of view.
+
+// In order of priority: the first issue is the one to tell the patient about
+export const COMPENSATION_ISSUES = ['trunkLean', 'shoulderHike', 'trunkRotation'];
+
+// Share of a side's held frames that must be compensated to flag the hold
+const COMPENSATED_FRACTION = 0.25;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const visible = (keypoint, minScore) => Boolean(keypoint) && keypoint.score > minScore;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Posture of one frame, or null when both shoulders aren't visible:
+//   trunkTilt - degrees the hip-to-shoulder line leans from vertical (null without hips)
+//   shoulderTilt - degrees the shoulder line slopes, positive when the right shoulder is higher
+//   shoulderHipRatio - shoulder width over hip width; drops as the torso twists (null without hips)
+export const measurePosture = (frame, minScore) => {
+  const { left, right } = frame.shoulders;
+  if (!visible(left, minScore) || !visible(right, minScore)) return null;
+
+  const shoulderTilt = Math.atan2(left.y - right.y, Math.abs(left.x - right.x)) * RAD_TO_DEG;
+  const hips = frame.hips || {};
+  if (!visible(hips.left, minScore) || !visible(hips.right, minScore)) {
+    return { trunkTilt: null, shoulderTilt, shoulderHipRatio: null };
+  }
+
+  const shoulderMid = midpoint(left, right);
+  const hipMid = midpoint(hips.left, hips.right);
+  const hipWidth = distance(hips.left, hips.right);
+  return {
+    trunkTilt: Math.atan2(shoulderMid.x - hipMid.x, hipMid.y - shoulderMid.y) * RAD_TO_DEG,
+    shoulderTilt,
+    shoulderHipRatio: hipWidth > 0 ? distance(left, right) / hipWidth : null
+  };
+};
+
+const UPRIGHT = { trunkTilt: 0, shoulderTilt: 0, shoulderHipRatio: null };
+
+// Compensation while holding one side, relative to the resting posture. Values
+// are degrees beyond rest (null when they can't be measured); shoulderHike is
+// positive when this side's shoulder is raised. issues follows COMPENSATION_ISSUES.
+export const measureCompensation = (side, frame, protocol, calibration = null) => {
+  const posture = measurePosture(frame, protocol.minKeypointScore);
+  if (!posture) return { trunkLean: null, shoulderHike: null, trunkRotation: null, issues: [] };
+  const rest = (calibration && calibration.posture) || UPRIGHT;
+
+  const trunkLean = posture.trunkTilt !== null
+    ? Math.abs(posture.trunkTilt - (rest.trunkTilt ?? 0))
+    : null;
+  const tilt = posture.shoulderTilt - (rest.shoulderTilt ?? 0);
+  const shoulderHike = side === 'right' ? tilt : -tilt;
+  // Twisting foreshortens the shoulders relative to the hips
+  const trunkRotation = posture.shoulderHipRatio !== null && rest.shoulderHipRatio
+    ? Math.acos(Math.min(1, posture.shoulderHipRatio / rest.shoulderHipRatio)) * RAD_TO_DEG
+    : null;
+
+  const issues = [];
+  if (trunkLean !== null && trunkLean > protocol.maxTrunkLean) issues.push('trunkLean');
+  if (shoulderHike > protocol.maxShoulderHike) issues.push('shoulderHike');
+  if (trunkRotation !== null && trunkRotation > protocol.maxTrunkRotation) issues.push('trunkRotation');
+  return { trunkLean, shoulderHike, trunkRotation, issues };
+};
+
+// Compensation over a side's held frames: the share of them that were
+// compensated and which issues showed up; null when the side was never held
+export const summarizeCompensation = (samples) => {
+  const held = samples.filter(sample => sample.holding && sample.compensation);
+  if (held.length === 0) return null;
+  const compensatedSamples = held.filter(sample => sample.compensation.length > 0);
+  const fraction = compensatedSamples.length / held.length;
+  return {
+    compensated: fraction >= COMPENSATED_FRACTION,
+    fraction,
+    issues: COMPENSATION_ISSUES.filter(issue => compensatedSamples.some(sample => sample.compensation.includes(issue)))
+  };
+};
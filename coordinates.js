@@ -0,0 +1,53 @@
+// Coordinate spaces. Everything downstream of buildFrame works in display space
+// and in the patient's anatomical sides; this is the only place that knows how
+// the models and the video relate to those.
+//
+//   Model space:   pixels of the raw video frame, as the detectors see it.
+//   Display space: pixels as shown on screen. The webcam is rendered mirrored
+//                  (selfie view), so x is flipped when mirrored is true.
+//   Sides:         'left'/'right' always mean the patient's own left/right arm.
+
+// Model space to display space
+export const toDisplayPoint = (point, videoWidth, mirrored) => (point
+  ? { ...point, x: mirrored ? videoWidth - point.x : point.x }
+  : null);
+
+// MediaPipe Hands labels handedness assuming a mirrored (selfie) input image. The
+// detectors get the raw, unmirrored video frame, so the label is the opposite of
+// the patient's hand unless the input itself was mirrored.
+export const handednessToSide = (handedness, inputMirrored = false) => {
+  const label = handedness.toLowerCase() === 'left' ? 'left' : 'right';
+  if (inputMirrored) return label;
+  return label === 'left' ? 'right' : 'left';
+};
+
+// Display-space x direction in which the given arm points away from the body.
+// Facing the camera, the patient's right arm appears on the right of a mirrored
+// view and on the left of an unmirrored one.
+export const outwardDirection = (side, mirrored) => ((side === 'right') === mirrored ? 1 : -1);
+
+// Elevation in degrees above the shoulder's horizontal, measured toward display-space
+// x direction (+1 or -1): -90 hanging down, 0 horizontal, 90 straight up, and past
+// 90 or below -90 on the other side of the shoulder
+export const elevationToward = (shoulder, wrist, direction) => {
+  const dx = (wrist.x - shoulder.x) * direction;
+  const dy = shoulder.y - wrist.y; // Inverted because y increases downward
+  return Math.atan2(dy, dx) * (180 / Math.PI);
+};
+
+// Arm elevation measured outward from the body. Points in display space.
+export const armElevation = (shoulder, wrist, side, mirrored) =>
+  elevationToward(shoulder, wrist, outwardDirection(side, mirrored));
+
+// Display-space point at the given elevation toward direction and distance from the shoulder
+export const pointToward = (shoulder, elevation, distance, direction) => {
+  const radians = elevation * (Math.PI / 180);
+  return {
+    x: shoulder.x + Math.cos(radians) * distance * direction,
+    y: shoulder.y - Math.sin(radians) * distance
+  };
+};
+
+// Display-space point at the given elevation, outward from the body
+export const pointAtElevation = (shoulder, elevation, distance, side, mirrored) =>
+  pointToward(shoulder, elevation, distance, outwardDirection(side, mirrored));
@@ -0,0 +1,44 @@
+// Web Worker that runs the TensorFlow.js detector off the main thread. The page
+// posts { id, type, ... } requests with transferred ImageBitmaps of the video and
+// gets { id, result } or { id, error } back (see workerDetector.js).
+
+import { createTfjsDetector } from './detectors';
+
+let detector = null;
+
+const handlers = {
+  load: async ({ options }) => {
+    detector = createTfjsDetector(options);
+    await detector.load();
+    return { backend: detector.backend };
+  },
+  estimate: async ({ bitmap }) => {
+    try {
+      return await detector.estimate(bitmap);
+    } finally {
+      bitmap.close();
+    }
+  },
+  estimateFaces: async ({ bitmap }) => {
+    try {
+      return await detector.estimateFaces(bitmap);
+    } finally {
+      bitmap.close();
+    }
+  },
+  dispose: async () => {
+    if (detector) detector.dispose();
+    detector = null;
+    return null;
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data;
+  try {
+    const result = await handlers[type](data);
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,127 @@
+// Detector providers. A provider loads its models and turns a video frame into raw
+// pose and hand predictions:
+//
+//   {
+//     name,
+//     load: async () => {},
+//     estimate: async (video) => ({ poses, hands }),
+//     estimateFaces: async (video) => faces,  // optional, for the facial droop step
+//     dispose: () => {}
+//   }
+//
+// Any object with that shape can be passed to MotorWeaknessAssessment as `detector`.
+// createWorkerDetector (workerDetector.js) runs the TensorFlow.js provider below in
+// a Web Worker behind the same interface.
+
+import * as tf from '@tensorflow/tfjs';
+import '@tensorflow/tfjs-backend-webgl';
+import '@tensorflow/tfjs-backend-wasm';
+import * as faceLandmarksDetection from '@tensorflow-models/face-landmarks-detection';
+import * as handPoseDetection from '@tensorflow-models/hand-pose-detection';
+import * as poseDetection from '@tensorflow-models/pose-detection';
+
+// Backends to try in order when the preferred one is unavailable
+export const DEFAULT_BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+export const POSE_MODELS = {
+  'movenet-lightning': () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+    modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
+    enableSmoothing: true
+  }),
+  'movenet-thunder': () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+    modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
+    enableSmoothing: true
+  }),
+  // Finds everyone in view, so a second person in the frame can be flagged
+  'movenet-multipose': () => poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+    modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+    enableSmoothing: true,
+    enableTracking: true
+  }),
+  'blazepose': () => poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, {
+    runtime: 'tfjs',
+    modelType: 'full',
+    enableSmoothing: true
+  })
+};
+
+// Switch to the first backend that initializes; returns its name
+export const initBackend = async (backends = DEFAULT_BACKENDS) => {
+  for (const backend of backends) {
+    try {
+      if (await tf.setBackend(backend)) {
+        await tf.ready();
+        return backend;
+      }
+    } catch (error) {
+      // Not available on this device, try the next one
+    }
+  }
+  throw new Error(`No TensorFlow.js backend available (tried ${backends.join(', ')})`);
+};
+
+// TensorFlow.js provider: one of POSE_MODELS for the shoulders plus MediaPipeHands.
+// With trackHands off only the pose model runs and hands is always empty. With
+// trackFace on MediaPipeFaceMesh is loaded too, for estimateFaces.
+export const createTfjsDetector = ({
+  poseModel = 'movenet-thunder',
+  backends = DEFAULT_BACKENDS,
+  trackHands = true,
+  trackFace = false
+} = {}) => {
+  if (!POSE_MODELS[poseModel]) {
+    throw new Error(`Unknown pose model: ${poseModel}`);
+  }
+
+  let poseDetector = null;
+  let handDetector = null;
+  let faceDetector = null;
+
+  const provider = {
+    name: poseModel,
+    backend: null,
+    load: async () => {
+      provider.backend = await initBackend(backends);
+      poseDetector = await POSE_MODELS[poseModel]();
+      if (trackHands) {
+        handDetector = await handPoseDetection.createDetector(handPoseDetection.SupportedModels.MediaPipeHands, {
+          runtime: 'tfjs',
+          modelType: 'full',
+          maxHands: 2
+        });
+      }
+      if (trackFace) {
+        faceDetector = await faceLandmarksDetection.createDetector(
+          faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+          { runtime: 'tfjs', refineLandmarks: false, maxFaces: 1 }
+        );
+      }
+    },
+    estimate: async (video) => {
+      const poses = await poseDetector.estimatePoses(video);
+      const hands = handDetector ? await handDetector.estimateHands(video) : [];
+      return { poses, hands };
+    },
+    estimateFaces: async (video) => (faceDetector ? faceDetector.estimateFaces(video) : []),
+    dispose: () => {
+      if (poseDetector) poseDetector.dispose();
+      if (handDetector) handDetector.dispose();
+      if (faceDetector) faceDetector.dispose();
+      poseDetector = null;
+      handDetector = null;
+      faceDetector = null;
+    }
+  };
+  return provider;
+};
+
+// Provider for tests and demos: estimate(video) returns canned { poses, hands },
+// estimateFaces(video) canned faces
+export const createFakeDetector = (estimate, estimateFaces = () => []) => ({
+  name: 'fake',
+  backend: null,
+  load: async () => {},
+  estimate: async (video) => estimate(video),
+  estimateFaces: async (video) => estimateFaces(video),
+  dispose: () => {}
+});
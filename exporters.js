@@ -0,0 +1,432 @@
+// Result exporters for EHR integration: a FHIR R4 Bundle with one Observation, a
+// CSV of the per-frame samples and a printable one-page HTML report. All of them
+// build plain strings or objects from the result, so they work offline and can be
+// checked against fixtures; only the download and print helpers touch the DOM.
+
+import { createTranslator } from './messages';
+
+// Local code system for the observation and its components. There is no standard
+// code for this camera-based test, so integrators map these codes as needed.
+export const DEFAULT_CODE_SYSTEM = 'urn:motor-weakness-assessment';
+
+const UCUM = 'http://unitsofmeasure.org';
+const DATA_ABSENT_REASON = 'http://terminology.hl7.org/CodeSystem/data-absent-reason';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+
+// Random (version 4) UUID. crypto.randomUUID is missing outside secure contexts
+// and in older browsers, so fall back to building one from random bytes.
+const newId = () => {
+  const hasCrypto = typeof crypto !== 'undefined';
+  if (hasCrypto && crypto.randomUUID) return crypto.randomUUID();
+  const bytes = hasCrypto && crypto.getRandomValues
+    ? crypto.getRandomValues(new Uint8Array(16))
+    : Uint8Array.from({ length: 16 }, () => Math.floor(Math.random() * 256));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const concept = (system, code, display) => ({ coding: [{ system, code, display }], text: display });
+
+const quantity = (value, unit, code) => ({ value: Math.round(value * 100) / 100, unit, system: UCUM, code });
+
+const notPerformed = { coding: [{ system: DATA_ABSENT_REASON, code: 'not-performed', display: 'Not Performed' }] };
+
+// Components for one arm: NIHSS grade, drift, hold time, time to position,
+// whether the hold was completed, its steadiness and whether it was compensated.
+// An untested arm gets a single absent grade.
+const armComponents = (side, sideResult, codeSystem) => {
+  const code = (suffix, display) => concept(codeSystem, `${side}-arm-${suffix}`, `${side === 'right' ? 'Right' : 'Left'} arm ${display}`);
+  if (!sideResult.tested || !sideResult.drift) {
+    return [{ code: code('nihss-grade', 'NIHSS motor grade'), dataAbsentReason: notPerformed }];
+  }
+  const components = [
+    { code: code('nihss-grade', 'NIHSS motor grade'), valueInteger: sideResult.drift.grade },
+    { code: code('drift', 'drift'), valueQuantity: quantity(sideResult.drift.degrees, '°', 'deg') },
+    { code: code('hold-duration', 'longest hold'), valueQuantity: quantity(sideResult.holdDuration, 's', 's') },
+    { code: code('hold-completed', 'hold completed'), valueBoolean: sideResult.completed }
+  ];
+  if (sideResult.timeToPosition !== null) {
+    components.push({ code: code('time-to-position', 'time to position'), valueQuantity: quantity(sideResult.timeToPosition, 's', 's') });
+  }
+  if (sideResult.angle) {
+    components.push({ code: code('mean-angle', 'mean elevation'), valueQuantity: quantity(sideResult.angle.mean, '°', 'deg') });
+  }
+  if (sideResult.stability) {
+    const { score, tremor, dominantFrequency } = sideResult.stability;
+    components.push({ code: code('stability-score', 'stability score'), valueInteger: score });
+    components.push({ code: code('tremor', 'tremor'), valueBoolean: tremor });
+    if (tremor) {
+      components.push({ code: code('tremor-frequency', 'tremor frequency'), valueQuantity: quantity(dominantFrequency, 'Hz', 'Hz') });
+    }
+  }
+  if (sideResult.compensation) {
+    components.push({ code: code('compensated', 'hold compensated'), valueBoolean: sideResult.compensation.compensated });
+  }
+  return components;
+};
+
+const FINE_MOTOR_NAMES = { fingerTap: 'finger tapping', fistClench: 'fist clenching', targetReach: 'target reaching' };
+const kebab = text => text.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+// Components for one fine-motor test: each hand's measures and the hand that did
+// worse, when the difference is above the threshold
+const fineMotorComponents = (test, testResult, codeSystem) => {
+  const components = [];
+  ['right', 'left'].forEach((side) => {
+    const sideResult = testResult[side];
+    if (!sideResult) return;
+    const code = (suffix, display) => concept(
+      codeSystem,
+      `${side}-hand-${kebab(test)}-${suffix}`,
+      `${side === 'right' ? 'Right' : 'Left'} hand ${FINE_MOTOR_NAMES[test]} ${display}`
+    );
+    if (!sideResult.detected) {
+      components.push({ code: code('count', 'count'), dataAbsentReason: notPerformed });
+      return;
+    }
+    components.push({ code: code('count', 'count'), valueInteger: sideResult.count });
+    if (test === 'targetReach') {
+      if (sideResult.movementTime !== null) {
+        components.push({ code: code('movement-time', 'movement time'), valueQuantity: quantity(sideResult.movementTime, 's', 's') });
+        components.push({ code: code('path-ratio', 'path length ratio'), valueQuantity: quantity(sideResult.pathRatio, '1', '1') });
+      }
+      components.push({ code: code('dysmetric', 'dysmetric'), valueBoolean: sideResult.dysmetric });
+      return;
+    }
+    if (sideResult.rate !== null) {
+      components.push({ code: code('rate', 'rate'), valueQuantity: quantity(sideResult.rate, '/s', '/s') });
+    }
+    if (sideResult.intervalCv !== null) {
+      components.push({ code: code('interval-cv', 'rhythm variability'), valueQuantity: quantity(sideResult.intervalCv, '1', '1') });
+    }
+    components.push({ code: code('irregular', 'irregular rhythm'), valueBoolean: sideResult.irregular });
+  });
+  if (testResult.asymmetry !== null) {
+    components.push({
+      code: concept(codeSystem, `${kebab(test)}-asymmetry`, `Hand ${FINE_MOTOR_NAMES[test]} asymmetry`),
+      valueQuantity: quantity(testResult.asymmetry * 100, '%', '%')
+    });
+  }
+  return components;
+};
+
+// Components for one range-of-motion movement: each arm's active range, whether
+// it is limited against the reference and whether the arm compensated to go further
+const rangeOfMotionComponents = (movement, movementResult, codeSystem) => {
+  const components = [];
+  ['right', 'left'].forEach((side) => {
+    const sideResult = movementResult[side];
+    if (!sideResult) return;
+    const code = (suffix, display) => concept(
+      codeSystem,
+      `${side}-shoulder-${movement}${suffix}`,
+      `${side === 'right' ? 'Right' : 'Left'} shoulder active ${movement}${display}`
+    );
+    if (!sideResult.detected || sideResult.maxAngle === null) {
+      components.push({ code: code('', ''), dataAbsentReason: notPerformed });
+      return;
+    }
+    components.push({
+      code: code('', ''),
+      valueQuantity: quantity(sideResult.maxAngle, '°', 'deg'),
+      referenceRange: [{ high: quantity(sideResult.normal, '°', 'deg') }]
+    });
+    components.push({ code: code('-limited', ' limited'), valueBoolean: sideResult.limited });
+    components.push({ code: code('-compensated', ' compensated'), valueBoolean: sideResult.compensated });
+  });
+  return components;
+};
+
+// One line per movement, e.g. "Right arm: 165° of 180° (92%) · Left arm: 110° of
+// 180° (61%), limited – compensated (trunk lean)"
+export const describeRangeOfMotion = (movement, movementResult, t) => {
+  const describeArm = (sideResult) => {
+    if (!sideResult.detected) return t('rom.notDetected');
+    if (sideResult.maxAngle === null) return t('rom.noActiveRange');
+    let text = t('rom.range', {
+      angle: Math.round(sideResult.maxAngle),
+      normal: sideResult.normal,
+      percent: Math.round(sideResult.percentOfNormal)
+    });
+    if (sideResult.limited) text += `, ${t('rom.limited')}`;
+    if (sideResult.compensated) {
+      const issues = sideResult.issues.map(issue => t(`romIssue.${issue}`)).join(', ');
+      text += ` – ${t('rom.compensated', { angle: Math.round(sideResult.peakAngle), issues })}`;
+    }
+    return text;
+  };
+  return ['right', 'left']
+    .filter(side => movementResult[side])
+    .map(side => `${t(`arm.${side}`)}: ${describeArm(movementResult[side])}`)
+    .join(' · ');
+};
+
+// One line per fine-motor test for the result screen and the report, e.g.
+// "Right hand: 4.2 taps/s · Left hand: 2.1 taps/s, irregular – Left hand weaker"
+export const describeFineMotor = (test, testResult, t) => {
+  const describeHand = (sideResult) => {
+    if (!sideResult.detected) return t('fineMotor.notDetected');
+    if (test === 'targetReach') {
+      if (sideResult.count === 0) return t('fineMotor.noReaches');
+      const reach = t('fineMotor.reach', { time: sideResult.movementTime.toFixed(1), ratio: sideResult.pathRatio.toFixed(2) });
+      return sideResult.dysmetric ? `${reach}, ${t('fineMotor.dysmetric')}` : reach;
+    }
+    if (sideResult.count === 0) return t(`fineMotor.none.${test}`);
+    const rate = t(`fineMotor.rate.${test}`, { rate: sideResult.rate.toFixed(1) });
+    return sideResult.irregular ? `${rate}, ${t('fineMotor.irregular')}` : rate;
+  };
+  const hands = ['right', 'left']
+    .filter(side => testResult[side])
+    .map(side => `${t(`hand.${side}`)}: ${describeHand(testResult[side])}`)
+    .join(' · ');
+  return testResult.weakerSide ? `${hands} – ${t('result.weaker', { arm: t(`hand.${testResult.weakerSide}`) })}` : hands;
+};
+
+// FHIR R4 collection Bundle holding one Observation for the run.
+// patientReference, e.g. 'Patient/123', becomes the Observation subject.
+export const toFhirBundle = (result, {
+  patientReference = null,
+  codeSystem = DEFAULT_CODE_SYSTEM,
+  observationId = newId(),
+  bundleId = newId()
+} = {}) => {
+  const components = [
+    ...armComponents('right', result.sides.right, codeSystem),
+    ...armComponents('left', result.sides.left, codeSystem)
+  ];
+  if (result.asymmetry) {
+    components.push({
+      code: concept(codeSystem, 'asymmetry-index', 'Arm asymmetry index'),
+      valueQuantity: quantity(result.asymmetry.index, '%', '%')
+    });
+  }
+  if (result.face) {
+    components.push(result.face.detected
+      ? { code: concept(codeSystem, 'facial-droop', 'Facial droop'), valueBoolean: result.face.droop }
+      : { code: concept(codeSystem, 'facial-droop', 'Facial droop'), dataAbsentReason: notPerformed });
+  }
+  if (result.fineMotor) {
+    Object.keys(result.fineMotor).forEach((test) => {
+      components.push(...fineMotorComponents(test, result.fineMotor[test], codeSystem));
+    });
+  }
+  if (result.rangeOfMotion) {
+    Object.keys(result.rangeOfMotion).forEach((movement) => {
+      components.push(...rangeOfMotionComponents(movement, result.rangeOfMotion[movement], codeSystem));
+    });
+  }
+
+  const observation = {
+    resourceType: 'Observation',
+    id: observationId,
+    status: 'final',
+    category: [concept(OBSERVATION_CATEGORY, 'exam', 'Exam')],
+    code: concept(codeSystem, 'motor-weakness-assessment', 'Motor weakness assessment (arm drift)'),
+    effectivePeriod: { start: result.startedAt, end: result.endedAt },
+    issued: result.endedAt,
+    method: { text: result.mode === 'bilateral' ? 'Both arms held together' : 'One arm at a time' },
+    component: components
+  };
+  if (patientReference) observation.subject = { reference: patientReference };
+  if (result.status === 'timedOut') {
+    observation.note = [{ text: 'Assessment timed out before both arms were completed' }];
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: bundleId,
+    type: 'collection',
+    timestamp: result.endedAt,
+    entry: [{ fullUrl: `urn:uuid:${observationId}`, resource: observation }]
+  };
+};
+
+export const CSV_COLUMNS = [
+  'side', 'timestamp', 'elapsed_s', 'angle_deg', 'elbow_angle_deg',
+  'shoulder_deviation_px', 'shoulder_score', 'hand_score', 'trunk_lean_deg',
+  'shoulder_hike_deg', 'trunk_rotation_deg', 'compensation', 'holding'
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+  return String(value);
+};
+
+// CSV of every recorded sample from a finished engine state, one row per side
+// per frame. Elapsed time is from the start of the timed run.
+export const toSamplesCsv = (state) => {
+  const rows = ['right', 'left'].flatMap(side => state.sides[side].samples.map(sample => [
+    side,
+    new Date(sample.t).toISOString(),
+    (sample.t - state.startedAt) / 1000,
+    sample.angle,
+    sample.elbowAngle,
+    sample.shoulderDeviation,
+    sample.shoulderScore,
+    sample.handScore,
+    sample.trunkLean,
+    sample.shoulderHike,
+    sample.trunkRotation,
+    sample.compensation ? sample.compensation.join(' ') : null,
+    sample.holding
+  ]));
+  rows.sort((a, b) => a[2] - b[2]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatSeconds = value => (value === null ? '–' : `${value.toFixed(1)} s`);
+
+// Standalone one-page HTML report; snapshot is an image data URL (see captureSnapshot)
+export const toHtmlReport = (result, { snapshot = null, patientId = null, locale = 'en', messages = null } = {}) => {
+  const t = createTranslator(locale, messages);
+  const sideRow = (side) => {
+    const sideResult = result.sides[side];
+    const grade = sideResult.drift
+      ? t('result.grade', {
+        grade: sideResult.drift.grade,
+        label: t(`grade.${sideResult.drift.grade}`),
+        drift: Math.round(sideResult.drift.degrees)
+      })
+      : t('result.notTested');
+    let stability = '–';
+    if (sideResult.stability) {
+      const { score, tremor, dominantFrequency } = sideResult.stability;
+      stability = t('result.stability', { score });
+      if (tremor) stability += ` – ${t('result.tremor', { frequency: dominantFrequency.toFixed(1) })}`;
+    }
+    let compensation = '';
+    if (sideResult.compensation && sideResult.compensation.compensated) {
+      const issues = sideResult.compensation.issues.map(issue => t(`compensationIssue.${issue}`)).join(', ');
+      compensation = ` – ${t('result.compensated', { issues })}`;
+    }
+    return `<tr>
+      <th>${escapeHtml(t(`arm.${side}`))}</th>
+      <td>${escapeHtml(grade + compensation)}</td>
+      <td>${escapeHtml(formatSeconds(sideResult.timeToPosition))}</td>
+      <td>${escapeHtml(formatSeconds(sideResult.tested ? sideResult.holdDuration : null))}</td>
+      <td>${escapeHtml(sideResult.angle ? `${Math.round(sideResult.angle.mean)}°` : '–')}</td>
+      <td>${escapeHtml(stability)}</td>
+    </tr>`;
+  };
+
+  const details = [];
+  if (result.asymmetry) {
+    const asymmetry = result.asymmetry.weakerSide
+      ? t('result.weaker', { arm: t(`arm.${result.asymmetry.weakerSide}`) })
+      : t('result.symmetric');
+    details.push(`<p><strong>${escapeHtml(t('result.asymmetry'))}:</strong> ${Math.round(result.asymmetry.index)}% – ${escapeHtml(asymmetry)}</p>`);
+  }
+  if (result.face) {
+    let face = t('result.faceNotMeasured');
+    if (result.face.detected) {
+      face = result.face.droop
+        ? t('result.droop', { side: t(`side.${result.face.droopSide}`), score: result.face.droopScore.toFixed(2) })
+        : t('result.noDroop', { score: result.face.droopScore.toFixed(2) });
+    }
+    details.push(`<p><strong>${escapeHtml(t('result.face'))}:</strong> ${escapeHtml(face)}</p>`);
+  }
+  if (result.fineMotor) {
+    Object.keys(result.fineMotor).forEach((test) => {
+      const line = describeFineMotor(test, result.fineMotor[test], t);
+      details.push(`<p><strong>${escapeHtml(t(`fineMotor.test.${test}`))}:</strong> ${escapeHtml(line)}</p>`);
+    });
+  }
+  if (result.rangeOfMotion) {
+    Object.keys(result.rangeOfMotion).forEach((movement) => {
+      const line = describeRangeOfMotion(movement, result.rangeOfMotion[movement], t);
+      details.push(`<p><strong>${escapeHtml(t(`rom.movement.${movement}`))}:</strong> ${escapeHtml(line)}</p>`);
+    });
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}" dir="${t.direction}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('title'))}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: sans-serif; color: #2d3748; margin: 0; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+  th, td { border: 1px solid #cbd5e1; padding: 6px 8px; text-align: start; font-size: 13px; }
+  img { max-width: 100%; max-height: 110mm; display: block; margin: 12px auto; }
+  .meta { font-size: 13px; color: #4a5568; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('title'))}</h1>
+<p class="meta">
+  ${patientId ? `${escapeHtml(t('report.patient'))}: ${escapeHtml(patientId)}<br>` : ''}
+  ${escapeHtml(t('report.date'))}: ${escapeHtml(new Date(result.startedAt).toLocaleString(locale))}<br>
+  ${escapeHtml(t('report.status'))}: ${escapeHtml(t(result.status === 'complete' ? 'result.completeTitle' : 'result.timedOutTitle'))}
+</p>
+<table>
+  <tr>
+    <th></th>
+    <th>${escapeHtml(t('report.grade'))}</th>
+    <th>${escapeHtml(t('report.timeToPosition'))}</th>
+    <th>${escapeHtml(t('report.holdDuration'))}</th>
+    <th>${escapeHtml(t('report.meanAngle'))}</th>
+    <th>${escapeHtml(t('report.stability'))}</th>
+  </tr>
+  ${sideRow('right')}
+  ${sideRow('left')}
+</table>
+${details.join('\n')}
+${snapshot ? `<img src="${escapeHtml(snapshot)}" alt="${escapeHtml(t('report.snapshot'))}">` : ''}
+</body>
+</html>`;
+};
+
+// Image of the video frame with the overlay drawn on top, as a PNG data URL.
+// video may be null (replays), leaving only the overlay on a dark background.
+export const captureSnapshot = (video, overlayCanvas, mirrored = true) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = overlayCanvas.width;
+  canvas.height = overlayCanvas.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1f2937';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  if (video && video.readyState === 4) {
+    ctx.save();
+    if (mirrored) {
+      ctx.translate(canvas.width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  }
+  ctx.drawImage(overlayCanvas, 0, 0);
+  return canvas.toDataURL('image/png');
+};
+
+export const downloadText = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Open the report in a new window and bring up the print dialog. Returns false
+// when the window couldn't be opened (a popup blocker), so the caller can say so.
+export const printReport = (html) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+  reportWindow.document.write(html);
+  reportWindow.document.close();
+  reportWindow.focus();
+  reportWindow.print();
+  return true;
+};
@@ -0,0 +1,153 @@
+// Facial droop step (the "F" of BE-FAST). The patient smiles at the camera and we
+// compare how far each mouth corner lifts and how open each eye is. Like the arm
+// engine this is a pure reducer over timestamped face frames.
+
+import { toDisplayPoint } from './coordinates';
+
+// MediaPipe FaceMesh landmark indices, named by the patient's anatomical side
+export const FACE_LANDMARKS = {
+  right: { eyeOuter: 33, eyeInner: 133, upperLid: 159, lowerLid: 145, mouthCorner: 61 },
+  left: { eyeOuter: 263, eyeInner: 362, upperLid: 386, lowerLid: 374, mouthCorner: 291 },
+  upperLip: 13,
+  lowerLip: 14
+};
+
+export const DEFAULT_FACE_PROTOCOL = {
+  captureDuration: 3, // Seconds of smiling frames to measure
+  timeLimit: 20, // Seconds to find the face and capture
+  minFaceScore: 0.5,
+  droopThreshold: 0.08 // Combined asymmetry above which droop is flagged
+};
+
+// Weights of the mouth and eye asymmetry in the droop score
+const MOUTH_WEIGHT = 0.7;
+const EYE_WEIGHT = 0.3;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Face measurements from one set of display-space keypoints. Distances are
+// normalized by the distance between the outer eye corners so they don't depend
+// on how close the patient is; the "up" direction follows the eye line so a
+// tilted head doesn't read as droop.
+export const measureFace = (keypoints) => {
+  const point = index => keypoints[index];
+  const rightEye = point(FACE_LANDMARKS.right.eyeOuter);
+  const leftEye = point(FACE_LANDMARKS.left.eyeOuter);
+  const eyeDistance = distance(rightEye, leftEye);
+  if (eyeDistance === 0) return null;
+
+  // Unit vector perpendicular to the eye line, pointing up the face
+  const along = { x: (leftEye.x - rightEye.x) / eyeDistance, y: (leftEye.y - rightEye.y) / eyeDistance };
+  let up = { x: along.y, y: -along.x };
+  if (up.y > 0) up = { x: -up.x, y: -up.y };
+
+  const mouthCenter = midpoint(point(FACE_LANDMARKS.upperLip), point(FACE_LANDMARKS.lowerLip));
+  const lift = side => {
+    const corner = point(FACE_LANDMARKS[side].mouthCorner);
+    return ((corner.x - mouthCenter.x) * up.x + (corner.y - mouthCenter.y) * up.y) / eyeDistance;
+  };
+  const eyeOpening = side => {
+    const { eyeOuter, eyeInner, upperLid, lowerLid } = FACE_LANDMARKS[side];
+    return distance(point(upperLid), point(lowerLid)) / distance(point(eyeOuter), point(eyeInner));
+  };
+
+  return {
+    mouthLift: { left: lift('left'), right: lift('right') },
+    eyeOpening: { left: eyeOpening('left'), right: eyeOpening('right') }
+  };
+};
+
+/**
+ * @typedef {Object} FaceResult
+ * @property {boolean} detected - A face was measured during the step
+ * @property {number|null} mouthAsymmetry - Difference in mouth-corner lift, as a fraction of eye distance
+ * @property {number|null} eyeAsymmetry - Relative difference in eye opening (0 = equal)
+ * @property {number|null} droopScore - Weighted combination of both asymmetries
+ * @property {boolean} droop - droopScore is above the protocol threshold
+ * @property {'left'|'right'|null} droopSide - Side whose mouth corner lifts less, when droop is flagged
+ */
+
+// Combine the per-frame measurements into the step result
+export const summarizeFace = (measurements, protocol = DEFAULT_FACE_PROTOCOL) => {
+  if (measurements.length === 0) {
+    return { detected: false, mouthAsymmetry: null, eyeAsymmetry: null, droopScore: null, droop: false, droopSide: null };
+  }
+
+  const lift = side => median(measurements.map(m => m.mouthLift[side]));
+  const opening = side => median(measurements.map(m => m.eyeOpening[side]));
+  const mouthAsymmetry = Math.abs(lift('left') - lift('right'));
+  const widerEye = Math.max(opening('left'), opening('right'));
+  const eyeAsymmetry = widerEye > 0 ? Math.abs(opening('left') - opening('right')) / widerEye : 0;
+  const droopScore = MOUTH_WEIGHT * mouthAsymmetry + EYE_WEIGHT * eyeAsymmetry;
+  const droop = droopScore > protocol.droopThreshold;
+
+  return {
+    detected: true,
+    mouthAsymmetry,
+    eyeAsymmetry,
+    droopScore,
+    droop,
+    droopSide: droop ? (lift('left') < lift('right') ? 'left' : 'right') : null
+  };
+};
+
+export const createFaceState = (protocol = DEFAULT_FACE_PROTOCOL) => ({
+  protocol,
+  phase: 'idle', // idle | capturing | done
+  startedAt: null,
+  captureStartedAt: null,
+  captureElapsed: 0,
+  faceDetected: false,
+  measurement: null,
+  measurements: [],
+  result: null
+});
+
+const finish = (state) => ({ ...state, phase: 'done', result: summarizeFace(state.measurements, state.protocol) });
+
+// Events:
+//   { type: 'start', timestamp }
+//   { type: 'frame', timestamp, keypoints, score }  - keypoints null when no face was found
+//   { type: 'reset' }
+export const faceReducer = (state, event) => {
+  switch (event.type) {
+    case 'start':
+      return { ...createFaceState(state.protocol), phase: 'capturing', startedAt: event.timestamp };
+    case 'frame': {
+      if (state.phase !== 'capturing') return state;
+      const { protocol } = state;
+      const faceDetected = Boolean(event.keypoints) && event.score >= protocol.minFaceScore;
+      const measurement = faceDetected ? measureFace(event.keypoints) : null;
+      const next = { ...state, faceDetected, measurement };
+
+      if ((event.timestamp - state.startedAt) / 1000 >= protocol.timeLimit) return finish(next);
+      if (!measurement) return next;
+
+      const captureStartedAt = state.captureStartedAt ?? event.timestamp;
+      const captureElapsed = (event.timestamp - captureStartedAt) / 1000;
+      const captured = { ...next, captureStartedAt, captureElapsed, measurements: [...state.measurements, measurement] };
+      return captureElapsed >= protocol.captureDuration ? finish(captured) : captured;
+    }
+    case 'reset':
+      return createFaceState(state.protocol);
+    default:
+      return state;
+  }
+};
+
+// Face frame from the face model's output, in display space
+export const buildFaceFrame = ({ timestamp, videoWidth, videoHeight, faces }, mirrored = true) => {
+  const frame = { type: 'frame', timestamp, videoWidth, videoHeight, mirrored };
+  const face = faces[0];
+  if (!face) return { ...frame, keypoints: null, score: 0 };
+  const keypoints = face.keypoints.map(point => toDisplayPoint(point, videoWidth, mirrored));
+  // FaceMesh doesn't return a score for the tfjs runtime; a returned face counts as found
+  return { ...frame, keypoints, score: face.score ?? 1 };
+};
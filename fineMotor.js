@@ -0,0 +1,378 @@
+// Fine-motor hand tests on MediaPipe Hands' 21 landmarks, one hand at a time:
+//
+//   fingerTap    tap the thumb and index finger together, as fast and wide as possible
+//   fistClench   open the hand fully, then close it into a fist, over and over
+//   targetReach  touch the nose, then a target on screen, then the nose again
+//
+// Tapping and clenching measure speed and rhythm, which slow down and break up
+// with distal weakness; reaching measures how quick and how straight each reach
+// is, which wanders with ataxia. Each hand is scored on its own and the two are
+// compared. Like the arm engine this is a pure reducer over timestamped keypoint
+// frames (see buildFrame in frames.js).
+
+import { outwardDirection } from './coordinates';
+
+// MediaPipe Hands landmark indices
+export const HAND_LANDMARKS = {
+  wrist: 0,
+  thumbTip: 4,
+  indexTip: 8,
+  middleBase: 9,
+  middleTip: 12,
+  ringTip: 16,
+  pinkyTip: 20
+};
+
+const FINGERTIPS = [HAND_LANDMARKS.indexTip, HAND_LANDMARKS.middleTip, HAND_LANDMARKS.ringTip, HAND_LANDMARKS.pinkyTip];
+
+export const FINE_MOTOR_TESTS = ['fingerTap', 'fistClench', 'targetReach'];
+
+export const DEFAULT_FINE_MOTOR_PROTOCOL = {
+  tests: FINE_MOTOR_TESTS, // Run in this order, each with every hand in sideOrder
+  sideOrder: ['right', 'left'],
+  testDuration: 10, // Seconds of tapping or clenching measured per hand
+  timeLimit: 30, // Seconds per hand and test, finding the hand included
+  minHandScore: 0.6,
+  tapClosed: 0.25, // Thumb-index gap, in palm lengths, that counts as a tap
+  tapOpen: 0.5, // Gap the fingers must open past before the next tap counts
+  fistClosed: 1.1, // Mean fingertip-to-wrist distance, in palm lengths, of a fist
+  fistOpen: 1.6, // ... and of an open hand
+  reachTargets: 4, // Nose-to-target reaches per hand
+  touchRadius: 0.35, // Radius of the nose and the targets, as a fraction of shoulder width
+  irregularRhythm: 0.3, // Spread of the intervals (coefficient of variation) above which a rhythm is irregular
+  maxPathRatio: 1.4, // Reach path length over straight distance above which a reach is flagged
+  asymmetryThreshold: 0.25 // Relative difference between the hands flagged as one-sided
+};
+
+// Where the reach targets sit, in shoulder widths from the nose: outward on the
+// tested hand's side (x) and up (y). Used in turn when there are more reaches.
+const REACH_TARGETS = [
+  { x: 1.5, y: 0 },
+  { x: 1.2, y: 0.8 },
+  { x: 1.4, y: -0.6 },
+  { x: 0.8, y: 1.2 }
+];
+
+// The measure each test's hands are compared on, and whether more is better
+const PRIMARY_MEASURE = {
+  fingerTap: { key: 'rate', higherIsBetter: true },
+  fistClench: { key: 'rate', higherIsBetter: true },
+  targetReach: { key: 'movementTime', higherIsBetter: false }
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isPositive = value => isNumber(value) && value > 0;
+
+// List what's wrong with a protocol; empty when it is valid
+export const validateFineMotorProtocol = (protocol) => {
+  const errors = [];
+  const { tests, sideOrder } = protocol;
+
+  if (!Array.isArray(tests) || tests.length === 0 || tests.some(test => !FINE_MOTOR_TESTS.includes(test))) {
+    errors.push(`tests must list some of ${FINE_MOTOR_TESTS.join(', ')}`);
+  }
+  if (!Array.isArray(sideOrder) || sideOrder.length === 0 || sideOrder.some(side => side !== 'left' && side !== 'right')) {
+    errors.push("sideOrder must list 'right', 'left' or both");
+  }
+  ['testDuration', 'timeLimit'].forEach((key) => {
+    if (!isPositive(protocol[key])) errors.push(`${key} must be a positive number of seconds`);
+  });
+  if (!isNumber(protocol.minHandScore) || protocol.minHandScore < 0 || protocol.minHandScore >= 1) {
+    errors.push('minHandScore must be between 0 and 1');
+  }
+  ['tapClosed', 'tapOpen', 'fistClosed', 'fistOpen'].forEach((key) => {
+    if (!isPositive(protocol[key])) errors.push(`${key} must be a positive number of palm lengths`);
+  });
+  if (!(protocol.tapClosed < protocol.tapOpen) || !(protocol.fistClosed < protocol.fistOpen)) {
+    errors.push('The closed thresholds must be below the open ones');
+  }
+  if (!Number.isInteger(protocol.reachTargets) || protocol.reachTargets < 1) {
+    errors.push('reachTargets must be a positive integer');
+  }
+  if (!isPositive(protocol.touchRadius)) errors.push('touchRadius must be a positive fraction of shoulder width');
+  if (!isPositive(protocol.irregularRhythm)) errors.push('irregularRhythm must be a positive number');
+  if (!isNumber(protocol.maxPathRatio) || protocol.maxPathRatio < 1) {
+    errors.push('maxPathRatio must be a number of at least 1');
+  }
+  if (!isNumber(protocol.asymmetryThreshold) || protocol.asymmetryThreshold <= 0 || protocol.asymmetryThreshold >= 1) {
+    errors.push('asymmetryThreshold must be between 0 and 1');
+  }
+  return errors;
+};
+
+// Merge overrides into the default protocol; throws when the result is invalid
+export const createFineMotorProtocol = (overrides = {}) => {
+  const protocol = { ...DEFAULT_FINE_MOTOR_PROTOCOL, ...overrides };
+  const errors = validateFineMotorProtocol(protocol);
+  if (errors.length > 0) {
+    throw new Error(`Invalid fine-motor protocol: ${errors.join('; ')}`);
+  }
+  return protocol;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Hand measurements from one hand's display-space landmarks, in palm lengths
+// (wrist to the base of the middle finger) so they don't depend on how close the
+// hand is: the thumb-index gap and how far the fingertips reach from the wrist
+export const measureHand = (landmarks) => {
+  const point = index => landmarks[index];
+  const palm = distance(point(HAND_LANDMARKS.wrist), point(HAND_LANDMARKS.middleBase));
+  if (palm === 0) return null;
+  const wrist = point(HAND_LANDMARKS.wrist);
+  return {
+    aperture: distance(point(HAND_LANDMARKS.thumbTip), point(HAND_LANDMARKS.indexTip)) / palm,
+    openness: FINGERTIPS.reduce((sum, index) => sum + distance(point(index), wrist), 0) / (FINGERTIPS.length * palm),
+    indexTip: point(HAND_LANDMARKS.indexTip)
+  };
+};
+
+/**
+ * @typedef {Object} RhythmResult - A hand's finger taps or fist clenches
+ * @property {boolean} detected - The hand was found during the test
+ * @property {number} count - Taps or clenches counted
+ * @property {number|null} rate - Per second over the measured time
+ * @property {number|null} intervalCv - Spread of the intervals between them (0 = metronome)
+ * @property {number|null} amplitude - Median opening before each, in palm lengths
+ * @property {boolean} irregular - intervalCv is above the protocol's irregularRhythm
+ */
+
+/**
+ * @typedef {Object} ReachResult - A hand's nose-to-target reaches
+ * @property {boolean} detected - The hand was found during the test
+ * @property {number} count - Targets reached
+ * @property {number|null} movementTime - Median seconds from leaving the nose to the target
+ * @property {number|null} pathRatio - Median path length over straight distance (1 = straight)
+ * @property {boolean} dysmetric - pathRatio is above the protocol's maxPathRatio
+ */
+
+/**
+ * @typedef {Object} FineMotorTestResult
+ * @property {RhythmResult|ReachResult|null} right - null when the hand wasn't tested
+ * @property {RhythmResult|ReachResult|null} left
+ * @property {number|null} asymmetry - Relative difference in the test's main measure (0-1)
+ * @property {'left'|'right'|null} weakerSide - Hand that did worse, when asymmetry is above the threshold
+ */
+
+const notDetected = test => (test === 'targetReach'
+  ? { detected: false, count: 0, movementTime: null, pathRatio: null, dysmetric: false }
+  : { detected: false, count: 0, rate: null, intervalCv: null, amplitude: null, irregular: false });
+
+const summarizeRhythm = (step, timestamp, protocol) => {
+  const measured = (timestamp - step.measureStartedAt) / 1000;
+  const intervals = step.events.slice(1).map((time, index) => (time - step.events[index]) / 1000);
+  let intervalCv = null;
+  if (intervals.length >= 2) {
+    const mean = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+    const variance = intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length;
+    intervalCv = mean > 0 ? Math.sqrt(variance) / mean : null;
+  }
+  return {
+    detected: true,
+    count: step.events.length,
+    rate: measured > 0 ? step.events.length / measured : null,
+    intervalCv,
+    amplitude: step.amplitudes.length > 0 ? median(step.amplitudes) : null,
+    irregular: intervalCv !== null && intervalCv > protocol.irregularRhythm
+  };
+};
+
+const summarizeReach = (step, protocol) => {
+  const { reaches } = step;
+  const pathRatio = reaches.length > 0 ? median(reaches.map(reach => reach.pathRatio)) : null;
+  return {
+    detected: true,
+    count: reaches.length,
+    movementTime: reaches.length > 0 ? median(reaches.map(reach => reach.movementTime)) : null,
+    pathRatio,
+    dysmetric: pathRatio !== null && pathRatio > protocol.maxPathRatio
+  };
+};
+
+// Compare the hands on the test's main measure
+export const compareHands = (test, right, left, protocol = DEFAULT_FINE_MOTOR_PROTOCOL) => {
+  const { key, higherIsBetter } = PRIMARY_MEASURE[test];
+  if (!right || !left || right[key] === null || left[key] === null) return { asymmetry: null, weakerSide: null };
+  const larger = Math.max(right[key], left[key]);
+  const asymmetry = larger > 0 ? Math.abs(right[key] - left[key]) / larger : 0;
+  if (asymmetry <= protocol.asymmetryThreshold) return { asymmetry, weakerSide: null };
+  const rightWorse = higherIsBetter ? right[key] < left[key] : right[key] > left[key];
+  return { asymmetry, weakerSide: rightWorse ? 'right' : 'left' };
+};
+
+// Each test with a result per hand and the comparison
+const summarizeFineMotor = (state) => {
+  const result = {};
+  state.protocol.tests.forEach((test) => {
+    const sides = { right: null, left: null };
+    state.steps.forEach((step, index) => {
+      if (step.test === test && state.stepResults[index]) sides[step.side] = state.stepResults[index];
+    });
+    result[test] = { ...sides, ...compareHands(test, sides.right, sides.left, state.protocol) };
+  });
+  return result;
+};
+
+export const createFineMotorState = (protocol = DEFAULT_FINE_MOTOR_PROTOCOL) => ({
+  protocol,
+  phase: 'idle', // idle | running | done
+  steps: protocol.tests.flatMap(test => protocol.sideOrder.map(side => ({ test, side }))),
+  stepIndex: 0,
+  step: null, // Progress of the current hand and test (see startStep)
+  stepResults: [],
+  handDetected: false,
+  measurement: null, // Latest measureHand of the tested hand
+  result: null
+});
+
+const startStep = timestamp => ({
+  startedAt: timestamp,
+  measureStartedAt: null, // From the first frame with the hand in view
+  closed: true, // Tap and clench counting: the hand has to open before the first one counts
+  peak: 0,
+  events: [],
+  amplitudes: [],
+  targets: null, // Reaching: display-space targets and their radius, fixed once the patient is found
+  radius: null,
+  touchingNose: false,
+  reachStartedAt: null,
+  path: [],
+  reaches: []
+});
+
+// Finish the current step and move on to the next, or finish the tests
+const nextStep = (state, result, timestamp) => {
+  const stepResults = [...state.stepResults, result];
+  const stepIndex = state.stepIndex + 1;
+  if (stepIndex >= state.steps.length) {
+    const done = { ...state, phase: 'done', stepIndex, step: null, stepResults };
+    return { ...done, result: summarizeFineMotor(done) };
+  }
+  return { ...state, stepIndex, step: startStep(timestamp), stepResults, handDetected: false, measurement: null };
+};
+
+// Count closes of the hand (taps or fists): a close counts once the value drops
+// below closedAt after having risen above openAt, which ignores jitter around
+// either threshold
+const countCycles = (step, value, closedAt, openAt, timestamp) => {
+  const peak = Math.max(step.peak, value);
+  if (step.closed) return { ...step, peak, closed: value < openAt };
+  if (value >= closedAt) return { ...step, peak };
+  return {
+    ...step,
+    closed: true,
+    peak: 0,
+    events: [...step.events, timestamp],
+    amplitudes: [...step.amplitudes, peak]
+  };
+};
+
+// Reach targets around the nose, on the tested hand's side
+const placeTargets = (frame, side, protocol) => {
+  const { nose, shoulders } = frame;
+  if (!nose || !shoulders.left || !shoulders.right) return null;
+  const shoulderWidth = distance(shoulders.left, shoulders.right);
+  if (shoulderWidth === 0) return null;
+  const outward = outwardDirection(side, frame.mirrored);
+  const targets = Array.from({ length: protocol.reachTargets }, (_, index) => {
+    const offset = REACH_TARGETS[index % REACH_TARGETS.length];
+    return { x: nose.x + offset.x * shoulderWidth * outward, y: nose.y - offset.y * shoulderWidth };
+  });
+  return { targets, radius: protocol.touchRadius * shoulderWidth };
+};
+
+// Follow the index fingertip between the nose and the next target. A reach runs
+// from leaving the nose to touching the target; coming back to the nose first
+// starts it over.
+const followReach = (step, fingertip, nose, timestamp) => {
+  const target = step.targets[step.reaches.length];
+  const atNose = nose !== null && distance(fingertip, nose) <= step.radius;
+
+  if (step.reachStartedAt === null) {
+    if (atNose) return { ...step, touchingNose: true, path: [fingertip] };
+    if (!step.touchingNose) return step;
+    return { ...step, touchingNose: false, reachStartedAt: timestamp, path: [...step.path, fingertip] };
+  }
+
+  const path = [...step.path, fingertip];
+  if (atNose) return { ...step, touchingNose: true, reachStartedAt: null, path: [fingertip] };
+  if (distance(fingertip, target) > step.radius) return { ...step, path };
+
+  const length = path.slice(1).reduce((sum, point, index) => sum + distance(path[index], point), 0);
+  const straight = distance(path[0], fingertip);
+  const reach = {
+    movementTime: (timestamp - step.reachStartedAt) / 1000,
+    pathRatio: straight > 0 ? length / straight : 1
+  };
+  return { ...step, touchingNose: false, reachStartedAt: null, path: [], reaches: [...step.reaches, reach] };
+};
+
+const processFrame = (state, frame) => {
+  const { protocol } = state;
+  const { test, side } = state.steps[state.stepIndex];
+  const wrist = frame.wrists[side];
+  const landmarks = frame.handLandmarks[side];
+  const handDetected = Boolean(landmarks) && wrist !== null && wrist.score >= protocol.minHandScore;
+  const measurement = handDetected ? measureHand(landmarks) : null;
+  let step = state.step;
+  const elapsed = (frame.timestamp - step.startedAt) / 1000;
+
+  if (measurement) {
+    if (test === 'targetReach' && step.targets === null) {
+      const placed = placeTargets(frame, side, protocol);
+      if (placed) step = { ...step, ...placed, measureStartedAt: frame.timestamp };
+    } else if (test !== 'targetReach' && step.measureStartedAt === null) {
+      step = { ...step, measureStartedAt: frame.timestamp };
+    }
+
+    if (test === 'fingerTap') {
+      step = countCycles(step, measurement.aperture, protocol.tapClosed, protocol.tapOpen, frame.timestamp);
+    } else if (test === 'fistClench') {
+      step = countCycles(step, measurement.openness, protocol.fistClosed, protocol.fistOpen, frame.timestamp);
+    } else if (step.targets !== null) {
+      step = followReach(step, measurement.indexTip, frame.nose, frame.timestamp);
+    }
+  }
+
+  const next = { ...state, step, handDetected, measurement };
+  const measuring = step.measureStartedAt !== null;
+  const summarize = () => (test === 'targetReach' ? summarizeReach(step, protocol) : summarizeRhythm(step, frame.timestamp, protocol));
+
+  if (test === 'targetReach' && step.reaches.length >= protocol.reachTargets) {
+    return nextStep(next, summarize(), frame.timestamp);
+  }
+  if (test !== 'targetReach' && measuring && (frame.timestamp - step.measureStartedAt) / 1000 >= protocol.testDuration) {
+    return nextStep(next, summarize(), frame.timestamp);
+  }
+  if (elapsed >= protocol.timeLimit) {
+    return nextStep(next, measuring ? summarize() : notDetected(test), frame.timestamp);
+  }
+  return next;
+};
+
+// Events:
+//   { type: 'start', timestamp }
+//   { type: 'frame', ... }  - a keypoint frame from buildFrame with hand landmarks
+//                             (and the nose and shoulders for reaching)
+//   { type: 'reset' }
+export const fineMotorReducer = (state, event) => {
+  switch (event.type) {
+    case 'start':
+      return { ...createFineMotorState(state.protocol), phase: 'running', step: startStep(event.timestamp) };
+    case 'frame':
+      return state.phase === 'running' ? processFrame(state, event) : state;
+    case 'reset':
+      return createFineMotorState(state.protocol);
+    default:
+      return state;
+  }
+};
+
+// The test and hand being measured, while running
+export const currentFineMotorStep = state => (state.phase === 'running' ? state.steps[state.stepIndex] : null);
@@ -0,0 +1,115 @@
+// Detection frame loop. onFrame runs once per new video frame and never overlaps
+// itself: the next frame is only requested once the previous one has finished,
+// so slow inference lowers the frame rate instead of piling up calls. Frames come
+// from requestVideoFrameCallback where the browser has it, else from
+// requestAnimationFrame. Until the video has data the loop polls on a timer so
+// onFrame can still keep the clock going.
+
+const NOT_READY_DELAY = 100; // Milliseconds between polls while the video has no data
+
+const clock = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * @typedef {Object} FrameMetrics
+ * @property {number|null} fps - Frames processed per second over the window
+ * @property {number|null} latency - Mean time onFrame took, in milliseconds
+ * @property {number|null} maxLatency - Slowest frame in the window, in milliseconds
+ * @property {number} frames - Frames processed since the loop started
+ */
+
+// Rolling frame rate and latency over the last `window` milliseconds
+export const createFrameMetrics = ({ window = 2000 } = {}) => {
+  let entries = [];
+  let frames = 0;
+  return {
+    add: (startedAt, endedAt) => {
+      frames += 1;
+      entries.push({ endedAt, latency: endedAt - startedAt });
+      entries = entries.filter(entry => endedAt - entry.endedAt <= window);
+    },
+    snapshot: () => {
+      if (entries.length === 0) return { fps: null, latency: null, maxLatency: null, frames };
+      const span = entries[entries.length - 1].endedAt - entries[0].endedAt;
+      const latencies = entries.map(entry => entry.latency);
+      return {
+        fps: span > 0 ? ((entries.length - 1) * 1000) / span : null,
+        latency: latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length,
+        maxLatency: Math.max(...latencies),
+        frames
+      };
+    }
+  };
+};
+
+// getVideo returns the current <video> element (or null). onFrame may be async
+// and returns false when there was no frame to process, which is left out of the
+// metrics; a frame that throws is dropped and the loop carries on. onError gets
+// the error and how many frames in a row have now failed, so the caller can keep
+// its clock going and give up on a detector that never recovers. onMetrics
+// receives a FrameMetrics snapshot every metricsInterval milliseconds.
+export const createFrameLoop = (getVideo, onFrame, { onMetrics = null, onError = null, metricsInterval = 1000 } = {}) => {
+  const metrics = createFrameMetrics();
+  let running = false;
+  let pending = null;
+  let lastReport = 0;
+  let failures = 0; // Frames in a row that threw
+
+  const cancelPending = () => {
+    if (!pending) return;
+    if (pending.video) pending.video.cancelVideoFrameCallback(pending.id);
+    else if (pending.animation) cancelAnimationFrame(pending.id);
+    else clearTimeout(pending.id);
+    pending = null;
+  };
+
+  const schedule = () => {
+    if (!running) return;
+    const video = getVideo();
+    if (!video || video.readyState < 2) {
+      pending = { id: setTimeout(run, NOT_READY_DELAY) };
+    } else if (typeof video.requestVideoFrameCallback === 'function') {
+      pending = { video, id: video.requestVideoFrameCallback(run) };
+    } else {
+      pending = { animation: true, id: requestAnimationFrame(run) };
+    }
+  };
+
+  const run = async () => {
+    pending = null;
+    if (!running) return;
+    const startedAt = clock();
+    let processed = false;
+    let failed = null;
+    try {
+      processed = (await onFrame()) !== false;
+      failures = 0;
+    } catch (error) {
+      // Dropped; the next frame is tried
+      failures += 1;
+      failed = error;
+    }
+    if (!running) return;
+    if (failed && onError) onError(failed, failures);
+
+    const endedAt = clock();
+    if (processed) metrics.add(startedAt, endedAt);
+    if (onMetrics && endedAt - lastReport >= metricsInterval) {
+      lastReport = endedAt;
+      onMetrics(metrics.snapshot());
+    }
+    schedule();
+  };
+
+  return {
+    start: () => {
+      if (running) return;
+      running = true;
+      schedule();
+    },
+    stop: () => {
+      running = false;
+      cancelPending();
+    },
+    metrics: () => metrics.snapshot()
+  };
+};
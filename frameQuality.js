@@ -0,0 +1,73 @@
+// Framing and signal-quality checks on a frame: lighting, how much of the frame
+// the patient fills, whether both shoulders are in view and whether someone else
+// is in the picture. Frames with issues don't start or break holds in the engine,
+// and the status names the issue instead of a generic "show your arm".
+//
+// Only a multi-person pose model ('movenet-multipose', see detectors.js) reports
+// anyone besides the most prominent person, so multiplePeople never comes up with
+// the single-person models.
+
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  minBrightness: 50, // Mean luma (0-255) below which the scene is too dark
+  minShoulderWidth: 0.16, // Shoulder width as a fraction of the frame's shorter side; narrower is too far away
+  maxShoulderWidth: 0.6, // Wider is too close for the arms to fit in the frame
+  edgeMargin: 0.03, // Shoulders nearer the frame edge than this fraction are out of frame
+  minPersonScore: 0.3 // Pose score for a second pose to count as another person (the engine uses its protocol's)
+};
+
+// In order of priority: the first issue is the one to tell the patient about
+export const QUALITY_ISSUES = ['tooDark', 'multiplePeople', 'shouldersOutOfFrame', 'tooFar', 'tooClose'];
+
+const SAMPLE_WIDTH = 32;
+const SAMPLE_HEIGHT = 24;
+let sampleCanvas = null;
+
+// Mean luma of a downscaled copy of the video frame, or null when it can't be read
+export const measureBrightness = (video) => {
+  if (typeof document === 'undefined' || !video || !video.videoWidth) return null;
+  if (!sampleCanvas) {
+    sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = SAMPLE_WIDTH;
+    sampleCanvas.height = SAMPLE_HEIGHT;
+  }
+  const ctx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  let total = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return total / (data.length / 4);
+};
+
+const visible = (keypoint, minScore) => Boolean(keypoint) && keypoint.score > minScore;
+
+// Issues with a frame, ordered as QUALITY_ISSUES; empty when the frame is usable.
+// Frames without brightness or pose scores skip those checks.
+export const assessFrameQuality = (frame, minKeypointScore, thresholds = DEFAULT_QUALITY_THRESHOLDS) => {
+  const issues = new Set();
+  const { left, right } = frame.shoulders;
+
+  if (frame.brightness !== null && frame.brightness !== undefined && frame.brightness < thresholds.minBrightness) {
+    issues.add('tooDark');
+  }
+  const people = frame.poseScores ? frame.poseScores.filter(score => score > thresholds.minPersonScore).length : 0;
+  if (people > 1) issues.add('multiplePeople');
+
+  if (!visible(left, minKeypointScore) || !visible(right, minKeypointScore)) {
+    issues.add('shouldersOutOfFrame');
+  } else {
+    const marginX = frame.videoWidth * thresholds.edgeMargin;
+    const marginY = frame.videoHeight * thresholds.edgeMargin;
+    const outside = point => point.x < marginX || point.x > frame.videoWidth - marginX ||
+      point.y < marginY || point.y > frame.videoHeight - marginY;
+    if (outside(left) || outside(right)) issues.add('shouldersOutOfFrame');
+
+    // The shorter side is the same for a portrait and a landscape view of one camera
+    const shoulderWidth = Math.hypot(left.x - right.x, left.y - right.y) / Math.min(frame.videoWidth, frame.videoHeight);
+    if (shoulderWidth < thresholds.minShoulderWidth) issues.add('tooFar');
+    if (shoulderWidth > thresholds.maxShoulderWidth) issues.add('tooClose');
+  }
+
+  return QUALITY_ISSUES.filter(issue => issues.has(issue));
+};
@@ -0,0 +1,89 @@
+// Turn raw detector output into the keypoint frames the assessment engine consumes
+
+import { handednessToSide, toDisplayPoint } from './coordinates';
+
+// MoveNet keypoints: 0 nose, 5/6 shoulders, 7/8 elbows, 9/10 wrists, 11/12 hips (left/right).
+// Other pose models (BlazePose) number them differently, so look keypoints up by name first.
+// Pose models name keypoints by the patient's anatomical side, whatever the mirroring.
+const MOVENET_INDEX = {
+  nose: 0,
+  left_shoulder: 5,
+  right_shoulder: 6,
+  left_elbow: 7,
+  right_elbow: 8,
+  left_wrist: 9,
+  right_wrist: 10,
+  left_hip: 11,
+  right_hip: 12
+};
+
+const findKeypoint = (keypoints, name) =>
+  keypoints.find(keypoint => keypoint.name === name) || keypoints[MOVENET_INDEX[name]] || null;
+
+// With a multi-person pose model, the patient is the most confident pose
+const pickPatientPose = poses => poses.reduce((best, pose) => ((pose.score ?? 0) > (best.score ?? 0) ? pose : best));
+
+// poses: output of poseDetector.estimatePoses, hands: output of handDetector.estimateHands
+// armSource: 'hands' takes the wrists from the hand model, 'pose' from the pose
+// model's own wrist keypoints (no hand model needed)
+// mirrored: whether the video is shown mirrored; keypoints come out in display space
+// brightness: mean luma of the video frame (see frameQuality.js), null when unknown
+export const buildFrame = ({
+  timestamp,
+  videoWidth,
+  videoHeight,
+  poses,
+  hands,
+  brightness = null
+}, armSource = 'hands', mirrored = true) => {
+  const toDisplay = point => toDisplayPoint(point, videoWidth, mirrored);
+
+  const shoulders = { left: null, right: null };
+  const elbows = { left: null, right: null };
+  const hips = { left: null, right: null };
+  const wrists = { left: null, right: null };
+  const handLandmarks = { left: null, right: null };
+  let nose = null;
+
+  if (poses.length > 0) {
+    const keypoints = pickPatientPose(poses).keypoints;
+    nose = toDisplay(findKeypoint(keypoints, 'nose'));
+    ['left', 'right'].forEach(side => {
+      shoulders[side] = toDisplay(findKeypoint(keypoints, `${side}_shoulder`));
+      elbows[side] = toDisplay(findKeypoint(keypoints, `${side}_elbow`));
+      hips[side] = toDisplay(findKeypoint(keypoints, `${side}_hip`));
+      if (armSource === 'pose') wrists[side] = toDisplay(findKeypoint(keypoints, `${side}_wrist`));
+    });
+  }
+
+  if (armSource === 'hands') {
+    hands.forEach((prediction) => {
+      // The detectors always see the raw, unmirrored frame
+      const side = handednessToSide(prediction.handedness, false);
+      const landmarks = prediction.keypoints.map(toDisplay);
+      const wrist = landmarks[0]; // Wrist is keypoint 0
+      wrists[side] = { x: wrist.x, y: wrist.y, score: prediction.score, source: 'hand' };
+      handLandmarks[side] = landmarks;
+    });
+  }
+
+  // Every pose found, for the other-people check (see frameQuality.js). Single-person
+  // models return at most one; pose scores are optional.
+  const poseScores = poses.map(pose => pose.score ?? 1);
+
+  return {
+    type: 'frame',
+    timestamp,
+    videoWidth,
+    videoHeight,
+    mirrored,
+    brightness,
+    poseScores,
+    nose,
+    shoulders,
+    elbows,
+    hips,
+    wrists,
+    handLandmarks
+  };
+};
@@ -0,0 +1,88 @@
+// Finished sessions kept on the device in IndexedDB, so a patient's runs can be
+// compared over the days after an event. Only the per-side metrics are stored,
+// not the frames.
+
+const DB_NAME = 'motor-weakness-assessment';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+export const DEFAULT_PATIENT_ID = 'default';
+
+// Wrap an IDBRequest in a promise
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('patientId', 'patientId');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const sideEntry = (side) => ({
+  tested: side.tested,
+  completed: side.completed,
+  timeToPosition: side.timeToPosition,
+  holdDuration: side.holdDuration,
+  holdBreaks: side.holdBreaks,
+  meanAngle: side.angle ? side.angle.mean : null,
+  drift: side.drift ? side.drift.degrees : null,
+  grade: side.drift ? side.drift.grade : null
+});
+
+// What gets stored for an assessment result
+export const toHistoryEntry = (result, patientId = DEFAULT_PATIENT_ID) => ({
+  patientId,
+  startedAt: result.startedAt,
+  endedAt: result.endedAt,
+  status: result.status,
+  mode: result.mode,
+  sides: {
+    right: sideEntry(result.sides.right),
+    left: sideEntry(result.sides.left)
+  },
+  asymmetry: result.asymmetry ? result.asymmetry.index : null
+});
+
+// Session store. Every method opens the database on first use and rejects when
+// IndexedDB isn't available (private browsing, old browsers).
+export const createSessionHistory = ({ dbName = DB_NAME } = {}) => {
+  let database = null;
+  const getDatabase = async () => {
+    if (!database) database = await openDatabase(dbName);
+    return database;
+  };
+  const getStore = async (mode) => (await getDatabase()).transaction(STORE, mode).objectStore(STORE);
+
+  return {
+    // Store a result; resolves to the saved entry with its id
+    save: async (result, patientId = DEFAULT_PATIENT_ID) => {
+      const entry = toHistoryEntry(result, patientId);
+      const id = await settle((await getStore('readwrite')).add(entry));
+      return { ...entry, id };
+    },
+    // A patient's sessions, oldest first
+    list: async (patientId = DEFAULT_PATIENT_ID) => {
+      const entries = await settle((await getStore('readonly')).index('patientId').getAll(patientId));
+      return entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    },
+    clear: async (patientId = DEFAULT_PATIENT_ID) => {
+      const store = await getStore('readwrite');
+      const ids = await settle(store.index('patientId').getAllKeys(patientId));
+      await Promise.all(ids.map(id => settle(store.delete(id))));
+    },
+    close: () => {
+      if (database) database.close();
+      database = null;
+    }
+  };
+};
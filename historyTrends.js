@@ -0,0 +1,77 @@
+// Trends across a patient's stored sessions (see historyStore.js). The baseline
+// is the patient's own first sessions, so a side is flagged when it gets worse
+// than it was for them, not against a population norm.
+
+export const DEFAULT_TREND_OPTIONS = {
+  baselineSessions: 3, // Earliest sessions per side that make up the baseline
+  timeToPositionIncrease: 2, // Seconds slower than baseline before flagging
+  driftIncrease: 5, // Degrees more drift than baseline before flagging
+  angleDecrease: 10 // Degrees lower mean angle than baseline before flagging
+};
+
+// Metrics charted per arm; lower is better for all but the angle
+export const TREND_METRICS = ['timeToPosition', 'drift', 'meanAngle'];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const medianOf = (entries, metric) => {
+  const values = entries.map(entry => entry[metric]).filter(value => value !== null);
+  return values.length > 0 ? median(values) : null;
+};
+
+// One side's points across sessions, skipping sessions where it wasn't tested.
+// sessionIndex keeps each point's position among all the sessions.
+export const sideSeries = (entries, side) => entries
+  .map((entry, sessionIndex) => ({ sessionIndex, startedAt: entry.startedAt, ...entry.sides[side] }))
+  .filter(point => point.tested);
+
+// Baseline metrics for a side, or null until there are enough sessions
+export const computeBaseline = (series, options = DEFAULT_TREND_OPTIONS) => {
+  if (series.length < options.baselineSessions) return null;
+  const baseline = series.slice(0, options.baselineSessions);
+  return {
+    timeToPosition: medianOf(baseline, 'timeToPosition'),
+    drift: medianOf(baseline, 'drift'),
+    meanAngle: medianOf(baseline, 'meanAngle'),
+    grade: medianOf(baseline, 'grade'),
+    completed: baseline.filter(entry => entry.completed).length > baseline.length / 2
+  };
+};
+
+// Ways the latest session of a side is worse than its baseline
+const declines = (latest, baseline, options) => {
+  const reasons = [];
+  if (baseline.completed && !latest.completed) reasons.push('notCompleted');
+  if (latest.grade !== null && baseline.grade !== null && latest.grade > baseline.grade) reasons.push('grade');
+  if (latest.timeToPosition !== null && baseline.timeToPosition !== null &&
+      latest.timeToPosition - baseline.timeToPosition > options.timeToPositionIncrease) {
+    reasons.push('timeToPosition');
+  }
+  if (latest.drift !== null && baseline.drift !== null && latest.drift - baseline.drift > options.driftIncrease) {
+    reasons.push('drift');
+  }
+  if (latest.meanAngle !== null && baseline.meanAngle !== null &&
+      baseline.meanAngle - latest.meanAngle > options.angleDecrease) {
+    reasons.push('meanAngle');
+  }
+  return reasons;
+};
+
+// Per-side trend: the series, its baseline and whether the latest session after
+// the baseline is worse. reasons lists which checks failed. Entries may come in
+// any order; they are taken oldest first.
+export const analyzeTrends = (entries, options = DEFAULT_TREND_OPTIONS) => {
+  const ordered = [...entries].sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  const trend = (side) => {
+    const series = sideSeries(ordered, side);
+    const baseline = computeBaseline(series, options);
+    const latest = series.length > options.baselineSessions ? series[series.length - 1] : null;
+    const reasons = baseline && latest ? declines(latest, baseline, options) : [];
+    return { series, baseline, latest, worse: reasons.length > 0, reasons };
+  };
+  return { right: trend('right'), left: trend('left') };
+};
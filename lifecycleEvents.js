@@ -0,0 +1,93 @@
+// Lifecycle events for the host app (the component's onEvent prop), found by
+// comparing the engine state before and after each engine event (see
+// assessmentReducer). Only changes are reported, so a steady hold produces no events.
+//
+//   challengeStarted      the run started (calibrating first when calibration is on)
+//   calibrationComplete   resting geometry measured, timer started (or resumed)
+//   recalibrating         the camera view changed mid-run; the timer pauses
+//   armDetected/armLost   { side } a tested arm came into or dropped out of view
+//   positionReached       { sides } every tested arm is in position; the hold starts
+//   holdBroken            { sides, reason } the hold ended before its duration
+//   sideCompleted         { side } the side was held for the full duration
+//   sideFailed            { side } the side ran out of attempts
+//   sideSwitched          { from, to }
+//   completed / timedOut  the run finished
+//   reset                 back to idle
+//
+// The component adds modelsLoaded { model, backend } and modelsFailed { error },
+// and detectionFailed { error } when the detector keeps failing mid-session.
+
+import { activeSides } from './assessmentEngine';
+
+/**
+ * @typedef {Object} LifecycleEvent
+ * @property {string} type - One of the event types above
+ * @property {number} timestamp - Milliseconds since the epoch
+ * @property {{left: Object|null, right: Object|null}} measurements - Per-side measurements
+ *   at the time (see measureSide in assessmentEngine.js)
+ */
+
+// Why a hold ended, from the arm states on the frame that broke it:
+// trackingLost | shoulderOffLine | angle | elbowBent | compensation
+export const holdBreakReason = (state, sides) => {
+  if (state.qualityIssues.length > 0 || sides.some(side => state.measurements[side] === null)) {
+    return 'trackingLost';
+  }
+  const handStates = sides.map(side => state.handStates[side]);
+  if (handStates.some(handState => !handState.shoulderTouching)) return 'shoulderOffLine';
+  if (handStates.some(handState => !handState.correctAngle)) return 'angle';
+  if (handStates.some(handState => !handState.elbowExtended)) return 'elbowBent';
+  return 'compensation';
+};
+
+// Events caused by one engine event, in the order they happened. Reset events
+// carry no timestamp, so the caller passes the current time.
+export const lifecycleEvents = (previous, next, event, timestamp = event.timestamp) => {
+  const events = [];
+  const emit = (type, details = {}) => events.push({ type, timestamp, ...details, measurements: next.measurements });
+
+  if (event.type === 'reset') {
+    if (previous.phase !== 'idle') emit('reset');
+    return events;
+  }
+  if (event.type === 'start') {
+    emit('challengeStarted');
+    return events;
+  }
+  if (previous.phase === 'running' && next.phase === 'calibrating') emit('recalibrating');
+  if (previous.phase === 'calibrating' && next.phase !== 'calibrating') emit('calibrationComplete');
+
+  // Arms coming into and out of view, on the side being tested before any switch
+  if (previous.phase === 'running' && next.currentSide === previous.currentSide) {
+    activeSides(next).forEach(side => {
+      const was = previous.handStates[side].detected;
+      const is = next.handStates[side].detected;
+      if (!was && is) emit('armDetected', { side });
+      if (was && !is) emit('armLost', { side });
+    });
+  }
+
+  const sides = activeSides(previous);
+  if (previous.holdStartedAt === null && next.holdStartedAt !== null) {
+    emit('positionReached', { sides: activeSides(next) });
+  }
+
+  // A hold that a frame ended without completing the side was broken
+  const sideDone = side => (previous.sides[side].completedAt === null && next.sides[side].completedAt !== null);
+  if (event.type === 'frame' && previous.holdStartedAt !== null && next.holdStartedAt === null &&
+      !['timedOut', 'calibrating'].includes(next.phase) && !sides.some(sideDone)) {
+    emit('holdBroken', { sides, reason: holdBreakReason(next, sides) });
+  }
+
+  ['right', 'left'].forEach(side => {
+    if (sideDone(side)) emit('sideCompleted', { side });
+    if (previous.sides[side].failedAt === null && next.sides[side].failedAt !== null) emit('sideFailed', { side });
+  });
+  if (next.currentSide !== previous.currentSide) {
+    emit('sideSwitched', { from: previous.currentSide, to: next.currentSide });
+  }
+
+  if (previous.phase !== next.phase && next.phase === 'complete') emit('completed');
+  if (previous.phase !== next.phase && next.phase === 'timedOut') emit('timedOut');
+  return events;
+};
@@ -0,0 +1,574 @@
+// Patient-facing text. Every bundle has the same keys; {name} placeholders are
+// filled from the params passed to t(). A message can also be { one, other } to
+// pick the plural form from params.count.
+
+const en = {
+  'title': 'Motor Weakness Assessment',
+
+  'side.right': 'Right',
+  'side.left': 'Left',
+  'arm.right': 'Right arm',
+  'arm.left': 'Left arm',
+  'arm.both': 'Both arms',
+  'hand.right': 'Right hand',
+  'hand.left': 'Left hand',
+  'handName.right': 'right hand',
+  'handName.left': 'left hand',
+  'pill.right': 'Right',
+  'pill.left': 'Left',
+  'angle.single': '{angle}°',
+  'angle.split': '{right}° (right) / {left}° (left)',
+
+  'start.intro': 'This test assesses arm strength by having you hold each arm at a {angle} angle.',
+  'start.introBilateral': 'This test assesses arm strength by having you hold both arms at a {angle} angle at the same time.',
+  'start.hold': "You'll need to hold each arm position for {hold} seconds within {limit} seconds total.",
+  'start.holdBilateral': "You'll need to hold the position for {hold} seconds within {limit} seconds total.",
+  'start.button': 'Start Assessment',
+
+  'result.completeTitle': 'Assessment Complete!',
+  'result.timedOutTitle': "Time's Up",
+  'result.complete': 'You successfully completed the motor weakness assessment.',
+  'result.outOfAttempts': 'The assessment ended after running out of attempts.',
+  'result.timedOut': "The assessment wasn't completed within {limit} seconds.",
+  'result.grade': 'NIHSS {grade} – {label} ({drift}° drift)',
+  'result.notTested': 'Not tested',
+  'result.failed': 'out of attempts',
+  'result.compensated': 'compensated ({issues})',
+  'result.stability': 'Stability {score}/100',
+  'result.tremor': 'tremor at about {frequency} Hz',
+  'result.face': 'Face',
+  'result.faceNotMeasured': 'Not measured',
+  'result.faceUnsupported': "Not measured – this detector doesn't track faces",
+  'result.droop': 'Droop detected on the {side} side (score {score})',
+  'result.noDroop': 'No droop (score {score})',
+  'fineMotor.test.fingerTap': 'Finger tapping',
+  'fineMotor.test.fistClench': 'Fist clenching',
+  'fineMotor.test.targetReach': 'Target reaching',
+  'fineMotor.rate.fingerTap': '{rate} taps/s',
+  'fineMotor.rate.fistClench': '{rate} fists/s',
+  'fineMotor.none.fingerTap': 'no taps',
+  'fineMotor.none.fistClench': 'no fists',
+  'fineMotor.reach': '{time} s per reach, path {ratio}× straight',
+  'fineMotor.noReaches': 'no targets reached',
+  'fineMotor.irregular': 'irregular rhythm',
+  'fineMotor.dysmetric': 'wandering path',
+  'fineMotor.notDetected': 'hand not found',
+  'rom.movement.abduction': 'Shoulder abduction',
+  'rom.movement.flexion': 'Shoulder flexion',
+  'rom.range': '{angle}° of {normal}° ({percent}%)',
+  'rom.limited': 'limited',
+  'rom.compensated': 'reached {angle}° by compensating ({issues})',
+  'rom.notDetected': 'arm not found',
+  'rom.noActiveRange': 'no movement without compensating',
+  'romIssue.crossBody': 'arm across the body',
+  'romIssue.elbowBent': 'bent elbow',
+  'romIssue.trunkLean': 'trunk lean',
+  'romIssue.shoulderHike': 'shoulder hike',
+  'romIssue.trunkRotation': 'torso rotation',
+  'result.asymmetry': 'Asymmetry',
+  'result.weaker': '{arm} weaker',
+  'result.symmetric': 'within normal range',
+  'result.retake': 'Retake Assessment',
+  'result.download': 'Download Recording',
+  'result.continue': 'Continue',
+  'result.history': 'View History',
+  'result.exportFhir': 'Export FHIR',
+  'result.exportCsv': 'Export CSV',
+  'result.printReport': 'Print Report',
+  'result.reportBlocked': 'The report window was blocked. Allow pop-ups for this page and try again.',
+  'result.historyFailed': "This session couldn't be saved to the history on this device.",
+  'result.downloadClip': 'Download Video',
+  'result.clipPending': 'Saving video…',
+  'result.clipFailed': "The video couldn't be saved.",
+  'clip.sideSwitch': 'Now: {arm}',
+  'clip.holdBreak': 'Hold broken: {arm}',
+
+  'report.patient': 'Patient',
+  'report.date': 'Date',
+  'report.status': 'Status',
+  'report.grade': 'NIHSS motor grade',
+  'report.timeToPosition': 'Time to position',
+  'report.holdDuration': 'Longest hold',
+  'report.meanAngle': 'Mean angle',
+  'report.stability': 'Stability',
+  'report.snapshot': 'Camera view with overlay at the end of the assessment',
+
+  'grade.0': 'No drift',
+  'grade.1': 'Drift',
+  'grade.2': 'Some effort against gravity',
+  'grade.3': 'No effort against gravity',
+  'grade.4': 'No movement',
+
+  'header.summary': 'Hold each arm at {angle} for {hold} seconds within {limit} seconds total',
+  'header.summaryBilateral': 'Hold both arms at {angle} for {hold} seconds within {limit} seconds total',
+  'face.banner': 'Face Check: smile for {seconds} seconds',
+  'fineMotor.banner.fingerTap': 'Hand Test {step}/{steps}: finger tapping, {hand}',
+  'fineMotor.banner.fistClench': 'Hand Test {step}/{steps}: open and close your fist, {hand}',
+  'fineMotor.banner.targetReach': 'Hand Test {step}/{steps}: nose to target, {hand}',
+  'rom.banner': 'Range of Motion {step}/{steps}: {movement}, {arm}',
+  'rom.bannerBest': 'Range of Motion {step}/{steps}: {movement}, {arm} – best {angle}°',
+  'calibration.banner': 'Calibrating… hold still',
+  'timer.remaining': 'Time Remaining: {seconds}s',
+  'timer.side': 'Current Side: {arm}',
+  'timer.hold': 'Hold Time: {held}/{total}s',
+  'timer.holdIdle': 'Hold Time: 0s',
+  'countdown.sideComplete': 'Side Complete!',
+
+  'loading': 'Loading pose detection models...',
+  'loadError.title': "Couldn't load the pose detection models",
+  'loadError.detectionTitle': 'Pose detection stopped working',
+  'loadError.retry': 'Retry',
+  'camera.label': 'Camera:',
+  'camera.default': 'Default camera',
+  'camera.front': 'Front camera',
+  'camera.back': 'Back camera',
+  'camera.external': 'Camera',
+  'camera.unnamed': 'Camera {number}',
+  'camera.retry': 'Try again',
+  'camera.error.denied.title': 'Camera access was blocked',
+  'camera.error.denied.help': 'Allow camera access for this site in your browser settings (usually the camera icon in the address bar), then try again.',
+  'camera.error.notFound.title': 'No camera found',
+  'camera.error.notFound.help': 'Connect a camera, or check that it is turned on and enabled, then try again.',
+  'camera.error.busy.title': 'The camera is in use',
+  'camera.error.busy.help': 'Close other apps or browser tabs that may be using the camera, such as video calls, then try again.',
+  'camera.error.unsupported.title': "The camera can't provide the requested video",
+  'camera.error.unsupported.help': 'Pick another camera, or try again to use the closest settings this camera supports.',
+  'camera.error.insecure.title': 'The camera is not available on this page',
+  'camera.error.insecure.help': 'Camera access needs a secure (https) connection and a current browser.',
+  'camera.error.disconnected.title': 'The camera was disconnected',
+  'camera.error.disconnected.help': 'The test was stopped. Reconnect the camera or pick another one, then start again.',
+  'camera.error.unknown.title': "Couldn't start the camera",
+  'camera.error.unknown.help': 'Check the camera and try again.',
+  'configError.title': 'The assessment is misconfigured',
+
+  'status.faceNotVisible': 'Look straight at the camera so your face is in view',
+  'status.smile': 'Smile widely and hold it! {seconds}s',
+  'status.showHand': 'Hold your {hand} up to the camera, palm facing it',
+  'status.fingerTap': 'Tap your thumb and index finger together, as fast and as wide as you can! {count} taps',
+  'status.fistClench': 'Open your hand wide, then make a tight fist, as fast as you can! {count} fists',
+  'status.reachFaceVisible': 'Move so your face and both shoulders are in view',
+  'status.reachNose': 'Touch your nose with the index finger of your {hand}',
+  'status.reachTarget': 'Now touch the outlined target with the same finger',
+  'status.romFind.abduction': 'Face the camera and step back so your whole {side} arm is in view',
+  'status.romFind.flexion': 'Turn so your {side} side faces the camera, with your whole arm in view',
+  'status.rom.abduction': 'Raise your {side} arm out to the side and up as far as you can, then lower it',
+  'status.rom.flexion': 'Raise your {side} arm forward and up as far as you can, then lower it',
+  'status.romIssue.crossBody': 'Raise your {side} arm out to the side, not across your body',
+  'status.romIssue.elbowBent': 'Keep your {side} elbow straight',
+  'status.romIssue.trunkLean': 'Keep your body upright – raise your {side} arm without leaning',
+  'status.romIssue.shoulderHike': 'Relax your {side} shoulder down – lift with your arm only',
+  'status.romIssue.trunkRotation': "Keep your body still – don't twist it",
+  'status.idle': 'Click "{button}" to begin',
+  'status.calibrating': 'Stand still facing the camera with your arms relaxed at your sides',
+  'status.recalibrating': 'The camera view changed. Stand still with your arms relaxed at your sides to continue',
+  'status.complete': 'Assessment complete!',
+  'status.timedOut': "Time's up! You didn't complete the assessment in time.",
+  'status.showArm': 'Show your {side} arm to the camera',
+  'status.shoulderLine': 'Position your {side} shoulder on the line',
+  'status.extendArm': 'Extend your {side} arm at {angle}° angle',
+  'status.straightenElbow': 'Straighten your {side} elbow',
+  'status.holdBoth': 'Hold both arms in position! {seconds}s',
+  'status.hold': 'Hold your {side} arm position! {seconds}s',
+  'status.trackingLost': 'Lost sight of your arm for a moment – keep holding',
+  'compensation.trunkLean': 'Keep your body upright – lift your {side} arm without leaning',
+  'compensation.shoulderHike': 'Relax your {side} shoulder down – lift with your arm only',
+  'compensation.trunkRotation': "Face the camera squarely – don't twist your body",
+  'compensationIssue.trunkLean': 'trunk lean',
+  'compensationIssue.shoulderHike': 'shoulder hike',
+  'compensationIssue.trunkRotation': 'torso rotation',
+
+  'quality.tooDark': "It's too dark – turn on a light or face a window",
+  'quality.multiplePeople': 'Make sure only you are in view of the camera',
+  'quality.shouldersOutOfFrame': 'Move so both shoulders are in the picture',
+  'quality.tooFar': 'Move closer to the camera',
+  'quality.tooClose': 'Step back so your arms fit in the picture',
+
+  'speech.smile': 'Smile widely and hold it',
+  'speech.fingerTap': 'Tap the thumb and index finger of your {hand} together, fast and wide',
+  'speech.fistClench': 'Open and close your {hand}, fast',
+  'speech.switchSide': 'Now your {side} arm',
+
+  'instructions.title': 'How to perform the assessment:',
+  'instructions.mirror': 'Stand facing the camera; the picture works like a mirror, so your right arm appears on the right',
+  'instructions.face': 'First, look at the camera and smile widely until the face check finishes',
+  'instructions.fineMotor': 'Then do the hand tests one hand at a time: finger tapping, opening and closing your fist, and touching your nose then a target on screen',
+  'instructions.rangeOfMotion': 'Raise each arm as far as it goes, out to the side facing the camera and forward standing side-on, keeping your elbow straight and your body still',
+  'instructions.calibrate': 'Stand still with your arms relaxed for a few seconds while the system measures you',
+  'instructions.shoulderLine': 'Keep your shoulder on the blue line',
+  'instructions.extend': 'Extend your arm at a {angle} angle from your shoulder',
+  'instructions.extendBilateral': 'Extend both arms at a {angle} angle from your shoulder',
+  'instructions.elbow': 'Keep your elbow straight',
+  'instructions.hold': 'Hold the position for {hold} seconds',
+  'instructions.order': 'The system will guide you through both arms, starting with your {side} arm',
+  'instructions.orderBilateral': 'Both arms are held and compared at the same time',
+  'instructions.attempts': {
+    one: 'You have {count} attempt per arm; dropping out of position uses it up',
+    other: 'You have {count} attempts per arm; dropping out of position uses one up'
+  },
+  'instructions.limit': 'You have {limit} seconds total to complete both sides',
+  'instructions.limitBilateral': 'You have {limit} seconds total to complete the assessment',
+
+  'history.title': 'Session History',
+  'history.loading': 'Loading sessions...',
+  'history.unavailable': "Session history isn't available on this device",
+  'history.empty': 'No sessions saved yet',
+  'history.sessions': { one: '{count} session', other: '{count} sessions' },
+  'history.worse': '{arm} is worse than baseline: {reasons}',
+  'history.stable': 'No decline from baseline',
+  'history.needsBaseline': 'A baseline needs {count} sessions per arm',
+  'history.baseline': 'dashed lines show the baseline from the first {count} sessions',
+  'history.metric.timeToPosition': 'Time to position (s)',
+  'history.metric.drift': 'Hold stability – drift (°)',
+  'history.metric.meanAngle': 'Arm angle (°)',
+  'history.reason.notCompleted': 'hold not completed',
+  'history.reason.grade': 'higher NIHSS grade',
+  'history.reason.timeToPosition': 'slower to reach position',
+  'history.reason.drift': 'more drift',
+  'history.reason.meanAngle': 'lower arm angle',
+  'history.clear': 'Clear History',
+  'history.confirmClear': {
+    one: "Delete {count} saved session? This can't be undone.",
+    other: "Delete all {count} saved sessions? This can't be undone."
+  },
+  'history.confirmClearYes': 'Delete',
+  'history.cancel': 'Cancel',
+  'history.clearFailed': "Couldn't clear the history. Try again.",
+  'history.close': 'Close',
+
+  'remote.clinicianWatching': 'A clinician is watching',
+  'clinician.title': 'Remote Assessment',
+  'clinician.connection.connecting': 'Connecting to the relay...',
+  'clinician.connection.closed': 'Disconnected from the relay – reconnecting',
+  'clinician.waitingForPatient': "Waiting for the patient's device to connect",
+  'clinician.patientConnected': 'Patient connected',
+  'clinician.phase.idle': 'Not started',
+  'clinician.phase.calibrating': 'Calibrating',
+  'clinician.phase.running': 'In progress',
+  'clinician.phase.complete': 'Complete',
+  'clinician.phase.timedOut': 'Timed out',
+  'clinician.check.detected': 'visible',
+  'clinician.check.shoulderTouching': 'shoulder on line',
+  'clinician.check.correctAngle': 'at angle',
+  'clinician.check.elbowExtended': 'elbow straight',
+  'clinician.start': 'Start',
+  'clinician.switchSide': 'Next Side',
+  'clinician.reset': 'Reset'
+};
+
+const es = {
+  'title': 'Evaluación de debilidad motora',
+
+  'side.right': 'derecho',
+  'side.left': 'izquierdo',
+  'arm.right': 'Brazo derecho',
+  'arm.left': 'Brazo izquierdo',
+  'arm.both': 'Ambos brazos',
+  'hand.right': 'Mano derecha',
+  'hand.left': 'Mano izquierda',
+  'handName.right': 'mano derecha',
+  'handName.left': 'mano izquierda',
+  'pill.right': 'Derecho',
+  'pill.left': 'Izquierdo',
+  'angle.single': '{angle}°',
+  'angle.split': '{right}° (derecho) / {left}° (izquierdo)',
+
+  'start.intro': 'Esta prueba evalúa la fuerza de los brazos pidiéndole que mantenga cada brazo en un ángulo de {angle}.',
+  'start.introBilateral': 'Esta prueba evalúa la fuerza de los brazos pidiéndole que mantenga ambos brazos a la vez en un ángulo de {angle}.',
+  'start.hold': 'Deberá mantener cada brazo en posición durante {hold} segundos, con {limit} segundos en total.',
+  'start.holdBilateral': 'Deberá mantener la posición durante {hold} segundos, con {limit} segundos en total.',
+  'start.button': 'Iniciar evaluación',
+
+  'result.completeTitle': '¡Evaluación completada!',
+  'result.timedOutTitle': 'Se acabó el tiempo',
+  'result.complete': 'Ha completado la evaluación de debilidad motora.',
+  'result.outOfAttempts': 'La evaluación terminó al agotarse los intentos.',
+  'result.timedOut': 'La evaluación no se completó en {limit} segundos.',
+  'result.grade': 'NIHSS {grade} – {label} ({drift}° de caída)',
+  'result.notTested': 'No evaluado',
+  'result.failed': 'sin intentos',
+  'result.compensated': 'con compensación ({issues})',
+  'result.stability': 'Estabilidad {score}/100',
+  'result.tremor': 'temblor de unos {frequency} Hz',
+  'result.face': 'Cara',
+  'result.faceNotMeasured': 'No medida',
+  'result.faceUnsupported': 'No medida: este detector no sigue la cara',
+  'result.droop': 'Caída detectada en el lado {side} (puntuación {score})',
+  'result.noDroop': 'Sin caída (puntuación {score})',
+  'fineMotor.test.fingerTap': 'Golpeteo de dedos',
+  'fineMotor.test.fistClench': 'Abrir y cerrar el puño',
+  'fineMotor.test.targetReach': 'Alcance de objetivos',
+  'fineMotor.rate.fingerTap': '{rate} golpes/s',
+  'fineMotor.rate.fistClench': '{rate} puños/s',
+  'fineMotor.none.fingerTap': 'ningún golpe',
+  'fineMotor.none.fistClench': 'ningún puño',
+  'fineMotor.reach': '{time} s por alcance, trayecto {ratio}× el directo',
+  'fineMotor.noReaches': 'ningún objetivo alcanzado',
+  'fineMotor.irregular': 'ritmo irregular',
+  'fineMotor.dysmetric': 'trayecto errático',
+  'fineMotor.notDetected': 'mano no encontrada',
+  'rom.movement.abduction': 'Abducción del hombro',
+  'rom.movement.flexion': 'Flexión del hombro',
+  'rom.range': '{angle}° de {normal}° ({percent} %)',
+  'rom.limited': 'limitada',
+  'rom.compensated': 'llegó a {angle}° compensando ({issues})',
+  'rom.notDetected': 'brazo no encontrado',
+  'rom.noActiveRange': 'ningún movimiento sin compensar',
+  'romIssue.crossBody': 'brazo cruzado por delante del cuerpo',
+  'romIssue.elbowBent': 'codo doblado',
+  'romIssue.trunkLean': 'inclinación del tronco',
+  'romIssue.shoulderHike': 'elevación del hombro',
+  'romIssue.trunkRotation': 'rotación del torso',
+  'result.asymmetry': 'Asimetría',
+  'result.weaker': '{arm} más débil',
+  'result.symmetric': 'dentro del rango normal',
+  'result.retake': 'Repetir evaluación',
+  'result.download': 'Descargar grabación',
+  'result.continue': 'Continuar',
+  'result.history': 'Ver historial',
+  'result.exportFhir': 'Exportar FHIR',
+  'result.exportCsv': 'Exportar CSV',
+  'result.printReport': 'Imprimir informe',
+  'result.reportBlocked': 'Se bloqueó la ventana del informe. Permita las ventanas emergentes para esta página e inténtelo de nuevo.',
+  'result.historyFailed': 'No se pudo guardar esta sesión en el historial de este dispositivo.',
+  'result.downloadClip': 'Descargar vídeo',
+  'result.clipPending': 'Guardando vídeo…',
+  'result.clipFailed': 'No se pudo guardar el vídeo.',
+  'clip.sideSwitch': 'Ahora: {arm}',
+  'clip.holdBreak': 'Posición perdida: {arm}',
+
+  'report.patient': 'Paciente',
+  'report.date': 'Fecha',
+  'report.status': 'Estado',
+  'report.grade': 'Grado motor NIHSS',
+  'report.timeToPosition': 'Tiempo hasta la posición',
+  'report.holdDuration': 'Mantenimiento más largo',
+  'report.meanAngle': 'Ángulo medio',
+  'report.stability': 'Estabilidad',
+  'report.snapshot': 'Vista de la cámara con la superposición al final de la evaluación',
+
+  'grade.0': 'Sin caída',
+  'grade.1': 'Caída',
+  'grade.2': 'Algún esfuerzo contra la gravedad',
+  'grade.3': 'Ningún esfuerzo contra la gravedad',
+  'grade.4': 'Ningún movimiento',
+
+  'header.summary': 'Mantenga cada brazo a {angle} durante {hold} segundos, con {limit} segundos en total',
+  'header.summaryBilateral': 'Mantenga ambos brazos a {angle} durante {hold} segundos, con {limit} segundos en total',
+  'face.banner': 'Control facial: sonría durante {seconds} segundos',
+  'fineMotor.banner.fingerTap': 'Prueba de mano {step}/{steps}: golpeteo de dedos, {hand}',
+  'fineMotor.banner.fistClench': 'Prueba de mano {step}/{steps}: abra y cierre el puño, {hand}',
+  'fineMotor.banner.targetReach': 'Prueba de mano {step}/{steps}: de la nariz al objetivo, {hand}',
+  'rom.banner': 'Amplitud de movimiento {step}/{steps}: {movement}, {arm}',
+  'rom.bannerBest': 'Amplitud de movimiento {step}/{steps}: {movement}, {arm} – mejor {angle}°',
+  'calibration.banner': 'Calibrando… no se mueva',
+  'timer.remaining': 'Tiempo restante: {seconds} s',
+  'timer.side': 'Lado actual: {arm}',
+  'timer.hold': 'Tiempo mantenido: {held}/{total} s',
+  'timer.holdIdle': 'Tiempo mantenido: 0 s',
+  'countdown.sideComplete': '¡Lado completado!',
+
+  'loading': 'Cargando los modelos de detección de postura...',
+  'loadError.title': 'No se pudieron cargar los modelos de detección de postura',
+  'loadError.detectionTitle': 'La detección de postura dejó de funcionar',
+  'loadError.retry': 'Reintentar',
+  'camera.label': 'Cámara:',
+  'camera.default': 'Cámara predeterminada',
+  'camera.front': 'Cámara frontal',
+  'camera.back': 'Cámara trasera',
+  'camera.external': 'Cámara',
+  'camera.unnamed': 'Cámara {number}',
+  'camera.retry': 'Intentar de nuevo',
+  'camera.error.denied.title': 'Se bloqueó el acceso a la cámara',
+  'camera.error.denied.help': 'Permita el acceso a la cámara para este sitio en la configuración del navegador (normalmente el icono de la cámara en la barra de direcciones) e inténtelo de nuevo.',
+  'camera.error.notFound.title': 'No se encontró ninguna cámara',
+  'camera.error.notFound.help': 'Conecte una cámara, o compruebe que está encendida y habilitada, e inténtelo de nuevo.',
+  'camera.error.busy.title': 'La cámara está en uso',
+  'camera.error.busy.help': 'Cierre otras aplicaciones o pestañas que puedan estar usando la cámara, como videollamadas, e inténtelo de nuevo.',
+  'camera.error.unsupported.title': 'La cámara no puede ofrecer el vídeo solicitado',
+  'camera.error.unsupported.help': 'Elija otra cámara, o inténtelo de nuevo para usar los ajustes más parecidos que admita esta cámara.',
+  'camera.error.insecure.title': 'La cámara no está disponible en esta página',
+  'camera.error.insecure.help': 'El acceso a la cámara necesita una conexión segura (https) y un navegador actualizado.',
+  'camera.error.disconnected.title': 'Se desconectó la cámara',
+  'camera.error.disconnected.help': 'Se detuvo la prueba. Vuelva a conectar la cámara o elija otra y empiece de nuevo.',
+  'camera.error.unknown.title': 'No se pudo iniciar la cámara',
+  'camera.error.unknown.help': 'Compruebe la cámara e inténtelo de nuevo.',
+  'configError.title': 'La evaluación está mal configurada',
+
+  'status.faceNotVisible': 'Mire directamente a la cámara para que se le vea la cara',
+  'status.smile': '¡Sonría ampliamente y manténgalo! {seconds} s',
+  'status.showHand': 'Muestre su {hand} a la cámara, con la palma hacia ella',
+  'status.fingerTap': '¡Junte el pulgar y el índice una y otra vez, lo más rápido y amplio que pueda! {count} golpes',
+  'status.fistClench': '¡Abra bien la mano y luego cierre el puño con fuerza, lo más rápido que pueda! {count} puños',
+  'status.reachFaceVisible': 'Colóquese de modo que se vean su cara y ambos hombros',
+  'status.reachNose': 'Tóquese la nariz con el dedo índice de la {hand}',
+  'status.reachTarget': 'Ahora toque el objetivo marcado con el mismo dedo',
+  'status.romFind.abduction': 'Mire a la cámara y aléjese para que se vea todo su brazo {side}',
+  'status.romFind.flexion': 'Gírese para que su lado {side} quede frente a la cámara, con todo el brazo a la vista',
+  'status.rom.abduction': 'Levante el brazo {side} hacia el lado y hacia arriba todo lo que pueda, y luego bájelo',
+  'status.rom.flexion': 'Levante el brazo {side} hacia delante y hacia arriba todo lo que pueda, y luego bájelo',
+  'status.romIssue.crossBody': 'Levante el brazo {side} hacia el lado, no por delante del cuerpo',
+  'status.romIssue.elbowBent': 'Mantenga el codo {side} estirado',
+  'status.romIssue.trunkLean': 'Mantenga el cuerpo recto; levante el brazo {side} sin inclinarse',
+  'status.romIssue.shoulderHike': 'Relaje el hombro {side}; levante solo el brazo',
+  'status.romIssue.trunkRotation': 'Mantenga el cuerpo quieto; no lo gire',
+  'status.idle': 'Pulse «{button}» para comenzar',
+  'status.calibrating': 'Quédese quieto frente a la cámara con los brazos relajados a los lados',
+  'status.recalibrating': 'La imagen de la cámara cambió. Quédese quieto con los brazos relajados a los lados para continuar',
+  'status.complete': '¡Evaluación completada!',
+  'status.timedOut': '¡Se acabó el tiempo! No completó la evaluación a tiempo.',
+  'status.showArm': 'Muestre su brazo {side} a la cámara',
+  'status.shoulderLine': 'Coloque su hombro {side} sobre la línea',
+  'status.extendArm': 'Extienda su brazo {side} en un ángulo de {angle}°',
+  'status.straightenElbow': 'Estire su codo {side}',
+  'status.holdBoth': '¡Mantenga ambos brazos en posición! {seconds} s',
+  'status.hold': '¡Mantenga su brazo {side} en posición! {seconds} s',
+  'status.trackingLost': 'Se perdió de vista su brazo un momento; siga manteniendo la posición',
+  'compensation.trunkLean': 'Mantenga el cuerpo recto; levante el brazo {side} sin inclinarse',
+  'compensation.shoulderHike': 'Relaje el hombro {side}; levante solo el brazo',
+  'compensation.trunkRotation': 'Mire de frente a la cámara; no gire el cuerpo',
+  'compensationIssue.trunkLean': 'inclinación del tronco',
+  'compensationIssue.shoulderHike': 'elevación del hombro',
+  'compensationIssue.trunkRotation': 'rotación del torso',
+
+  'quality.tooDark': 'Hay muy poca luz; encienda una luz o póngase frente a una ventana',
+  'quality.multiplePeople': 'Asegúrese de que solo usted aparece ante la cámara',
+  'quality.shouldersOutOfFrame': 'Colóquese de modo que se vean ambos hombros',
+  'quality.tooFar': 'Acérquese a la cámara',
+  'quality.tooClose': 'Aléjese para que sus brazos quepan en la imagen',
+
+  'speech.smile': 'Sonría ampliamente y manténgalo',
+  'speech.fingerTap': 'Junte el pulgar y el índice de la {hand}, rápido y amplio',
+  'speech.fistClench': 'Abra y cierre la {hand}, rápido',
+  'speech.switchSide': 'Ahora su brazo {side}',
+
+  'instructions.title': 'Cómo realizar la evaluación:',
+  'instructions.mirror': 'Colóquese frente a la cámara; la imagen funciona como un espejo, así que su brazo derecho aparece a la derecha',
+  'instructions.face': 'Primero, mire a la cámara y sonría ampliamente hasta que termine el control facial',
+  'instructions.fineMotor': 'Después haga las pruebas de mano, una mano cada vez: golpeteo de dedos, abrir y cerrar el puño, y tocarse la nariz y luego un objetivo en pantalla',
+  'instructions.rangeOfMotion': 'Levante cada brazo todo lo que pueda, hacia el lado mirando a la cámara y hacia delante de perfil, con el codo estirado y el cuerpo quieto',
+  'instructions.calibrate': 'Quédese quieto con los brazos relajados unos segundos mientras el sistema le mide',
+  'instructions.shoulderLine': 'Mantenga el hombro sobre la línea azul',
+  'instructions.extend': 'Extienda el brazo en un ángulo de {angle} desde el hombro',
+  'instructions.extendBilateral': 'Extienda ambos brazos en un ángulo de {angle} desde los hombros',
+  'instructions.elbow': 'Mantenga el codo estirado',
+  'instructions.hold': 'Mantenga la posición durante {hold} segundos',
+  'instructions.order': 'El sistema le guiará con ambos brazos, empezando por su brazo {side}',
+  'instructions.orderBilateral': 'Ambos brazos se mantienen y se comparan a la vez',
+  'instructions.attempts': {
+    one: 'Tiene {count} intento por brazo; salir de la posición lo consume',
+    other: 'Tiene {count} intentos por brazo; salir de la posición consume uno'
+  },
+  'instructions.limit': 'Tiene {limit} segundos en total para completar ambos lados',
+  'instructions.limitBilateral': 'Tiene {limit} segundos en total para completar la evaluación',
+
+  'history.title': 'Historial de sesiones',
+  'history.loading': 'Cargando sesiones...',
+  'history.unavailable': 'El historial de sesiones no está disponible en este dispositivo',
+  'history.empty': 'Todavía no hay sesiones guardadas',
+  'history.sessions': { one: '{count} sesión', other: '{count} sesiones' },
+  'history.worse': '{arm} está peor que la referencia: {reasons}',
+  'history.stable': 'Sin empeoramiento respecto a la referencia',
+  'history.needsBaseline': 'La referencia necesita {count} sesiones por brazo',
+  'history.baseline': 'las líneas discontinuas muestran la referencia de las primeras {count} sesiones',
+  'history.metric.timeToPosition': 'Tiempo hasta la posición (s)',
+  'history.metric.drift': 'Estabilidad – caída (°)',
+  'history.metric.meanAngle': 'Ángulo del brazo (°)',
+  'history.reason.notCompleted': 'no completó el mantenimiento',
+  'history.reason.grade': 'grado NIHSS más alto',
+  'history.reason.timeToPosition': 'tarda más en alcanzar la posición',
+  'history.reason.drift': 'más caída',
+  'history.reason.meanAngle': 'ángulo del brazo más bajo',
+  'history.clear': 'Borrar historial',
+  'history.confirmClear': {
+    one: '¿Borrar {count} sesión guardada? No se puede deshacer.',
+    other: '¿Borrar las {count} sesiones guardadas? No se puede deshacer.'
+  },
+  'history.confirmClearYes': 'Borrar',
+  'history.cancel': 'Cancelar',
+  'history.clearFailed': 'No se pudo borrar el historial. Inténtelo de nuevo.',
+  'history.close': 'Cerrar',
+
+  'remote.clinicianWatching': 'Un profesional sanitario está observando',
+  'clinician.title': 'Evaluación remota',
+  'clinician.connection.connecting': 'Conectando con el servidor de retransmisión...',
+  'clinician.connection.closed': 'Desconectado del servidor de retransmisión; reconectando',
+  'clinician.waitingForPatient': 'Esperando a que se conecte el dispositivo del paciente',
+  'clinician.patientConnected': 'Paciente conectado',
+  'clinician.phase.idle': 'Sin iniciar',
+  'clinician.phase.calibrating': 'Calibrando',
+  'clinician.phase.running': 'En curso',
+  'clinician.phase.complete': 'Completada',
+  'clinician.phase.timedOut': 'Tiempo agotado',
+  'clinician.check.detected': 'visible',
+  'clinician.check.shoulderTouching': 'hombro en la línea',
+  'clinician.check.correctAngle': 'en el ángulo',
+  'clinician.check.elbowExtended': 'codo recto',
+  'clinician.start': 'Iniciar',
+  'clinician.switchSide': 'Siguiente lado',
+  'clinician.reset': 'Reiniciar'
+};
+
+export const MESSAGES = { en, es };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const language = locale => locale.split('-')[0].toLowerCase();
+
+export const getDirection = (locale) => (RTL_LANGUAGES.includes(language(locale)) ? 'rtl' : 'ltr');
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined ? String(params[name]) : match
+));
+
+// Translator for a locale. Looks the locale up exactly, then by language
+// ('es-MX' falls back to 'es'); extra messages override the bundle, and any key
+// still missing falls back to English.
+export const createTranslator = (locale = DEFAULT_LOCALE, messages = null) => {
+  const bundle = {
+    ...MESSAGES[DEFAULT_LOCALE],
+    ...(MESSAGES[locale] || MESSAGES[language(locale)]),
+    ...messages
+  };
+  const plurals = new Intl.PluralRules(locale);
+
+  const t = (key, params = {}) => {
+    const message = bundle[key];
+    if (message === undefined) return key;
+    const text = typeof message === 'string'
+      ? message
+      : message[plurals.select(params.count)] ?? message.other;
+    return interpolate(text, params);
+  };
+  t.locale = locale;
+  t.direction = getDirection(locale);
+  return t;
+};
+
+const placeholders = (message) => {
+  const forms = typeof message === 'string' ? [message] : Object.values(message);
+  return [...new Set(forms.join(' ').match(/\{\w+\}/g) || [])].sort().join(',');
+};
+
+// Check every bundle against the reference one: each key must be present, and
+// use the same placeholders. Returns a list of problems, empty when all is well.
+export const findMissingMessages = (bundles = MESSAGES, reference = DEFAULT_LOCALE) => {
+  const problems = [];
+  const referenceBundle = bundles[reference];
+  Object.entries(bundles).forEach(([locale, bundle]) => {
+    if (locale === reference) return;
+    Object.keys(referenceBundle).forEach(key => {
+      if (bundle[key] === undefined) {
+        problems.push(`${locale}: missing "${key}"`);
+      } else if (placeholders(bundle[key]) !== placeholders(referenceBundle[key])) {
+        problems.push(`${locale}: "${key}" uses ${placeholders(bundle[key]) || 'no placeholders'}, expected ${placeholders(referenceBundle[key])}`);
+      }
+    });
+    Object.keys(bundle).forEach(key => {
+      if (referenceBundle[key] === undefined) problems.push(`${locale}: unknown key "${key}"`);
+    });
+  });
+  return problems;
+};
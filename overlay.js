@@ -0,0 +1,357 @@
+// Canvas overlays for the assessment steps, drawn from a keypoint frame and the
+// engine state so live and replayed sessions look the same. Frames are already in
+// display space, so the overlay lines up with the (mirrored) video as drawn.
+
+import { activeSides } from './assessmentEngine';
+import { getGeometry } from './calibration';
+import { pointAtElevation } from './coordinates';
+import { FACE_LANDMARKS } from './faceDroop';
+import { HAND_LANDMARKS, currentFineMotorStep } from './fineMotor';
+import { currentRomStep, pointAtRaise } from './rangeOfMotion';
+import { recentStabilityScore } from './stability';
+
+export const OVERLAY_COLORS = {
+  right: '#4CAF50',
+  left: '#FF5252',
+  line: '#3B82F6',
+  target: 'rgba(251, 191, 36, 0.7)',
+  band: 'rgba(59, 130, 246, 0.12)',
+  gaugeTrack: 'rgba(0, 0, 0, 0.35)',
+  gaugeSteady: '#22C55E',
+  gaugeFair: '#F59E0B',
+  gaugeShaky: '#EF4444',
+  torso: 'rgba(255, 255, 255, 0.6)',
+  compensation: '#F97316',
+  reachDone: 'rgba(34, 197, 94, 0.5)',
+  arcTrack: 'rgba(0, 0, 0, 0.25)',
+  arcNormal: 'rgba(34, 197, 94, 0.35)',
+  arcMax: '#FBBF24'
+};
+
+// Finger chains of the 21 MediaPipe Hands landmarks, each from the wrist
+const HAND_CHAINS = [[0, 1, 2, 3, 4], [0, 5, 6, 7, 8], [0, 9, 10, 11, 12], [0, 13, 14, 15, 16], [0, 17, 18, 19, 20]];
+
+const GAUGE_WIDTH = 70;
+const GAUGE_HEIGHT = 8;
+
+// Stability gauge above the shoulder: a bar filled to the live score (0-100)
+const drawStabilityGauge = (ctx, shoulder, score, colors) => {
+  const x = shoulder.x - GAUGE_WIDTH / 2;
+  const y = shoulder.y - 40;
+  ctx.fillStyle = colors.gaugeTrack;
+  ctx.fillRect(x, y, GAUGE_WIDTH, GAUGE_HEIGHT);
+  if (score >= 70) ctx.fillStyle = colors.gaugeSteady;
+  else if (score >= 40) ctx.fillStyle = colors.gaugeFair;
+  else ctx.fillStyle = colors.gaugeShaky;
+  ctx.fillRect(x, y, (GAUGE_WIDTH * score) / 100, GAUGE_HEIGHT);
+};
+
+export const drawOverlay = (ctx, frame, state, colors = OVERLAY_COLORS) => {
+  const { videoWidth, videoHeight, shoulders, handLandmarks } = frame;
+  const { protocol, measurements } = state;
+  const calibrating = state.phase === 'calibrating';
+  const geometry = getGeometry(state.calibration, frame);
+  ctx.clearRect(0, 0, videoWidth, videoHeight);
+
+  // Draw detection line for shoulders, with its tolerance band. There is no line
+  // while the patient is still being measured.
+  if (!calibrating) {
+    const { shoulderLineY, tolerance } = geometry;
+    ctx.fillStyle = colors.band;
+    ctx.fillRect(0, shoulderLineY - tolerance, videoWidth, tolerance * 2);
+
+    ctx.strokeStyle = colors.line;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([5, 5]);
+    ctx.beginPath();
+    ctx.moveTo(0, shoulderLineY);
+    ctx.lineTo(videoWidth, shoulderLineY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  // Draw the torso: shoulder line, hips and trunk midline, highlighted while the
+  // patient compensates with their body
+  if (!calibrating) {
+    const visible = keypoint => keypoint && keypoint.score > protocol.minKeypointScore;
+    const hips = frame.hips || {};
+    const compensating = activeSides(state).some(side => state.handStates[side].compensating);
+    ctx.strokeStyle = compensating ? colors.compensation : colors.torso;
+    ctx.lineWidth = compensating ? 4 : 2;
+    if (visible(shoulders.left) && visible(shoulders.right)) {
+      ctx.beginPath();
+      ctx.moveTo(shoulders.left.x, shoulders.left.y);
+      ctx.lineTo(shoulders.right.x, shoulders.right.y);
+      ctx.stroke();
+      if (visible(hips.left) && visible(hips.right)) {
+        ctx.beginPath();
+        ctx.moveTo((hips.left.x + hips.right.x) / 2, (hips.left.y + hips.right.y) / 2);
+        ctx.lineTo((shoulders.left.x + shoulders.right.x) / 2, (shoulders.left.y + shoulders.right.y) / 2);
+        ctx.stroke();
+        ctx.fillStyle = ctx.strokeStyle;
+        [hips.left, hips.right].forEach((hip) => {
+          ctx.beginPath();
+          ctx.arc(hip.x, hip.y, 6, 0, 2 * Math.PI);
+          ctx.fill();
+        });
+      }
+    }
+  }
+
+  // Draw shoulders
+  ['left', 'right'].forEach((side) => {
+    const shoulder = shoulders[side];
+    if (shoulder && shoulder.score > protocol.minKeypointScore) {
+      const color = side === 'left' ? colors.left : colors.right;
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(shoulder.x, shoulder.y, 8, 0, 2 * Math.PI);
+      ctx.fill();
+      if (calibrating) return;
+      
+      // Hand target position: one arm's length out from the body at the target angle
+      const target = pointAtElevation(
+        shoulder,
+        protocol.targetAngles[side],
+        geometry.armLength,
+        side,
+        frame.mirrored
+      );
+      
+      // Draw target circle
+      ctx.fillStyle = colors.target;
+      ctx.beginPath();
+      ctx.arc(target.x, target.y, geometry.shoulderWidth ? geometry.shoulderWidth * 0.1 : 15, 0, 2 * Math.PI);
+      ctx.fill();
+      
+      // Draw line from shoulder to target
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(shoulder.x, shoulder.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+    }
+  });
+
+  // Draw the arm segments where the elbow is visible
+  ['left', 'right'].forEach((side) => {
+    const shoulder = shoulders[side];
+    const elbow = frame.elbows ? frame.elbows[side] : null;
+    const wrist = frame.wrists[side];
+    if (!elbow || elbow.score <= protocol.minKeypointScore) return;
+
+    const color = side === 'left' ? colors.left : colors.right;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(elbow.x, elbow.y, 6, 0, 2 * Math.PI);
+    ctx.fill();
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    if (shoulder && shoulder.score > protocol.minKeypointScore) {
+      ctx.moveTo(shoulder.x, shoulder.y);
+      ctx.lineTo(elbow.x, elbow.y);
+    } else {
+      ctx.moveTo(elbow.x, elbow.y);
+    }
+    if (wrist && wrist.score > protocol.minKeypointScore) ctx.lineTo(wrist.x, wrist.y);
+    ctx.stroke();
+  });
+
+  // Draw hand landmarks (or the pose wrist) and angle text
+  ['left', 'right'].forEach((side) => {
+    const landmarks = handLandmarks[side] || (frame.wrists[side] ? [frame.wrists[side]] : null);
+    if (!landmarks) return;
+
+    ctx.fillStyle = side === 'left' ? colors.left : colors.right;
+    landmarks.forEach((keypoint) => {
+      ctx.beginPath();
+      ctx.arc(keypoint.x, keypoint.y, 5, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+
+    if (measurements[side]) {
+      const wrist = frame.wrists[side];
+      ctx.fillStyle = 'black';
+      ctx.font = '16px Arial';
+      ctx.fillText(
+        `${Math.round(measurements[side].angle)}°`, 
+        wrist.x + 10, 
+        wrist.y - 10
+      );
+    }
+  });
+
+  // Live stability of the arms being held
+  if (state.phase === 'running') {
+    activeSides(state).forEach((side) => {
+      const shoulder = shoulders[side];
+      const score = recentStabilityScore(state.sides[side].samples);
+      if (shoulder && score !== null) drawStabilityGauge(ctx, shoulder, score, colors);
+    });
+  }
+};
+
+// Facial droop overlay: the eye line, each eye's lids and each mouth corner's
+// lift from the centre of the mouth
+export const drawFaceOverlay = (ctx, frame, colors = OVERLAY_COLORS) => {
+  const { videoWidth, videoHeight, keypoints } = frame;
+  ctx.clearRect(0, 0, videoWidth, videoHeight);
+  if (!keypoints) return;
+
+  const point = index => keypoints[index];
+  const dot = (p, color, radius = 4) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
+    ctx.fill();
+  };
+  const line = (a, b, color, width = 2) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  };
+
+  // Reference line through the outer eye corners
+  ctx.setLineDash([5, 5]);
+  line(point(FACE_LANDMARKS.right.eyeOuter), point(FACE_LANDMARKS.left.eyeOuter), colors.line);
+  ctx.setLineDash([]);
+
+  const lipCentre = point(FACE_LANDMARKS.upperLip);
+  ['left', 'right'].forEach((side) => {
+    const color = side === 'left' ? colors.left : colors.right;
+    const { upperLid, lowerLid, mouthCorner } = FACE_LANDMARKS[side];
+    line(point(upperLid), point(lowerLid), color);
+    dot(point(upperLid), color);
+    dot(point(lowerLid), color);
+    line(lipCentre, point(mouthCorner), color, 3);
+    dot(point(mouthCorner), color, 6);
+  });
+};
+
+// Fine-motor overlay: the tested hand's skeleton, the thumb-index gap while
+// tapping, and the nose and targets while reaching
+export const drawFineMotorOverlay = (ctx, frame, state, colors = OVERLAY_COLORS) => {
+  const { videoWidth, videoHeight } = frame;
+  ctx.clearRect(0, 0, videoWidth, videoHeight);
+  const current = currentFineMotorStep(state);
+  if (!current) return;
+
+  const color = current.side === 'left' ? colors.left : colors.right;
+  const { step } = state;
+  const circle = (point, radius, fill, stroke = null) => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+    if (fill) {
+      ctx.fillStyle = fill;
+      ctx.fill();
+    }
+    if (stroke) {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 3;
+      ctx.stroke();
+    }
+  };
+
+  // Nose and targets: reached ones dimmed, the next one outlined
+  if (current.test === 'targetReach' && step.targets) {
+    step.targets.forEach((target, index) => {
+      const next = index === step.reaches.length;
+      circle(target, step.radius, index < step.reaches.length ? colors.reachDone : colors.target, next ? color : null);
+    });
+    if (frame.nose) circle(frame.nose, step.radius, null, step.touchingNose ? colors.gaugeSteady : colors.line);
+  }
+
+  const landmarks = frame.handLandmarks[current.side];
+  if (!landmarks) return;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  HAND_CHAINS.forEach((chain) => {
+    ctx.beginPath();
+    chain.forEach((index, position) => {
+      const point = landmarks[index];
+      if (position === 0) ctx.moveTo(point.x, point.y);
+      else ctx.lineTo(point.x, point.y);
+    });
+    ctx.stroke();
+  });
+  landmarks.forEach(point => circle(point, 4, color));
+
+  if (current.test === 'fingerTap') {
+    ctx.setLineDash([5, 5]);
+    ctx.strokeStyle = colors.line;
+    ctx.beginPath();
+    ctx.moveTo(landmarks[HAND_LANDMARKS.thumbTip].x, landmarks[HAND_LANDMARKS.thumbTip].y);
+    ctx.lineTo(landmarks[HAND_LANDMARKS.indexTip].x, landmarks[HAND_LANDMARKS.indexTip].y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+  if (current.test === 'targetReach') circle(landmarks[HAND_LANDMARKS.indexTip], 8, colors.line);
+};
+
+// Range-of-motion overlay: the tested arm and an arc gauge around the shoulder
+// from hanging (0°) to overhead (180°), with the normal range shaded, the current
+// angle filled in and the best active angle marked
+export const drawRangeOfMotionOverlay = (ctx, frame, state, colors = OVERLAY_COLORS) => {
+  const { videoWidth, videoHeight } = frame;
+  ctx.clearRect(0, 0, videoWidth, videoHeight);
+  const current = currentRomStep(state);
+  const { measurement, step } = state;
+  if (!current || !measurement) return;
+
+  const color = current.side === 'left' ? colors.left : colors.right;
+  const { shoulder, wrist, angle, issues } = measurement;
+  const elbow = frame.elbows ? frame.elbows[current.side] : null;
+  const radius = Math.hypot(wrist.x - shoulder.x, wrist.y - shoulder.y) * 0.6;
+  const direction = step.direction || 1;
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  // Canvas angles run clockwise from +x; 0° here points straight down
+  const arc = (from, to, width, strokeStyle) => {
+    ctx.strokeStyle = strokeStyle;
+    ctx.lineWidth = width;
+    ctx.beginPath();
+    ctx.arc(
+      shoulder.x,
+      shoulder.y,
+      radius,
+      Math.PI / 2 - direction * toRadians(from),
+      Math.PI / 2 - direction * toRadians(to),
+      direction === 1
+    );
+    ctx.stroke();
+  };
+
+  arc(0, 180, 10, colors.arcTrack);
+  const { normal, limitedBelow } = state.protocol.reference[current.movement];
+  arc(limitedBelow, normal, 10, colors.arcNormal);
+  arc(0, angle, 6, issues.length > 0 ? colors.compensation : color);
+  if (step.maxAngle !== null) {
+    const inner = pointAtRaise(shoulder, step.maxAngle, radius - 12, direction);
+    const outer = pointAtRaise(shoulder, step.maxAngle, radius + 12, direction);
+    ctx.strokeStyle = colors.arcMax;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(inner.x, inner.y);
+    ctx.lineTo(outer.x, outer.y);
+    ctx.stroke();
+  }
+
+  // The arm, orange while the elbow is bent or the trunk compensates
+  ctx.strokeStyle = issues.length > 0 ? colors.compensation : color;
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(shoulder.x, shoulder.y);
+  if (elbow && measurement.elbowAngle !== null) ctx.lineTo(elbow.x, elbow.y);
+  ctx.lineTo(wrist.x, wrist.y);
+  ctx.stroke();
+
+  ctx.fillStyle = 'black';
+  ctx.font = '18px Arial';
+  const label = `${Math.round(angle)}°`;
+  ctx.fillText(label, shoulder.x - direction * 10 - (direction === 1 ? ctx.measureText(label).width : 0), shoulder.y - 12);
+};
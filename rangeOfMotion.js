@@ -0,0 +1,286 @@
+// Shoulder range of motion: how far each arm can be raised, one movement and one
+// arm at a time.
+//
+//   abduction  facing the camera, the arm goes out to the side and up
+//   flexion    side-on to the camera, the arm goes forward and up
+//
+// Angles are between the arm (shoulder to wrist) and the hanging position: 0 with
+// the arm at the side, 90 level with the shoulder, 180 straight up. The maximum
+// only counts frames with the elbow straight and the trunk not compensating, so
+// it is the active range; the peak including compensated frames is kept too.
+// Like the arm engine this is a pure reducer over timestamped keypoint frames.
+
+import { DEFAULT_PROTOCOL, elbowAngle } from './assessmentEngine';
+import { measureCompensation, measurePosture } from './compensation';
+import { elevationToward, outwardDirection, pointToward } from './coordinates';
+
+export const ROM_MOVEMENTS = ['abduction', 'flexion'];
+
+// Normal adult active range (AAOS reference values), and the angle below which
+// the range is reported as limited
+export const ROM_REFERENCE = {
+  abduction: { normal: 180, limitedBelow: 150 },
+  flexion: { normal: 180, limitedBelow: 150 }
+};
+
+// Why a frame's angle doesn't count as active range, in order of priority. An arm
+// across the body isn't abducting at all, so those frames don't count toward the peak either.
+export const ROM_ISSUES = ['crossBody', 'elbowBent', 'trunkLean', 'shoulderHike', 'trunkRotation'];
+
+export const DEFAULT_ROM_PROTOCOL = {
+  movements: ROM_MOVEMENTS, // Run in this order, each with every arm in sideOrder
+  sideOrder: ['right', 'left'],
+  movementDuration: 8, // Seconds to raise the arm as far as it goes, from when it's in view
+  timeLimit: 20, // Seconds per arm and movement, finding the arm included
+  minKeypointScore: DEFAULT_PROTOCOL.minKeypointScore,
+  checkElbowExtension: true,
+  minElbowAngle: DEFAULT_PROTOCOL.minElbowAngle,
+  checkCompensation: true,
+  maxTrunkLean: DEFAULT_PROTOCOL.maxTrunkLean,
+  maxShoulderHike: DEFAULT_PROTOCOL.maxShoulderHike, // Only up to 90° of abduction (see SHOULDER_RHYTHM_ANGLE)
+  maxTrunkRotation: DEFAULT_PROTOCOL.maxTrunkRotation,
+  reference: ROM_REFERENCE
+};
+
+// Degrees the compensated peak must exceed the active maximum to flag the movement
+const COMPENSATED_MARGIN = 5;
+// Degrees the arm must be raised before the flexion direction is taken from it
+const DIRECTION_ANGLE = 20;
+// Degrees an abducting arm may sit across the body, hanging at rest or reaching
+// just past straight up, before the frame is rejected
+const CROSS_BODY_MARGIN = 15;
+// Degrees of abduction past which the shoulder girdle normally rises with the arm,
+// so a raised shoulder there is part of the movement rather than a hike
+const SHOULDER_RHYTHM_ANGLE = 90;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+export const createRomProtocol = (overrides = {}) => {
+  const reference = { ...ROM_REFERENCE };
+  Object.keys(overrides.reference || {}).forEach((movement) => {
+    reference[movement] = { ...ROM_REFERENCE[movement], ...overrides.reference[movement] };
+  });
+  const protocol = { ...DEFAULT_ROM_PROTOCOL, ...overrides, reference };
+  if (protocol.movements.length === 0 || protocol.movements.some(movement => !ROM_MOVEMENTS.includes(movement))) {
+    throw new Error(`movements must list some of ${ROM_MOVEMENTS.join(', ')}`);
+  }
+  if (protocol.sideOrder.length === 0 || protocol.sideOrder.some(side => side !== 'left' && side !== 'right')) {
+    throw new Error("sideOrder must list 'right', 'left' or both");
+  }
+  ['movementDuration', 'timeLimit'].forEach((key) => {
+    if (!(protocol[key] > 0)) throw new Error(`${key} must be a positive number of seconds`);
+  });
+  return protocol;
+};
+
+const visible = (keypoint, protocol) => Boolean(keypoint) && keypoint.score > protocol.minKeypointScore;
+
+// Arm angle from hanging down in display space, toward direction (+1 or -1 in x,
+// the side of the body the arm goes out on): 0 at the side, 90 level with the
+// shoulder, 180 straight up. An arm on the other side comes out below 0 or above 180.
+export const armRaise = (shoulder, wrist, direction) => elevationToward(shoulder, wrist, direction) + 90;
+
+// Display-space point at the given raise angle and distance from the shoulder
+export const pointAtRaise = (shoulder, angle, distance, direction) =>
+  pointToward(shoulder, angle - 90, distance, direction);
+
+// Side-on, only the tested side's shoulder and hip are reliably in view, so the
+// trunk is the line between them
+const sideTrunkTilt = (side, frame, protocol) => {
+  const shoulder = frame.shoulders[side];
+  const hip = frame.hips ? frame.hips[side] : null;
+  if (!visible(shoulder, protocol) || !visible(hip, protocol)) return null;
+  return Math.atan2(shoulder.x - hip.x, hip.y - shoulder.y) * RAD_TO_DEG;
+};
+
+// Posture at the start of a movement, to measure compensation against
+const restingPosture = (movement, side, frame, protocol) => (movement === 'abduction'
+  ? measurePosture(frame, protocol.minKeypointScore)
+  : { trunkTilt: sideTrunkTilt(side, frame, protocol) });
+
+// One frame of a movement: the arm angle and what, if anything, stops it from
+// counting as active range. Null when the shoulder or wrist isn't in view.
+// Abduction is measured outward from the body (direction defaults to that) and
+// flags an arm across the body; flexion, side-on, counts forward and back alike.
+export const measureRaise = (movement, side, frame, protocol, posture = null, direction = null) => {
+  const shoulder = frame.shoulders[side];
+  const elbow = frame.elbows ? frame.elbows[side] : null;
+  const wrist = frame.wrists[side];
+  if (!visible(shoulder, protocol) || !visible(wrist, protocol)) return null;
+
+  const issues = [];
+  let angle;
+  if (movement === 'abduction') {
+    const raise = armRaise(shoulder, wrist, direction ?? outwardDirection(side, frame.mirrored));
+    if (raise < -CROSS_BODY_MARGIN || raise > 180 + CROSS_BODY_MARGIN) issues.push('crossBody');
+    angle = Math.min(180, Math.max(0, raise));
+  } else {
+    angle = armRaise(shoulder, wrist, Math.sign(wrist.x - shoulder.x) || 1);
+  }
+  const elbowAngleDeg = visible(elbow, protocol) ? elbowAngle(shoulder, elbow, wrist) : null;
+  if (protocol.checkElbowExtension && (elbowAngleDeg === null || elbowAngleDeg < protocol.minElbowAngle)) {
+    issues.push('elbowBent');
+  }
+
+  if (protocol.checkCompensation && movement === 'abduction') {
+    const compensation = measureCompensation(side, frame, protocol, posture ? { posture } : null);
+    issues.push(...compensation.issues.filter(issue => issue !== 'shoulderHike' || angle <= SHOULDER_RHYTHM_ANGLE));
+  } else if (protocol.checkCompensation) {
+    // Leaning back to get the arm further forward and up
+    const tilt = sideTrunkTilt(side, frame, protocol);
+    const rest = posture && posture.trunkTilt !== null ? posture.trunkTilt : 0;
+    if (tilt !== null && Math.abs(tilt - rest) > protocol.maxTrunkLean) issues.push('trunkLean');
+  }
+
+  return {
+    angle,
+    elbowAngle: elbowAngleDeg,
+    issues: ROM_ISSUES.filter(issue => issues.includes(issue)),
+    shoulder: { x: shoulder.x, y: shoulder.y },
+    wrist: { x: wrist.x, y: wrist.y }
+  };
+};
+
+/**
+ * @typedef {Object} RomSideResult - One arm's range for one movement
+ * @property {boolean} detected - The arm was found during the movement
+ * @property {number|null} maxAngle - Largest active angle: elbow straight, no compensation
+ * @property {number|null} peakAngle - Largest angle including compensated frames
+ * @property {boolean} compensated - The peak was reached by compensating, COMPENSATED_MARGIN past maxAngle
+ * @property {string[]} issues - ROM_ISSUES seen on the frames past maxAngle
+ * @property {number} normal - Reference normal range in degrees
+ * @property {number|null} percentOfNormal - maxAngle as a share of normal (0-100)
+ * @property {boolean} limited - maxAngle is below the reference's limitedBelow
+ */
+
+const notDetected = reference => ({
+  detected: false,
+  maxAngle: null,
+  peakAngle: null,
+  compensated: false,
+  issues: [],
+  normal: reference.normal,
+  percentOfNormal: null,
+  limited: false
+});
+
+const summarizeStep = (step, reference) => {
+  const { maxAngle, peakAngle } = step;
+  const compensated = peakAngle !== null && (maxAngle === null || peakAngle - maxAngle > COMPENSATED_MARGIN);
+  return {
+    detected: true,
+    maxAngle,
+    peakAngle,
+    compensated,
+    issues: compensated ? ROM_ISSUES.filter(issue => step.issuesPastMax.includes(issue)) : [],
+    normal: reference.normal,
+    percentOfNormal: maxAngle !== null ? Math.min(100, (maxAngle / reference.normal) * 100) : null,
+    limited: maxAngle === null || maxAngle < reference.limitedBelow
+  };
+};
+
+const summarizeRangeOfMotion = (state) => {
+  const result = {};
+  state.protocol.movements.forEach((movement) => {
+    const sides = { right: null, left: null };
+    state.steps.forEach((step, index) => {
+      if (step.movement === movement) sides[step.side] = state.stepResults[index];
+    });
+    result[movement] = sides;
+  });
+  return result;
+};
+
+export const createRomState = (protocol = DEFAULT_ROM_PROTOCOL) => ({
+  protocol,
+  phase: 'idle', // idle | running | done
+  steps: protocol.movements.flatMap(movement => protocol.sideOrder.map(side => ({ movement, side }))),
+  stepIndex: 0,
+  step: null, // Progress of the current arm and movement (see startStep)
+  stepResults: [],
+  measurement: null, // Latest measureRaise of the tested arm
+  result: null
+});
+
+const startStep = timestamp => ({
+  startedAt: timestamp,
+  measureStartedAt: null, // From the first frame with the arm in view
+  posture: null, // Resting posture from that frame
+  direction: null, // Side of the body the arm goes out on (see pointAtRaise)
+  maxAngle: null,
+  peakAngle: null,
+  issuesPastMax: [] // Issues on frames that got further than maxAngle
+});
+
+const nextStep = (state, result, timestamp) => {
+  const stepResults = [...state.stepResults, result];
+  const stepIndex = state.stepIndex + 1;
+  if (stepIndex >= state.steps.length) {
+    const done = { ...state, phase: 'done', stepIndex, step: null, stepResults, measurement: null };
+    return { ...done, result: summarizeRangeOfMotion(done) };
+  }
+  return { ...state, stepIndex, step: startStep(timestamp), stepResults, measurement: null };
+};
+
+const processFrame = (state, frame) => {
+  const { protocol } = state;
+  const { movement, side } = state.steps[state.stepIndex];
+  const reference = protocol.reference[movement];
+  let step = state.step;
+
+  if (step.measureStartedAt === null && visible(frame.shoulders[side], protocol) && visible(frame.wrists[side], protocol)) {
+    step = {
+      ...step,
+      measureStartedAt: frame.timestamp,
+      posture: restingPosture(movement, side, frame, protocol),
+      direction: movement === 'abduction' ? outwardDirection(side, frame.mirrored) : null
+    };
+  }
+
+  const measurement = step.measureStartedAt !== null
+    ? measureRaise(movement, side, frame, protocol, step.posture, step.direction)
+    : null;
+  if (measurement && !measurement.issues.includes('crossBody')) {
+    const { angle, issues } = measurement;
+    if (step.direction === null && angle >= DIRECTION_ANGLE) {
+      step = { ...step, direction: Math.sign(measurement.wrist.x - measurement.shoulder.x) || 1 };
+    }
+    if (issues.length === 0 && (step.maxAngle === null || angle > step.maxAngle)) {
+      step = { ...step, maxAngle: angle };
+    }
+    if (step.peakAngle === null || angle > step.peakAngle) step = { ...step, peakAngle: angle };
+    if (issues.length > 0 && (step.maxAngle === null || angle > step.maxAngle)) {
+      step = { ...step, issuesPastMax: [...new Set([...step.issuesPastMax, ...issues])] };
+    }
+  }
+
+  const next = { ...state, step, measurement };
+  const measuring = step.measureStartedAt !== null;
+  if (measuring && (frame.timestamp - step.measureStartedAt) / 1000 >= protocol.movementDuration) {
+    return nextStep(next, summarizeStep(step, reference), frame.timestamp);
+  }
+  if ((frame.timestamp - step.startedAt) / 1000 >= protocol.timeLimit) {
+    return nextStep(next, measuring ? summarizeStep(step, reference) : notDetected(reference), frame.timestamp);
+  }
+  return next;
+};
+
+// Events:
+//   { type: 'start', timestamp }
+//   { type: 'frame', ... }  - a keypoint frame from buildFrame
+//   { type: 'reset' }
+export const romReducer = (state, event) => {
+  switch (event.type) {
+    case 'start':
+      return { ...createRomState(state.protocol), phase: 'running', step: startStep(event.timestamp) };
+    case 'frame':
+      return state.phase === 'running' ? processFrame(state, event) : state;
+    case 'reset':
+      return createRomState(state.protocol);
+    default:
+      return state;
+  }
+};
+
+// The movement and arm being measured, while running
+export const currentRomStep = state => (state.phase === 'running' ? state.steps[state.stepIndex] : null);
@@ -0,0 +1,81 @@
+// Relay for remote observation (see remoteChannel.js). Runs in Node and needs
+// the ws package, which the browser modules don't:
+//
+//   npm install ws
+//   node relayServer.js [port]
+//
+// Each connection names a session and a role in its URL
+// (ws://host:port/?session=abc&role=patient). Messages from the patient go to
+// every clinician in the same session and messages from a clinician go to the
+// patient; the relay doesn't read them. Both sides are told when the other side
+// connects or leaves. Session ids are the only access control, so use long random
+// ones and put the relay behind TLS (wss://) outside a local network.
+
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+
+export const DEFAULT_RELAY_PORT = 8787;
+
+// Same as REMOTE_ROLES in remoteChannel.js; kept here so the relay runs in plain
+// Node without the browser modules
+const ROLES = ['patient', 'clinician'];
+
+const SOCKET_OPEN = 1; // WebSocket.OPEN
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const otherRole = role => (role === 'patient' ? 'clinician' : 'patient');
+
+// Starts listening on port, or on an existing http server; close() resolves once
+// every connection is closed
+export const createRelayServer = ({ port = DEFAULT_RELAY_PORT, server = null } = {}) => {
+  const wss = new WebSocketServer(server ? { server, maxPayload: MAX_MESSAGE_BYTES } : { port, maxPayload: MAX_MESSAGE_BYTES });
+  const sessions = new Map(); // sessionId -> { patient: Set, clinician: Set }
+
+  const sendTo = (sockets, data) => sockets.forEach((socket) => {
+    if (socket.readyState === SOCKET_OPEN) socket.send(data);
+  });
+  const peerMessage = (role, connected) => JSON.stringify({ type: 'peer', role, connected });
+
+  wss.on('connection', (socket, request) => {
+    const params = new URL(request.url, 'http://relay').searchParams;
+    const sessionId = params.get('session');
+    const role = params.get('role');
+    if (!sessionId || !ROLES.includes(role)) {
+      socket.close(1008, 'session and role (patient or clinician) are required');
+      return;
+    }
+
+    if (!sessions.has(sessionId)) sessions.set(sessionId, { patient: new Set(), clinician: new Set() });
+    const session = sessions.get(sessionId);
+    const peers = session[otherRole(role)];
+    session[role].add(socket);
+
+    // Tell both sides who is there
+    sendTo(peers, peerMessage(role, true));
+    if (peers.size > 0) socket.send(peerMessage(otherRole(role), true));
+
+    socket.on('message', (data, isBinary) => {
+      if (!isBinary) sendTo(peers, data.toString());
+    });
+
+    socket.on('close', () => {
+      session[role].delete(socket);
+      if (session[role].size === 0) sendTo(peers, peerMessage(role, false));
+      if (session.patient.size === 0 && session.clinician.size === 0) sessions.delete(sessionId);
+    });
+  });
+
+  return {
+    wss,
+    close: () => new Promise((resolve) => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close(() => resolve());
+    })
+  };
+};
+
+// Run directly: node relayServer.js [port]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || DEFAULT_RELAY_PORT;
+  createRelayServer({ port });
+}
@@ -0,0 +1,117 @@
+// Remote observation for telestroke: the patient's device streams the assessment
+// over WebSocket, through a relay (relayServer.js), to a clinician somewhere else.
+//
+// The patient side sends every engine event it dispatches, so the clinician's
+// copy of the engine goes through exactly the same states, plus a status summary
+// ({ phase, currentSide, handStates, holdCountdown, timeLeft }) with each one.
+// A clinician who joins mid-run first gets the full engine state. The clinician
+// side sends commands back: start, reset and switchSide.
+//
+// Messages, as JSON:
+//   patient -> clinician  { type: 'sync', state, status }
+//                         { type: 'event', event, status }
+//   clinician -> patient  { type: 'command', command: 'start' | 'reset' | 'switchSide' }
+//   relay -> either       { type: 'peer', role, connected }
+
+import { assessmentReducer, createAssessmentState } from './assessmentEngine';
+
+export const REMOTE_ROLES = ['patient', 'clinician'];
+export const REMOTE_COMMANDS = ['start', 'reset', 'switchSide'];
+
+const SOCKET_OPEN = 1; // WebSocket.OPEN
+
+export const remoteSocketUrl = (url, sessionId, role) =>
+  `${url}${url.includes('?') ? '&' : '?'}session=${encodeURIComponent(sessionId)}&role=${role}`;
+
+// Connection to the relay as one role, reconnecting after drops until closed.
+// onMessage gets each parsed message; onStatus gets 'connecting', 'open' or 'closed'.
+// createSocket builds the socket (a stand-in can be passed for tests).
+export const createRemoteChannel = ({
+  url,
+  sessionId,
+  role,
+  onMessage,
+  onStatus = () => {},
+  createSocket = socketUrl => new WebSocket(socketUrl),
+  reconnectDelay = 2000
+}) => {
+  if (!REMOTE_ROLES.includes(role)) throw new Error(`Unknown remote role: ${role}`);
+  let socket = null;
+  let closed = false;
+  let reconnectTimer = null;
+
+  const connect = () => {
+    onStatus('connecting');
+    socket = createSocket(remoteSocketUrl(url, sessionId, role));
+    socket.onopen = () => onStatus('open');
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return; // Not ours
+      }
+      if (message && typeof message.type === 'string') onMessage(message);
+    };
+    socket.onclose = () => {
+      onStatus('closed');
+      if (!closed) reconnectTimer = setTimeout(connect, reconnectDelay);
+    };
+  };
+
+  connect();
+
+  return {
+    // Returns false when the socket isn't open; the message is dropped
+    send: (message) => {
+      if (!socket || socket.readyState !== SOCKET_OPEN) return false;
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    }
+  };
+};
+
+// Status summary of an engine state, sent with every message
+export const toRemoteStatus = (state) => ({
+  phase: state.phase,
+  currentSide: state.currentSide,
+  sideIndex: state.sideIndex,
+  handStates: state.handStates,
+  holdCountdown: state.holdStartedAt !== null
+    ? Math.ceil(state.protocol.holdDuration - state.holdElapsed)
+    : null,
+  timeLeft: Math.ceil(state.timeLeft)
+});
+
+// Clinician-side view of the patient's run: a copy of the engine, the latest
+// keypoint frame for the overlay, the latest status and whether the patient is
+// connected
+export const createRemoteView = () => ({
+  engine: createAssessmentState(),
+  frame: null,
+  status: null,
+  patientConnected: false
+});
+
+export const remoteViewReducer = (view, message) => {
+  switch (message.type) {
+    case 'sync':
+      return { ...view, engine: message.state, status: message.status };
+    case 'event':
+      return {
+        ...view,
+        engine: assessmentReducer(view.engine, message.event),
+        frame: message.event.type === 'frame' ? message.event : view.frame,
+        status: message.status
+      };
+    case 'peer':
+      return message.role === 'patient' ? { ...view, patientConnected: message.connected } : view;
+    default:
+      return view;
+  }
+};
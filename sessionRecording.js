@@ -0,0 +1,115 @@
+// Record the raw per-frame detector output of a session and replay it through the
+// engine, so a run can be reproduced without a camera or TensorFlow
+
+import { assessmentReducer, createAssessmentState } from './assessmentEngine';
+import { buildFrame } from './frames';
+
+export const RECORDING_VERSION = 1;
+
+// Keep only what buildFrame needs; drops keypoints3D and other model extras
+const serializePoses = (poses) => poses.map(pose => ({
+  score: pose.score,
+  keypoints: pose.keypoints.map(({ x, y, score, name }) => ({ x, y, score, name }))
+}));
+
+const serializeHands = (hands) => hands.map(hand => ({
+  handedness: hand.handedness,
+  score: hand.score,
+  keypoints: hand.keypoints.map(({ x, y, name }) => ({ x, y, name }))
+}));
+
+// Frames are either detections ({ timestamp, videoWidth, videoHeight, poses, hands, brightness }),
+// clock ticks ({ timestamp }) taken while no video frame was available or side
+// switches ({ timestamp, event: 'switchSide' }) requested during the run
+export const createSessionRecorder = () => {
+  let recording = null;
+
+  return {
+    start: (timestamp, protocol, armSource = 'hands', mirrored = true) => {
+      recording = {
+        version: RECORDING_VERSION,
+        createdAt: new Date(timestamp).toISOString(),
+        startedAt: timestamp,
+        endedAt: null,
+        protocol,
+        armSource,
+        mirrored,
+        frames: []
+      };
+    },
+    addFrame: ({ timestamp, videoWidth, videoHeight, poses, hands, brightness = null }) => {
+      if (!recording) return;
+      recording.frames.push({
+        timestamp,
+        videoWidth,
+        videoHeight,
+        brightness,
+        poses: serializePoses(poses),
+        hands: serializeHands(hands)
+      });
+    },
+    addTick: (timestamp) => {
+      if (recording) recording.frames.push({ timestamp });
+    },
+    addSideSwitch: (timestamp) => {
+      if (recording) recording.frames.push({ timestamp, event: 'switchSide' });
+    },
+    stop: (timestamp) => {
+      if (recording) recording.endedAt = timestamp;
+      return recording;
+    }
+  };
+};
+
+// Parse and validate a recording from JSON text or an already parsed object
+export const parseSessionRecording = (input) => {
+  const recording = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!recording || typeof recording !== 'object') {
+    throw new Error('Recording must be a JSON object');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+  if (typeof recording.startedAt !== 'number' || !Array.isArray(recording.frames)) {
+    throw new Error('Recording is missing startedAt or frames');
+  }
+  recording.frames.forEach((frame, index) => {
+    if (typeof frame.timestamp !== 'number') {
+      throw new Error(`Recording frame ${index} has no timestamp`);
+    }
+    if (frame.poses && (!Array.isArray(frame.poses) || !Array.isArray(frame.hands))) {
+      throw new Error(`Recording frame ${index} has malformed detections`);
+    }
+  });
+  return recording;
+};
+
+// Engine event for a recorded frame. Recordings hold raw model-space detections,
+// so the display transform is applied again on replay.
+export const toEngineEvent = (frame, { armSource = 'hands', mirrored = true } = {}) => {
+  if (frame.poses) return buildFrame(frame, armSource, mirrored);
+  if (frame.event === 'switchSide') return { type: 'switchSide', timestamp: frame.timestamp };
+  return { type: 'tick', timestamp: frame.timestamp };
+};
+
+// Run a recording through the engine and return its final state
+export const replaySession = (recording, protocol = recording.protocol) => {
+  let state = assessmentReducer(createAssessmentState(protocol), { type: 'start', timestamp: recording.startedAt });
+  recording.frames.forEach(frame => {
+    state = assessmentReducer(state, toEngineEvent(frame, recording));
+  });
+  if (recording.endedAt !== null) {
+    state = assessmentReducer(state, { type: 'tick', timestamp: recording.endedAt });
+  }
+  return state;
+};
+
+export const downloadRecording = (recording) => {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `motor-assessment-${recording.createdAt.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
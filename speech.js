@@ -0,0 +1,44 @@
+// Spoken guidance through the Web Speech synthesis API. The status changes every
+// detection frame, so prompts are de-duplicated here rather than by the caller.
+
+// Don't repeat the same prompt within this many milliseconds, so a flickering
+// detection doesn't read the same instruction over and over
+const DEFAULT_REPEAT_INTERVAL = 4000;
+
+const defaultSynth = () => (typeof window !== 'undefined' && window.speechSynthesis) || null;
+
+// say(text, { interrupt }) queues a prompt after whatever is being spoken, or
+// cuts it off when interrupt is set (countdown numbers, side switches) so the
+// patient always hears the current one. Interrupting prompts are time-critical
+// and skip the repeat interval. Without speech support it does nothing.
+export const createSpeechGuide = ({
+  synth = defaultSynth(),
+  repeatInterval = DEFAULT_REPEAT_INTERVAL,
+  lang = null,
+  now = Date.now
+} = {}) => {
+  let lastText = null;
+  const spokenAt = new Map();
+
+  return {
+    supported: Boolean(synth),
+    say: (text, { interrupt = false } = {}) => {
+      if (!synth || !text || text === lastText) return false;
+      const time = now();
+      if (!interrupt && time - (spokenAt.get(text) ?? -Infinity) < repeatInterval) return false;
+      lastText = text;
+      spokenAt.set(text, time);
+
+      if (interrupt) synth.cancel();
+      const utterance = new SpeechSynthesisUtterance(text);
+      if (lang) utterance.lang = lang;
+      synth.speak(utterance);
+      return true;
+    },
+    cancel: () => {
+      lastText = null;
+      spokenAt.clear();
+      if (synth) synth.cancel();
+    }
+  };
+};
@@ -0,0 +1,154 @@
+// Tremor and stability of a held arm, from the wrist or fingertip path over the
+// hold. Slow drift is removed with a moving average first, so what is left is
+// jitter around the arm's position; its spectrum gives the dominant oscillation
+// frequency. Distances are normalized by shoulder width so they don't depend on
+// how far the patient stands from the camera.
+
+export const DEFAULT_STABILITY_OPTIONS = {
+  detrendWindow: 1, // Seconds of moving average taken out as drift
+  tremorBand: [3, 12], // Hz; capped at the Nyquist frequency of the frame rate
+  minTremorAmplitude: 0.005, // Jitter (fraction of shoulder width) below which nothing is flagged
+  minBandPowerRatio: 0.4, // Share of the jitter power inside the band needed to flag tremor
+  referenceJitter: 0.01, // Jitter that scores 50; steadier arms score higher
+  minSamples: 16 // Fewer samples than this can't be analyzed
+};
+
+// Middle fingertip in the MediaPipe Hands landmarks; moves more than the wrist
+export const FINGERTIP_LANDMARK = 12;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Longest run of consecutive holding samples that carry a wrist position
+const longestHold = (samples) => {
+  let best = [];
+  let run = [];
+  samples.forEach(sample => {
+    if (sample.holding && sample.wrist) {
+      run.push(sample);
+      if (run.length > best.length) best = run;
+    } else {
+      run = [];
+    }
+  });
+  return best;
+};
+
+// Linear interpolation of irregular samples onto a uniform time grid
+const resample = (times, values, rate) => {
+  const count = Math.floor((times[times.length - 1] - times[0]) * rate) + 1;
+  const result = [];
+  let j = 0;
+  for (let i = 0; i < count; i++) {
+    const t = times[0] + i / rate;
+    while (j < times.length - 2 && times[j + 1] < t) j++;
+    const span = times[j + 1] - times[j];
+    const f = span > 0 ? (t - times[j]) / span : 0;
+    result.push(values[j] + (values[j + 1] - values[j]) * Math.min(1, Math.max(0, f)));
+  }
+  return result;
+};
+
+// Subtract a centered moving average
+const detrend = (values, window) => values.map((value, i) => {
+  const from = Math.max(0, i - Math.floor(window / 2));
+  const to = Math.min(values.length, i + Math.ceil(window / 2));
+  let total = 0;
+  for (let k = from; k < to; k++) total += values[k];
+  return value - total / (to - from);
+});
+
+// Power at each frequency bin 1..N/2 of a real signal
+const powerSpectrum = (values) => {
+  const n = values.length;
+  const spectrum = [];
+  for (let k = 1; k <= Math.floor(n / 2); k++) {
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < n; i++) {
+      const angle = (2 * Math.PI * k * i) / n;
+      re += values[i] * Math.cos(angle);
+      im -= values[i] * Math.sin(angle);
+    }
+    spectrum.push((re * re + im * im) / n);
+  }
+  return spectrum;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * @typedef {Object} StabilityResult
+ * @property {number} score - 0-100, higher is steadier
+ * @property {number} jitter - RMS distance from the drift-free position, as a fraction of shoulder width
+ * @property {number} pathLength - Distance travelled per second, in shoulder widths
+ * @property {number|null} dominantFrequency - Strongest oscillation in the jitter, in Hz
+ * @property {boolean} tremor - The jitter is large enough and mostly inside the tremor band
+ * @property {'fingertip'|'wrist'} point - Which point was tracked
+ */
+
+// Stability of the longest hold in a side's samples, or null when it is too short
+export const analyzeStability = (samples, options = DEFAULT_STABILITY_OPTIONS) => {
+  const hold = longestHold(samples);
+  if (hold.length < options.minSamples) return null;
+
+  // Track the fingertip when the hand model saw it throughout the hold
+  const point = hold.every(sample => sample.fingertip) ? 'fingertip' : 'wrist';
+  const positions = hold.map(sample => sample[point]);
+  const scale = median(hold.map(sample => sample.scale).filter(Boolean));
+  if (!scale) return null;
+
+  const times = hold.map(sample => sample.t / 1000);
+  const duration = times[times.length - 1] - times[0];
+  if (duration <= 0) return null;
+  const rate = (hold.length - 1) / duration;
+
+  const window = Math.max(3, Math.round(options.detrendWindow * rate));
+  const xs = detrend(resample(times, positions.map(p => p.x / scale), rate), window);
+  const ys = detrend(resample(times, positions.map(p => p.y / scale), rate), window);
+  const jitter = Math.sqrt(xs.reduce((sum, x, i) => sum + x * x + ys[i] * ys[i], 0) / xs.length);
+
+  let pathLength = 0;
+  for (let i = 1; i < positions.length; i++) pathLength += distance(positions[i], positions[i - 1]);
+  pathLength = pathLength / scale / duration;
+
+  // Combined spectrum of both axes
+  const spectrumX = powerSpectrum(xs);
+  const spectrumY = powerSpectrum(ys);
+  const spectrum = spectrumX.map((power, k) => power + spectrumY[k]);
+  const frequency = k => ((k + 1) * rate) / xs.length;
+  const total = spectrum.reduce((sum, power) => sum + power, 0);
+  let dominantFrequency = null;
+  let bandPower = 0;
+  if (total > 0) {
+    const peak = spectrum.indexOf(Math.max(...spectrum));
+    dominantFrequency = frequency(peak);
+    const [low, high] = options.tremorBand;
+    spectrum.forEach((power, k) => {
+      if (frequency(k) >= low && frequency(k) <= Math.min(high, rate / 2)) bandPower += power;
+    });
+  }
+  const tremor = jitter >= options.minTremorAmplitude && total > 0 &&
+    bandPower / total >= options.minBandPowerRatio;
+
+  return {
+    score: Math.round(100 / (1 + jitter / options.referenceJitter)),
+    jitter,
+    pathLength,
+    dominantFrequency,
+    tremor,
+    point
+  };
+};
+
+// Live score over the last few seconds of a side's samples, for the overlay gauge
+export const recentStabilityScore = (samples, seconds = 2, options = DEFAULT_STABILITY_OPTIONS) => {
+  if (samples.length === 0) return null;
+  const since = samples[samples.length - 1].t - seconds * 1000;
+  const recent = samples.filter(sample => sample.t >= since);
+  const result = analyzeStability(recent, { ...options, minSamples: Math.min(options.minSamples, 8) });
+  return result ? result.score : null;
+};
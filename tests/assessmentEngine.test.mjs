@@ -0,0 +1,363 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_PROTOCOL,
+  assessmentReducer,
+  createAssessmentState,
+  createProtocol,
+  getAssessmentResult,
+  gradeArmDrift
+} from '../assessmentEngine.js';
+import { pointAtElevation } from '../coordinates.js';
+import { CSV_COLUMNS, toSamplesCsv } from '../exporters.js';
+
+// A patient facing a mirrored 640x480 camera, shoulders 120 px apart at y = 300
+// and arms 150 px long. Arms are given as elevations (-90 hanging, 45 target).
+const WIDTH = 640;
+const HEIGHT = 480;
+const ARM = 150;
+const SHOULDERS = { left: { x: 260, y: 300, score: 0.9 }, right: { x: 380, y: 300, score: 0.9 } };
+const HIPS = { left: { x: 270, y: 450, score: 0.9 }, right: { x: 370, y: 450, score: 0.9 } };
+const HANGING = -90;
+const STEP = 100; // Milliseconds between frames
+
+const arm = (side, elevation) => {
+  const shoulder = SHOULDERS[side];
+  const wrist = pointAtElevation(shoulder, elevation, ARM, side, true);
+  return {
+    elbow: { x: (shoulder.x + wrist.x) / 2, y: (shoulder.y + wrist.y) / 2, score: 0.9 },
+    wrist: { ...wrist, score: 0.9 }
+  };
+};
+
+// A frame with each arm at an elevation; null for an arm out of tracking
+const frame = (timestamp, { left = HANGING, right = HANGING, brightness = 120, poseScores = [0.8] } = {}) => {
+  const arms = { left: left === null ? null : arm('left', left), right: right === null ? null : arm('right', right) };
+  return {
+    type: 'frame',
+    timestamp,
+    videoWidth: WIDTH,
+    videoHeight: HEIGHT,
+    mirrored: true,
+    brightness,
+    poseScores,
+    shoulders: SHOULDERS,
+    hips: HIPS,
+    elbows: { left: arms.left && arms.left.elbow, right: arms.right && arms.right.elbow },
+    wrists: { left: arms.left && arms.left.wrist, right: arms.right && arms.right.wrist },
+    handLandmarks: { left: null, right: null }
+  };
+};
+
+// Frames every STEP ms from one timestamp up to and including another
+const frames = (state, from, to, arms) => {
+  let next = state;
+  for (let t = from; t <= to; t += STEP) next = assessmentReducer(next, frame(t, arms));
+  return next;
+};
+
+const start = (overrides = {}) => assessmentReducer(
+  createAssessmentState(createProtocol(overrides)),
+  { type: 'start', timestamp: 0 }
+);
+
+// Calibrated at rest over 0-3 s; the run starts at 3000
+const calibrated = (overrides) => frames(start(overrides), 0, 3000);
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('calibration', () => {
+  it('measures the patient at rest and then starts the run', () => {
+    const calibrating = frames(start(), 0, 2900);
+    assert.equal(calibrating.phase, 'calibrating');
+    assert.equal(calibrating.calibrationFrames.length, 30);
+
+    const running = assessmentReducer(calibrating, frame(3000));
+    assert.equal(running.phase, 'running');
+    assert.equal(running.startedAt, 3000);
+    assert.equal(running.sides.right.startedAt, 3000);
+    near(running.calibration.shoulderLineY, 300);
+    near(running.calibration.shoulderWidth, 120);
+    near(running.calibration.armLength, ARM);
+    near(running.calibration.tolerance, 120 * DEFAULT_PROTOCOL.shoulderLineTolerance);
+  });
+
+  it('starts the window over when too few frames were usable', () => {
+    const dark = frames(start(), 0, 3000, { brightness: 10 });
+    assert.equal(dark.phase, 'calibrating');
+    assert.equal(dark.calibrationStartedAt, 3000);
+    assert.deepEqual(dark.qualityIssues, ['tooDark']);
+
+    const running = frames(dark, 3100, 6000);
+    assert.equal(running.phase, 'running');
+    assert.equal(running.startedAt, 6000);
+  });
+
+  it('starts the run straight away with calibration off', () => {
+    const state = start({ calibrate: false });
+    assert.equal(state.phase, 'running');
+    assert.equal(state.startedAt, 0);
+    assert.equal(state.calibration, null);
+  });
+});
+
+describe('holds', () => {
+  it('starts a hold when the arm reaches the target', () => {
+    const state = assessmentReducer(calibrated(), frame(3100, { right: 45 }));
+    assert.equal(state.holdStartedAt, 3100);
+    assert.equal(state.sides.right.attempts, 1);
+    assert.deepEqual(state.handStates.right, {
+      detected: true,
+      correctAngle: true,
+      shoulderTouching: true,
+      elbowExtended: true,
+      compensating: false
+    });
+    near(state.measurements.right.angle, 45);
+  });
+
+  it('ignores the arm on the side not being tested', () => {
+    const state = assessmentReducer(calibrated(), frame(3100, { left: 45 }));
+    assert.equal(state.holdStartedAt, null);
+    assert.equal(state.sides.left.samples.length, 0);
+  });
+
+  it('breaks the hold when the arm drops, and counts the next one as a new attempt', () => {
+    const holding = frames(calibrated(), 3100, 5000, { right: 45 });
+    assert.equal(holding.holdElapsed, 1.9);
+
+    const dropped = assessmentReducer(holding, frame(5100, { right: 0 }));
+    assert.equal(dropped.holdStartedAt, null);
+    assert.equal(dropped.holdElapsed, 0);
+
+    const again = assessmentReducer(dropped, frame(5200, { right: 45 }));
+    assert.equal(again.holdStartedAt, 5200);
+    assert.equal(again.sides.right.attempts, 2);
+  });
+
+  it('keeps the hold through a tracking dropout shorter than the grace window', () => {
+    const holding = frames(calibrated(), 3100, 4000, { right: 45 });
+    const lost = frames(holding, 4100, 4500, { right: null });
+    assert.equal(lost.holdStartedAt, 3100);
+    assert.equal(lost.trackingLostAt, 4100);
+
+    const back = assessmentReducer(lost, frame(4600, { right: 45 }));
+    assert.equal(back.holdStartedAt, 3100);
+    assert.equal(back.trackingLostAt, null);
+    assert.equal(back.sides.right.attempts, 1);
+  });
+
+  it('breaks the hold once the dropout outlasts the grace window', () => {
+    const holding = frames(calibrated(), 3100, 4000, { right: 45 });
+    const lost = frames(holding, 4100, 4600, { right: null });
+    assert.equal(lost.holdStartedAt, null);
+    assert.equal(lost.trackingLostAt, null);
+  });
+
+  it('fails a side that runs out of attempts', () => {
+    let state = calibrated({ attempts: 2 });
+    state = frames(state, 3100, 3500, { right: 45 });
+    state = assessmentReducer(state, frame(3600, { right: 0 }));
+    state = frames(state, 3700, 4000, { right: 45 });
+    state = assessmentReducer(state, frame(4100, { right: 0 }));
+    assert.equal(state.sides.right.failedAt, 4100);
+    assert.equal(state.currentSide, 'left');
+  });
+});
+
+describe('frame quality', () => {
+  it('holds off while someone else is in view', () => {
+    const state = assessmentReducer(calibrated(), frame(3100, { right: 45, poseScores: [0.8, 0.4] }));
+    assert.deepEqual(state.qualityIssues, ['multiplePeople']);
+    assert.equal(state.holdStartedAt, null);
+  });
+
+  it("counts other people by the protocol's pose score threshold", () => {
+    const state = assessmentReducer(calibrated({ minPersonScore: 0.5 }), frame(3100, { right: 45, poseScores: [0.8, 0.4] }));
+    assert.deepEqual(state.qualityIssues, []);
+    assert.equal(state.holdStartedAt, 3100);
+  });
+});
+
+describe('sides', () => {
+  it('moves to the next side once the hold is complete', () => {
+    const state = frames(calibrated(), 3100, 13100, { right: 45 });
+    assert.equal(state.sides.right.completedAt, 13100);
+    assert.equal(state.currentSide, 'left');
+    assert.equal(state.sideIndex, 1);
+    assert.equal(state.sides.left.startedAt, 13100);
+    assert.equal(state.holdStartedAt, null);
+  });
+
+  it('finishes after the last side', () => {
+    let state = frames(calibrated(), 3100, 13100, { right: 45 });
+    state = frames(state, 13200, 23200, { left: 45 });
+    assert.equal(state.phase, 'complete');
+    assert.equal(state.endedAt, 23200);
+    assert.equal(state.sides.left.completedAt, 23200);
+  });
+
+  it('switches side on request, leaving the current side unfinished', () => {
+    let state = frames(calibrated(), 3100, 4000, { right: 45 });
+    state = assessmentReducer(state, { type: 'switchSide', timestamp: 4050 });
+    assert.equal(state.currentSide, 'left');
+    assert.equal(state.sides.right.completedAt, null);
+    assert.equal(state.sides.left.startedAt, 4050);
+    assert.equal(state.holdStartedAt, null);
+
+    state = assessmentReducer(state, { type: 'switchSide', timestamp: 5000 });
+    assert.equal(state.phase, 'complete');
+    assert.equal(state.endedAt, 5000);
+  });
+
+  it('holds both arms together in bilateral mode', () => {
+    const state = frames(calibrated({ sideOrder: 'bilateral' }), 3100, 13100, { left: 45, right: 45 });
+    assert.equal(state.phase, 'complete');
+    assert.equal(state.sides.left.completedAt, 13100);
+    assert.equal(state.sides.right.completedAt, 13100);
+  });
+});
+
+describe('time limit', () => {
+  it('counts down on ticks and times out at the limit', () => {
+    const running = calibrated();
+    const ticked = assessmentReducer(running, { type: 'tick', timestamp: 33000 });
+    assert.equal(ticked.timeLeft, 30);
+    assert.equal(ticked.phase, 'running');
+
+    const timedOut = assessmentReducer(ticked, { type: 'tick', timestamp: 63000 });
+    assert.equal(timedOut.phase, 'timedOut');
+    assert.equal(timedOut.timeLeft, 0);
+    assert.equal(timedOut.endedAt, 63000);
+  });
+
+  it('ignores frames after timing out', () => {
+    const timedOut = assessmentReducer(calibrated(), { type: 'tick', timestamp: 63000 });
+    const after = assessmentReducer(timedOut, frame(63100, { right: 45 }));
+    assert.equal(after.phase, 'timedOut');
+    assert.equal(after.holdStartedAt, null);
+    assert.equal(after.sides.right.samples.length, 0);
+  });
+
+  it('does not start the clock until calibration is done', () => {
+    const calibrating = assessmentReducer(start(), { type: 'tick', timestamp: 120000 });
+    assert.equal(calibrating.phase, 'calibrating');
+    assert.equal(calibrating.timeLeft, DEFAULT_PROTOCOL.timeLimit);
+  });
+});
+
+describe('recalibration', () => {
+  // The camera turns at 5000 and the patient is measured again over 5-8 s
+  const rotated = (t, arms) => ({ ...frame(t, arms), videoWidth: HEIGHT, videoHeight: WIDTH });
+  const resumed = () => {
+    let state = frames(calibrated(), 3100, 4900);
+    for (let t = 5000; t <= 8000; t += STEP) state = assessmentReducer(state, rotated(t));
+    return state;
+  };
+
+  it('pauses the run while the patient is measured again', () => {
+    const paused = assessmentReducer(frames(calibrated(), 3100, 4900), rotated(5000));
+    assert.equal(paused.phase, 'calibrating');
+    assert.equal(paused.pausedAt, 5000);
+    assert.equal(assessmentReducer(paused, { type: 'tick', timestamp: 7000 }).timeLeft, paused.timeLeft);
+
+    const state = resumed();
+    assert.equal(state.phase, 'running');
+    assert.equal(state.pausedAt, null);
+    assert.equal(state.pausedMs, 3000);
+  });
+
+  it('leaves the pause off the clock but keeps the real start time', () => {
+    const state = resumed();
+    assert.equal(state.startedAt, 3000);
+    assert.equal(assessmentReducer(state, { type: 'tick', timestamp: 65900 }).phase, 'running');
+
+    const timedOut = assessmentReducer(state, { type: 'tick', timestamp: 66000 });
+    assert.equal(timedOut.phase, 'timedOut');
+    assert.equal(getAssessmentResult(timedOut).startedAt, new Date(3000).toISOString());
+  });
+
+  it('gives samples from either side of the pause their time since the real start', () => {
+    const state = assessmentReducer(assessmentReducer(resumed(), rotated(9000)), { type: 'tick', timestamp: 66000 });
+    const elapsed = toSamplesCsv(state).split('\n').slice(1)
+      .map(row => row.split(','))
+      .filter(([, timestamp]) => [4000, 9000].includes(Date.parse(timestamp)))
+      .map(row => row[CSV_COLUMNS.indexOf('elapsed_s')]);
+    assert.deepEqual(elapsed, ['1', '6']);
+  });
+});
+
+describe('getAssessmentResult', () => {
+  it('is null while the run is in progress', () => {
+    assert.equal(getAssessmentResult(calibrated()), null);
+  });
+
+  it('grades a completed side and one that never moved', () => {
+    let state = frames(calibrated(), 3100, 13100, { right: 45 });
+    state = frames(state, 13200, 20000, { left: -85 });
+    state = assessmentReducer(state, { type: 'tick', timestamp: 63000 });
+    const result = getAssessmentResult(state);
+
+    assert.equal(result.status, 'timedOut');
+    assert.equal(result.mode, 'sequential');
+    assert.equal(result.startedAt, new Date(3000).toISOString());
+    assert.equal(result.endedAt, new Date(63000).toISOString());
+    assert.equal(result.asymmetry, null);
+
+    const { right, left } = result.sides;
+    assert.equal(right.completed, true);
+    assert.equal(right.attempts, 1);
+    near(right.timeToPosition, 0.1);
+    near(right.holdDuration, 10);
+    near(right.angle.mean, 45);
+    assert.deepEqual(right.drift, { grade: 0, label: 'No drift', degrees: right.drift.degrees });
+    near(right.drift.degrees, 0);
+
+    assert.equal(left.tested, true);
+    assert.equal(left.completed, false);
+    assert.equal(left.timeToPosition, null);
+    assert.equal(left.drift.grade, 4);
+    assert.equal(left.drift.label, 'No movement');
+  });
+
+  it('summarizes the angle over the hold, not the arm coming up', () => {
+    let state = calibrated();
+    state = frames(state, 3100, 3500, { right: -60 });
+    state = frames(state, 3600, 13600, { right: 50 });
+    state = assessmentReducer(state, { type: 'switchSide', timestamp: 13700 });
+    const { right } = getAssessmentResult(state).sides;
+    near(right.angle.min, 50);
+    near(right.angle.max, 50);
+  });
+
+  it('reports the asymmetry between arms in bilateral mode', () => {
+    const state = frames(calibrated({ sideOrder: 'bilateral' }), 3100, 13100, { left: 35, right: 45 });
+    const { mode, asymmetry } = getAssessmentResult(state);
+    assert.equal(mode, 'bilateral');
+    near(asymmetry.meanAngle.left, 35);
+    near(asymmetry.meanAngle.right, 45);
+    assert.equal(asymmetry.weakerSide, 'left');
+  });
+
+  it('leaves an untested side out', () => {
+    const timedOut = assessmentReducer(calibrated(), { type: 'tick', timestamp: 63000 });
+    const { left } = getAssessmentResult(timedOut).sides;
+    assert.equal(left.tested, false);
+    assert.equal(left.angle, null);
+  });
+});
+
+describe('gradeArmDrift', () => {
+  const samples = (angles, holding = false) => angles.map((angle, i) => ({ t: i * STEP, angle, holding }));
+
+  it('grades a clean completed hold 0 and a drifting one 1', () => {
+    assert.equal(gradeArmDrift(samples([45, 45, 44], true), true).grade, 0);
+    assert.equal(gradeArmDrift(samples([55, 50, 40], true), true).grade, 1);
+  });
+
+  it('grades an arm held steadily up but out of tolerance as effort, not no movement', () => {
+    assert.equal(gradeArmDrift(samples([80, 80, 80]), false).grade, 2);
+    assert.equal(gradeArmDrift(samples([-60, -60, -60]), false).grade, 3);
+    assert.equal(gradeArmDrift(samples([-90, -88, -85]), false).grade, 4);
+  });
+});
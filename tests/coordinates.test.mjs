@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { armElevation, handednessToSide, outwardDirection, pointAtElevation, toDisplayPoint } from '../coordinates.js';
+import { buildFrame } from '../frames.js';
+
+// Raw detector output for one 640x480 video frame of a patient facing the camera
+// with their right arm raised out to the side. The camera sees the patient's
+// right on the left of the image, and MediaPipe Hands, which assumes a selfie
+// image, labels that hand 'Left'.
+const DETECTIONS = {
+  timestamp: 1000,
+  videoWidth: 640,
+  videoHeight: 480,
+  poses: [{
+    score: 0.8,
+    keypoints: [
+      { name: 'nose', x: 320, y: 200, score: 0.9 },
+      { name: 'right_shoulder', x: 260, y: 300, score: 0.9 },
+      { name: 'left_shoulder', x: 380, y: 300, score: 0.9 },
+      { name: 'right_elbow', x: 200, y: 240, score: 0.9 },
+      { name: 'left_elbow', x: 390, y: 370, score: 0.9 },
+      { name: 'right_wrist', x: 150, y: 190, score: 0.9 },
+      { name: 'left_wrist', x: 395, y: 440, score: 0.9 },
+      { name: 'right_hip', x: 270, y: 450, score: 0.9 },
+      { name: 'left_hip', x: 370, y: 450, score: 0.9 }
+    ]
+  }],
+  hands: [{ handedness: 'Left', score: 0.95, keypoints: [{ x: 150, y: 190 }, { x: 140, y: 170 }] }]
+};
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('toDisplayPoint', () => {
+  it('flips x across the frame when mirrored', () => {
+    assert.deepEqual(toDisplayPoint({ x: 150, y: 190, score: 0.9 }, 640, true), { x: 490, y: 190, score: 0.9 });
+  });
+
+  it('leaves the point as it is when not mirrored', () => {
+    assert.deepEqual(toDisplayPoint({ x: 150, y: 190, score: 0.9 }, 640, false), { x: 150, y: 190, score: 0.9 });
+  });
+
+  it('passes a missing point through', () => {
+    assert.equal(toDisplayPoint(null, 640, true), null);
+  });
+});
+
+describe('handednessToSide', () => {
+  it('swaps the label for an unmirrored input', () => {
+    assert.equal(handednessToSide('Left'), 'right');
+    assert.equal(handednessToSide('Right', false), 'left');
+  });
+
+  it('keeps the label for a mirrored input', () => {
+    assert.equal(handednessToSide('Left', true), 'left');
+    assert.equal(handednessToSide('right', true), 'right');
+  });
+});
+
+describe('outwardDirection', () => {
+  it('points the right arm right and the left arm left in a mirrored view', () => {
+    assert.equal(outwardDirection('right', true), 1);
+    assert.equal(outwardDirection('left', true), -1);
+  });
+
+  it('swaps them in an unmirrored view', () => {
+    assert.equal(outwardDirection('right', false), -1);
+    assert.equal(outwardDirection('left', false), 1);
+  });
+});
+
+describe('fixture frames', () => {
+  const mirrored = buildFrame(DETECTIONS, 'hands', true);
+  const unmirrored = buildFrame(DETECTIONS, 'hands', false);
+
+  it('places the patient in display space', () => {
+    assert.deepEqual(mirrored.shoulders.right, { name: 'right_shoulder', x: 380, y: 300, score: 0.9 });
+    assert.deepEqual(mirrored.shoulders.left, { name: 'left_shoulder', x: 260, y: 300, score: 0.9 });
+    assert.deepEqual(unmirrored.shoulders.right, { name: 'right_shoulder', x: 260, y: 300, score: 0.9 });
+    assert.deepEqual(unmirrored.shoulders.left, { name: 'left_shoulder', x: 380, y: 300, score: 0.9 });
+  });
+
+  it('puts the hand on the patient side it belongs to, whatever the mirroring', () => {
+    assert.deepEqual(mirrored.wrists.right, { x: 490, y: 190, score: 0.95, source: 'hand' });
+    assert.deepEqual(unmirrored.wrists.right, { x: 150, y: 190, score: 0.95, source: 'hand' });
+    assert.equal(mirrored.wrists.left, null);
+    assert.equal(unmirrored.wrists.left, null);
+    assert.deepEqual(mirrored.handLandmarks.right[1], { x: 500, y: 170 });
+  });
+
+  it('has the raised arm pointing outward in both views', () => {
+    [mirrored, unmirrored].forEach(frame => {
+      const { shoulders, wrists } = frame;
+      const dx = wrists.right.x - shoulders.right.x;
+      assert.equal(Math.sign(dx), outwardDirection('right', frame.mirrored));
+    });
+  });
+
+  it('measures the same elevation in both views', () => {
+    const elevation = frame => armElevation(frame.shoulders.right, frame.wrists.right, 'right', frame.mirrored);
+    const expected = Math.atan2(110, 110) * (180 / Math.PI);
+    near(elevation(mirrored), expected);
+    near(elevation(unmirrored), expected);
+  });
+
+  it('takes the pose wrists when the arms come from the pose model', () => {
+    const frame = buildFrame(DETECTIONS, 'pose', true);
+    assert.deepEqual(frame.wrists.right, { name: 'right_wrist', x: 490, y: 190, score: 0.9 });
+    assert.deepEqual(frame.wrists.left, { name: 'left_wrist', x: 245, y: 440, score: 0.9 });
+    near(armElevation(frame.shoulders.left, frame.wrists.left, 'left', true), -Math.atan2(140, 15) * (180 / Math.PI));
+  });
+});
+
+describe('pointAtElevation', () => {
+  it('is the inverse of armElevation on both sides and in both views', () => {
+    const shoulder = { x: 300, y: 300 };
+    [true, false].forEach(mirrored => ['left', 'right'].forEach(side => {
+      [-90, -30, 0, 45, 90].forEach(elevation => {
+        const wrist = pointAtElevation(shoulder, elevation, 150, side, mirrored);
+        near(armElevation(shoulder, wrist, side, mirrored), elevation);
+      });
+    }));
+  });
+});
@@ -0,0 +1,215 @@
+import { afterEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_COLUMNS, DEFAULT_CODE_SYSTEM, printReport, toFhirBundle, toSamplesCsv } from '../exporters.js';
+
+// A sequential run that timed out after the right arm was held and before the
+// left arm was reached
+const RESULT = {
+  status: 'timedOut',
+  startedAt: '2024-05-01T10:00:03.000Z',
+  endedAt: '2024-05-01T10:01:03.000Z',
+  calibration: null,
+  mode: 'sequential',
+  sides: {
+    right: {
+      tested: true,
+      completed: true,
+      failed: false,
+      attempts: 1,
+      timeToPosition: 1.25,
+      holdDuration: 10,
+      angle: { min: 40, mean: 44.5, max: 48 },
+      elbowAngle: null,
+      shoulderDeviation: null,
+      holdBreaks: 0,
+      confidence: { shoulder: 0.9, hand: 0.8 },
+      drift: { grade: 0, label: 'No drift', degrees: 2.5 },
+      stability: { score: 87, jitter: 0.01, pathLength: 0.2, dominantFrequency: 5.25, tremor: true, point: 'wrist' },
+      compensation: { compensated: false, fraction: 0, issues: [] }
+    },
+    left: {
+      tested: false,
+      completed: false,
+      failed: false,
+      attempts: 0,
+      timeToPosition: null,
+      holdDuration: 0,
+      angle: null,
+      elbowAngle: null,
+      shoulderDeviation: null,
+      holdBreaks: 0,
+      confidence: null,
+      drift: null,
+      stability: null,
+      compensation: null
+    }
+  },
+  asymmetry: null
+};
+
+const code = (code, display) => ({ coding: [{ system: DEFAULT_CODE_SYSTEM, code, display }], text: display });
+const quantity = (value, unit, ucum) => ({ value, unit, system: 'http://unitsofmeasure.org', code: ucum });
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('toFhirBundle', () => {
+  const bundle = toFhirBundle(RESULT, { patientReference: 'Patient/123', observationId: 'obs-1', bundleId: 'bundle-1' });
+  const observation = bundle.entry[0].resource;
+
+  it('wraps one Observation in a collection Bundle', () => {
+    assert.equal(bundle.resourceType, 'Bundle');
+    assert.equal(bundle.id, 'bundle-1');
+    assert.equal(bundle.type, 'collection');
+    assert.equal(bundle.timestamp, RESULT.endedAt);
+    assert.equal(bundle.entry.length, 1);
+    assert.equal(bundle.entry[0].fullUrl, 'urn:uuid:obs-1');
+  });
+
+  it('describes the run on the Observation', () => {
+    assert.equal(observation.resourceType, 'Observation');
+    assert.equal(observation.id, 'obs-1');
+    assert.equal(observation.status, 'final');
+    assert.deepEqual(observation.code, code('motor-weakness-assessment', 'Motor weakness assessment (arm drift)'));
+    assert.deepEqual(observation.effectivePeriod, { start: RESULT.startedAt, end: RESULT.endedAt });
+    assert.equal(observation.issued, RESULT.endedAt);
+    assert.deepEqual(observation.subject, { reference: 'Patient/123' });
+    assert.deepEqual(observation.method, { text: 'One arm at a time' });
+    assert.deepEqual(observation.note, [{ text: 'Assessment timed out before both arms were completed' }]);
+  });
+
+  it('has a component per measure of the tested arm and an absent grade for the other', () => {
+    assert.deepEqual(observation.component, [
+      { code: code('right-arm-nihss-grade', 'Right arm NIHSS motor grade'), valueInteger: 0 },
+      { code: code('right-arm-drift', 'Right arm drift'), valueQuantity: quantity(2.5, '°', 'deg') },
+      { code: code('right-arm-hold-duration', 'Right arm longest hold'), valueQuantity: quantity(10, 's', 's') },
+      { code: code('right-arm-hold-completed', 'Right arm hold completed'), valueBoolean: true },
+      { code: code('right-arm-time-to-position', 'Right arm time to position'), valueQuantity: quantity(1.25, 's', 's') },
+      { code: code('right-arm-mean-angle', 'Right arm mean elevation'), valueQuantity: quantity(44.5, '°', 'deg') },
+      { code: code('right-arm-stability-score', 'Right arm stability score'), valueInteger: 87 },
+      { code: code('right-arm-tremor', 'Right arm tremor'), valueBoolean: true },
+      { code: code('right-arm-tremor-frequency', 'Right arm tremor frequency'), valueQuantity: quantity(5.25, 'Hz', 'Hz') },
+      { code: code('right-arm-compensated', 'Right arm hold compensated'), valueBoolean: false },
+      {
+        code: code('left-arm-nihss-grade', 'Left arm NIHSS motor grade'),
+        dataAbsentReason: {
+          coding: [{ system: 'http://terminology.hl7.org/CodeSystem/data-absent-reason', code: 'not-performed', display: 'Not Performed' }]
+        }
+      }
+    ]);
+  });
+
+  it('adds the asymmetry index and facial droop when present', () => {
+    const bilateral = {
+      ...RESULT,
+      status: 'complete',
+      mode: 'bilateral',
+      asymmetry: { meanAngle: { left: 35, right: 45 }, drift: { left: 0, right: 0 }, index: 22.222, weakerSide: 'left' },
+      face: { detected: true, droop: false }
+    };
+    const { resource } = toFhirBundle(bilateral, { observationId: 'obs-2', bundleId: 'bundle-2' }).entry[0];
+    assert.equal(resource.subject, undefined);
+    assert.equal(resource.note, undefined);
+    assert.deepEqual(resource.method, { text: 'Both arms held together' });
+    assert.deepEqual(resource.component.slice(-2), [
+      { code: code('asymmetry-index', 'Arm asymmetry index'), valueQuantity: quantity(22.22, '%', '%') },
+      { code: code('facial-droop', 'Facial droop'), valueBoolean: false }
+    ]);
+  });
+
+  it('uses the code system it is given', () => {
+    const { resource } = toFhirBundle(RESULT, { codeSystem: 'urn:example', observationId: 'o', bundleId: 'b' }).entry[0];
+    assert.equal(resource.code.coding[0].system, 'urn:example');
+    assert.ok(resource.component.every(component => component.code.coding[0].system === 'urn:example'));
+  });
+
+  describe('generated ids', () => {
+    // Shadow the prototype's method on the instance; deleting it brings it back
+    const hide = (name) => Object.defineProperty(crypto, name, { value: undefined, configurable: true });
+    afterEach(() => {
+      delete crypto.randomUUID;
+      delete crypto.getRandomValues;
+    });
+
+    it('are version 4 UUIDs', () => {
+      const generated = toFhirBundle(RESULT);
+      assert.match(generated.id, UUID_V4);
+      assert.match(generated.entry[0].resource.id, UUID_V4);
+      assert.notEqual(generated.id, generated.entry[0].resource.id);
+    });
+
+    it('are still version 4 UUIDs without crypto.randomUUID', () => {
+      hide('randomUUID');
+      const generated = toFhirBundle(RESULT);
+      assert.match(generated.id, UUID_V4);
+      assert.equal(generated.entry[0].fullUrl, `urn:uuid:${generated.entry[0].resource.id}`);
+    });
+
+    it('are still version 4 UUIDs without crypto.getRandomValues', () => {
+      hide('randomUUID');
+      hide('getRandomValues');
+      assert.match(toFhirBundle(RESULT).id, UUID_V4);
+    });
+  });
+});
+
+describe('toSamplesCsv', () => {
+  const startedAt = Date.parse('2024-05-01T10:00:03.000Z');
+  const sample = (t, angle, extra = {}) => ({
+    t: startedAt + t,
+    angle,
+    elbowAngle: 172.25,
+    shoulderDeviation: 3.14159,
+    shoulderScore: 0.9,
+    handScore: 0.85,
+    trunkLean: 1,
+    shoulderHike: null,
+    trunkRotation: null,
+    compensation: [],
+    holding: true,
+    ...extra
+  });
+  const state = {
+    startedAt,
+    sides: {
+      right: { samples: [sample(100, 44.12345), sample(300, 45, { compensation: ['trunkLean', 'shoulderHike'], holding: false })] },
+      left: { samples: [sample(200, -85, { elbowAngle: null, trunkLean: null, compensation: null, holding: false })] }
+    }
+  };
+
+  it('writes a header and one row per sample in time order', () => {
+    assert.equal(toSamplesCsv(state), [
+      CSV_COLUMNS.join(','),
+      'right,2024-05-01T10:00:03.100Z,0.1,44.123,172.25,3.142,0.9,0.85,1,,,,true',
+      'left,2024-05-01T10:00:03.200Z,0.2,-85,,3.142,0.9,0.85,,,,,false',
+      'right,2024-05-01T10:00:03.300Z,0.3,45,172.25,3.142,0.9,0.85,1,,,trunkLean shoulderHike,false'
+    ].join('\n'));
+  });
+
+  it('is just the header without samples', () => {
+    const empty = { startedAt, sides: { right: { samples: [] }, left: { samples: [] } } };
+    assert.equal(toSamplesCsv(empty), CSV_COLUMNS.join(','));
+  });
+});
+
+describe('printReport', () => {
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it('writes the report to a new window and prints it', () => {
+    const calls = [];
+    const reportWindow = {
+      document: { write: html => calls.push(['write', html]), close: () => calls.push(['close']) },
+      focus: () => calls.push(['focus']),
+      print: () => calls.push(['print'])
+    };
+    globalThis.window = { open: () => reportWindow };
+    assert.equal(printReport('<p>Report</p>'), true);
+    assert.deepEqual(calls, [['write', '<p>Report</p>'], ['close'], ['focus'], ['print']]);
+  });
+
+  it('reports a blocked window instead of throwing', () => {
+    globalThis.window = { open: () => null };
+    assert.equal(printReport('<p>Report</p>'), false);
+  });
+});
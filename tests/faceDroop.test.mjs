@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FACE_PROTOCOL,
+  FACE_LANDMARKS,
+  buildFaceFrame,
+  createFaceState,
+  faceReducer,
+  measureFace,
+  summarizeFace
+} from '../faceDroop.js';
+
+// FaceMesh output for a smiling face in the raw 640x480 camera image, which shows
+// the patient's right on the left. Eyes 120 px apart at y = 200, mouth centred at
+// (320, 300), each mouth corner lifted 10 px unless drooping px lower.
+const rawFace = ({ droopLeft = 0, droopRight = 0, rotate = 0 } = {}) => {
+  const keypoints = Array.from({ length: 468 }, () => ({ x: 320, y: 250 }));
+  const place = (index, x, y) => { keypoints[index] = { x, y }; };
+  place(FACE_LANDMARKS.right.eyeOuter, 260, 200);
+  place(FACE_LANDMARKS.right.eyeInner, 300, 200);
+  place(FACE_LANDMARKS.right.upperLid, 280, 195);
+  place(FACE_LANDMARKS.right.lowerLid, 280, 205);
+  place(FACE_LANDMARKS.left.eyeOuter, 380, 200);
+  place(FACE_LANDMARKS.left.eyeInner, 340, 200);
+  place(FACE_LANDMARKS.left.upperLid, 360, 195);
+  place(FACE_LANDMARKS.left.lowerLid, 360, 205);
+  place(FACE_LANDMARKS.upperLip, 320, 290);
+  place(FACE_LANDMARKS.lowerLip, 320, 310);
+  place(FACE_LANDMARKS.right.mouthCorner, 280, 290 + droopRight);
+  place(FACE_LANDMARKS.left.mouthCorner, 360, 290 + droopLeft);
+
+  // Tilt the head about the middle of the face
+  const radians = rotate * (Math.PI / 180);
+  return keypoints.map(({ x, y }) => ({
+    x: 320 + (x - 320) * Math.cos(radians) - (y - 250) * Math.sin(radians),
+    y: 250 + (x - 320) * Math.sin(radians) + (y - 250) * Math.cos(radians)
+  }));
+};
+
+const frame = (timestamp, face, mirrored = true) => buildFaceFrame({
+  timestamp,
+  videoWidth: 640,
+  videoHeight: 480,
+  faces: face ? [{ keypoints: face }] : []
+}, mirrored);
+
+// Frames every 100 ms from one timestamp up to and including another
+const capture = (state, from, to, face, mirrored) => {
+  let next = state;
+  for (let t = from; t <= to; t += 100) next = faceReducer(next, frame(t, face, mirrored));
+  return next;
+};
+
+const started = () => faceReducer(createFaceState(), { type: 'start', timestamp: 0 });
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('measureFace', () => {
+  it('measures mouth-corner lift and eye opening on each side', () => {
+    const measurement = measureFace(frame(0, rawFace({ droopLeft: 15 })).keypoints);
+    near(measurement.mouthLift.right, 10 / 120);
+    near(measurement.mouthLift.left, -5 / 120);
+    near(measurement.eyeOpening.right, 0.25);
+    near(measurement.eyeOpening.left, 0.25);
+  });
+
+  it('measures lift along the face, whatever the head tilt', () => {
+    const measurement = measureFace(frame(0, rawFace({ rotate: 15 })).keypoints);
+    near(measurement.mouthLift.right, 10 / 120);
+    near(measurement.mouthLift.left, 10 / 120);
+  });
+});
+
+describe('faceReducer', () => {
+  it('finds no droop in a symmetric smile', () => {
+    const state = capture(started(), 0, 3000, rawFace());
+    assert.equal(state.phase, 'done');
+    assert.equal(state.measurements.length, 31);
+    assert.deepEqual(state.result, {
+      detected: true,
+      mouthAsymmetry: 0,
+      eyeAsymmetry: 0,
+      droopScore: 0,
+      droop: false,
+      droopSide: null
+    });
+  });
+
+  it('finds no droop in a symmetric smile with the head tilted', () => {
+    const { result } = capture(started(), 0, 3000, rawFace({ rotate: -15 }));
+    assert.equal(result.droop, false);
+    assert.ok(result.droopScore < 1e-9);
+  });
+
+  [true, false].forEach((mirrored) => {
+    it(`flags droop on the patient's side whose corner lifts less ${mirrored ? 'in a mirrored' : 'in an unmirrored'} view`, () => {
+      const left = capture(started(), 0, 3000, rawFace({ droopLeft: 15 }), mirrored).result;
+      near(left.mouthAsymmetry, 15 / 120);
+      near(left.droopScore, 0.7 * (15 / 120));
+      assert.equal(left.droop, true);
+      assert.equal(left.droopSide, 'left');
+
+      const right = capture(started(), 0, 3000, rawFace({ droopRight: 15 }), mirrored).result;
+      assert.equal(right.droopSide, 'right');
+    });
+  });
+
+  it('leaves a slight asymmetry below the threshold unflagged', () => {
+    const { result } = capture(started(), 0, 3000, rawFace({ droopLeft: 5 }));
+    assert.ok(result.droopScore > 0 && result.droopScore < DEFAULT_FACE_PROTOCOL.droopThreshold);
+    assert.equal(result.droop, false);
+    assert.equal(result.droopSide, null);
+  });
+
+  it('waits for the face, starting the capture from the first frame it is seen', () => {
+    const searching = capture(started(), 0, 2000, null);
+    assert.equal(searching.phase, 'capturing');
+    assert.equal(searching.faceDetected, false);
+    assert.equal(searching.captureStartedAt, null);
+
+    const found = capture(searching, 2100, 4000, rawFace());
+    assert.equal(found.captureStartedAt, 2100);
+    assert.equal(found.phase, 'capturing');
+    assert.equal(capture(found, 4100, 5100, rawFace()).phase, 'done');
+  });
+
+  it('keeps the measurements when the face drops out during the capture', () => {
+    let state = capture(started(), 0, 1000, rawFace());
+    state = capture(state, 1100, 1500, null);
+    assert.equal(state.faceDetected, false);
+    assert.equal(state.measurement, null);
+    assert.equal(state.measurements.length, 11);
+  });
+
+  it('finishes without a face at the time limit', () => {
+    const state = capture(started(), 0, 20000, null);
+    assert.equal(state.phase, 'done');
+    assert.deepEqual(state.result, summarizeFace([]));
+    assert.equal(state.result.detected, false);
+  });
+
+  it('ignores frames before start and after it is done', () => {
+    const idle = createFaceState();
+    assert.equal(faceReducer(idle, frame(0, rawFace())), idle);
+    const done = capture(started(), 0, 3000, rawFace());
+    assert.equal(faceReducer(done, frame(3100, rawFace({ droopLeft: 15 }))), done);
+  });
+});
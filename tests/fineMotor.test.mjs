@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_FINE_MOTOR_PROTOCOL,
+  compareHands,
+  createFineMotorProtocol,
+  createFineMotorState,
+  fineMotorReducer,
+  measureHand,
+  validateFineMotorProtocol
+} from '../fineMotor.js';
+
+// A patient facing a mirrored camera, nose at (320, 150) and shoulders 120 px
+// apart, holding up one hand with a 50 px palm. The hand is placed by its index
+// fingertip; aperture is the thumb-index gap and openness how far the fingertips
+// reach from the wrist, both in palm lengths.
+const PALM = 50;
+const NOSE = { x: 320, y: 150 };
+const SHOULDERS = { left: { x: 260, y: 250, score: 0.9 }, right: { x: 380, y: 250, score: 0.9 } };
+const OPEN = 1;
+const CLOSED = 0.1;
+
+const hand = (tip, { aperture = OPEN, openness = 1.8 } = {}) => {
+  const wrist = { x: tip.x, y: tip.y + openness * PALM };
+  const landmarks = Array.from({ length: 21 }, () => ({ ...wrist }));
+  landmarks[9] = { x: wrist.x, y: wrist.y - PALM };
+  [8, 12, 16, 20].forEach((index) => { landmarks[index] = { ...tip }; });
+  landmarks[4] = { x: tip.x + aperture * PALM, y: tip.y };
+  return landmarks;
+};
+
+const frame = (timestamp, side, tip, shape) => {
+  const landmarks = hand(tip, shape);
+  return {
+    type: 'frame',
+    timestamp,
+    mirrored: true,
+    nose: NOSE,
+    shoulders: SHOULDERS,
+    wrists: { left: null, right: null, [side]: { ...landmarks[0], score: 0.9 } },
+    handLandmarks: { left: null, right: null, [side]: landmarks }
+  };
+};
+
+const run = (overrides, frames) => frames.reduce(
+  fineMotorReducer,
+  fineMotorReducer(createFineMotorState(createFineMotorProtocol(overrides)), { type: 'start', timestamp: 0 })
+);
+
+// Tapping frames every 100 ms from one timestamp to another, closed at each tap time
+const tapping = (side, from, to, taps) => Array.from({ length: (to - from) / 100 + 1 }, (_, i) => {
+  const t = from + i * 100;
+  return frame(t, side, { x: 400, y: 150 }, { aperture: taps.includes(t) ? CLOSED : OPEN });
+});
+
+const evenly = (from, to, every) => Array.from({ length: Math.floor((to - from) / every) }, (_, i) => from + every * (i + 1));
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('measureHand', () => {
+  it('measures the thumb-index gap and the openness in palm lengths', () => {
+    const measurement = measureHand(hand({ x: 400, y: 150 }, { aperture: 0.4, openness: 1.2 }));
+    near(measurement.aperture, 0.4);
+    near(measurement.openness, 1.2);
+    assert.deepEqual(measurement.indexTip, { x: 400, y: 150 });
+  });
+});
+
+describe('finger tapping', () => {
+  const protocol = { tests: ['fingerTap'], sideOrder: ['right'] };
+
+  it('counts taps at a steady rhythm over the test', () => {
+    const state = run(protocol, tapping('right', 0, 10000, evenly(0, 10000, 500)));
+    assert.equal(state.phase, 'done');
+    const { right } = state.result.fingerTap;
+    assert.equal(right.count, 20);
+    near(right.rate, 2);
+    near(right.intervalCv, 0);
+    near(right.amplitude, OPEN);
+    assert.equal(right.irregular, false);
+  });
+
+  it('only counts a tap once the fingers have opened past the open threshold', () => {
+    const apertures = [OPEN, CLOSED, 0.4, CLOSED, OPEN, CLOSED];
+    const state = run(protocol, apertures.map((aperture, i) => frame(i * 100, 'right', { x: 400, y: 150 }, { aperture })));
+    assert.equal(state.step.events.length, 2);
+    assert.deepEqual(state.step.events, [100, 500]);
+  });
+
+  it('flags an irregular rhythm', () => {
+    const taps = [];
+    for (let t = 300; t <= 9600; t += 1200) taps.push(t, t + 300);
+    const { right } = run(protocol, tapping('right', 0, 10000, taps)).result.fingerTap;
+    assert.equal(right.count, 16);
+    assert.ok(right.intervalCv > DEFAULT_FINE_MOTOR_PROTOCOL.irregularRhythm);
+    assert.equal(right.irregular, true);
+  });
+
+  it('reports a hand that never came into view', () => {
+    const state = run(protocol, [{ ...frame(0, 'left', NOSE), timestamp: 30000 }]);
+    assert.deepEqual(state.result.fingerTap.right, {
+      detected: false, count: 0, rate: null, intervalCv: null, amplitude: null, irregular: false
+    });
+  });
+});
+
+describe('fist clenching', () => {
+  it('counts the hand closing into a fist', () => {
+    const frames = Array.from({ length: 101 }, (_, i) => frame(i * 100, 'right', { x: 400, y: 150 }, {
+      openness: i % 10 === 5 ? 0.8 : 1.8
+    }));
+    const { right } = run({ tests: ['fistClench'], sideOrder: ['right'] }, frames).result.fistClench;
+    assert.equal(right.count, 10);
+    near(right.rate, 1);
+    near(right.amplitude, 1.8);
+  });
+});
+
+describe('target reaching', () => {
+  // One target, 1.5 shoulder widths out from the nose on the right: (500, 150)
+  const protocol = { tests: ['targetReach'], sideOrder: ['right'], reachTargets: 1 };
+  const reach = (via) => run(protocol, [
+    frame(0, 'right', NOSE),
+    frame(100, 'right', { x: 380, y: 150 }),
+    frame(200, 'right', via),
+    frame(300, 'right', { x: 500, y: 150 })
+  ]).result.targetReach.right;
+
+  it('times a reach from leaving the nose to touching the target', () => {
+    const right = reach({ x: 440, y: 150 });
+    assert.equal(right.count, 1);
+    near(right.movementTime, 0.2);
+    near(right.pathRatio, 1);
+    assert.equal(right.dysmetric, false);
+  });
+
+  it('measures how far a reach wanders from the straight line', () => {
+    const slight = reach({ x: 410, y: 90 });
+    near(slight.pathRatio, (60 + Math.hypot(30, 60) + Math.hypot(90, 60)) / 180);
+    assert.equal(slight.dysmetric, false);
+
+    const wandering = reach({ x: 410, y: 0 });
+    near(wandering.pathRatio, (60 + Math.hypot(30, 150) + Math.hypot(90, 150)) / 180);
+    assert.equal(wandering.dysmetric, true);
+  });
+
+  it('starts a reach over when the finger comes back to the nose', () => {
+    const state = run(protocol, [
+      frame(0, 'right', NOSE),
+      frame(100, 'right', { x: 380, y: 150 }),
+      frame(200, 'right', NOSE),
+      frame(300, 'right', { x: 380, y: 150 }),
+      frame(400, 'right', { x: 500, y: 150 })
+    ]);
+    near(state.result.targetReach.right.movementTime, 0.1);
+  });
+
+  it('puts the targets on the tested hand side', () => {
+    const placed = side => run({ ...protocol, sideOrder: [side] }, [frame(0, side, NOSE)]).step.targets[0];
+    assert.deepEqual(placed('right'), { x: 500, y: 150 });
+    assert.deepEqual(placed('left'), { x: 140, y: 150 });
+  });
+});
+
+describe('comparing hands', () => {
+  it('flags the slower tapping hand', () => {
+    const state = run({ tests: ['fingerTap'], sideOrder: ['right', 'left'] }, [
+      ...tapping('right', 0, 10000, evenly(0, 10000, 500)),
+      ...tapping('left', 10100, 20100, evenly(10100, 20100, 1000))
+    ]);
+    const { right, left, asymmetry, weakerSide } = state.result.fingerTap;
+    near(right.rate, 2);
+    near(left.rate, 1);
+    near(asymmetry, 0.5);
+    assert.equal(weakerSide, 'left');
+  });
+
+  it('takes the slower reach as the worse one', () => {
+    const result = compareHands('targetReach', { movementTime: 0.6 }, { movementTime: 0.9 });
+    near(result.asymmetry, 1 / 3);
+    assert.equal(result.weakerSide, 'left');
+  });
+
+  it('leaves a small difference unflagged', () => {
+    const result = compareHands('fingerTap', { rate: 2 }, { rate: 1.8 });
+    near(result.asymmetry, 0.1);
+    assert.equal(result.weakerSide, null);
+  });
+
+  it('needs both hands measured', () => {
+    assert.deepEqual(compareHands('fingerTap', { rate: 2 }, null), { asymmetry: null, weakerSide: null });
+    assert.deepEqual(compareHands('fingerTap', { rate: 2 }, { rate: null }), { asymmetry: null, weakerSide: null });
+  });
+});
+
+describe('createFineMotorProtocol', () => {
+  it('accepts the defaults', () => {
+    assert.deepEqual(validateFineMotorProtocol(DEFAULT_FINE_MOTOR_PROTOCOL), []);
+    assert.deepEqual(createFineMotorProtocol(), DEFAULT_FINE_MOTOR_PROTOCOL);
+  });
+
+  it('lists every problem with the protocol', () => {
+    assert.deepEqual(validateFineMotorProtocol({
+      ...DEFAULT_FINE_MOTOR_PROTOCOL,
+      tests: ['fingerTap', 'juggling'],
+      sideOrder: [],
+      timeLimit: 0,
+      minHandScore: 1.5,
+      tapOpen: 0.2,
+      reachTargets: 2.5,
+      irregularRhythm: '0.3',
+      maxPathRatio: 0.8,
+      asymmetryThreshold: NaN
+    }), [
+      'tests must list some of fingerTap, fistClench, targetReach',
+      "sideOrder must list 'right', 'left' or both",
+      'timeLimit must be a positive number of seconds',
+      'minHandScore must be between 0 and 1',
+      'The closed thresholds must be below the open ones',
+      'reachTargets must be a positive integer',
+      'irregularRhythm must be a positive number',
+      'maxPathRatio must be a number of at least 1',
+      'asymmetryThreshold must be between 0 and 1'
+    ]);
+  });
+
+  it('throws on an invalid protocol', () => {
+    assert.throws(() => createFineMotorProtocol({ minHandScore: -0.1, fistOpen: undefined }),
+      /Invalid fine-motor protocol: minHandScore must be between 0 and 1; fistOpen must be a positive number of palm lengths/);
+  });
+});
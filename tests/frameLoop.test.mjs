@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameLoop } from '../frameLoop.js';
+
+// A video with data whose frames are handed out one at a time by next()
+const createFakeVideo = () => {
+  const callbacks = new Map();
+  let nextId = 0;
+  return {
+    readyState: 4,
+    requestVideoFrameCallback: (callback) => {
+      nextId += 1;
+      callbacks.set(nextId, callback);
+      return nextId;
+    },
+    cancelVideoFrameCallback: id => callbacks.delete(id),
+    pending: () => callbacks.size,
+    next: () => {
+      const [[id, callback]] = callbacks;
+      callbacks.delete(id);
+      return callback();
+    }
+  };
+};
+
+describe('createFrameLoop', () => {
+  it('runs onFrame once per video frame, one at a time', async () => {
+    const video = createFakeVideo();
+    let frames = 0;
+    const loop = createFrameLoop(() => video, () => { frames += 1; });
+    loop.start();
+    assert.equal(video.pending(), 1);
+    await video.next();
+    await video.next();
+    assert.equal(frames, 2);
+    assert.equal(loop.metrics().frames, 2);
+
+    loop.stop();
+    assert.equal(video.pending(), 0);
+  });
+
+  it('leaves frames without data out of the metrics', async () => {
+    const video = createFakeVideo();
+    const loop = createFrameLoop(() => video, () => false);
+    loop.start();
+    await video.next();
+    assert.equal(loop.metrics().frames, 0);
+    loop.stop();
+  });
+
+  it('reports each failed frame with how many in a row have failed, and carries on', async () => {
+    const video = createFakeVideo();
+    const results = [false, false, false, true, false];
+    const errors = [];
+    const loop = createFrameLoop(
+      () => video,
+      () => {
+        if (!results.shift()) throw new Error('Detector failed');
+      },
+      { onError: (error, failures) => errors.push([error.message, failures]) }
+    );
+    loop.start();
+    for (let i = 0; i < 5; i++) await video.next();
+    assert.deepEqual(errors, [
+      ['Detector failed', 1],
+      ['Detector failed', 2],
+      ['Detector failed', 3],
+      ['Detector failed', 1]
+    ]);
+    assert.equal(loop.metrics().frames, 1);
+    assert.equal(video.pending(), 1);
+    loop.stop();
+  });
+
+  it('does not report a failure that finishes after the loop stopped', async () => {
+    const video = createFakeVideo();
+    const errors = [];
+    const loop = createFrameLoop(
+      () => video,
+      () => {
+        loop.stop();
+        throw new Error('Detector failed');
+      },
+      { onError: error => errors.push(error) }
+    );
+    loop.start();
+    await video.next();
+    assert.deepEqual(errors, []);
+    assert.equal(video.pending(), 0);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessFrameQuality } from '../frameQuality.js';
+
+// A frame with the shoulders a given distance apart, centred in the picture
+const frame = ({ width = 640, height = 480, shoulderWidth = 120, ...rest } = {}) => ({
+  videoWidth: width,
+  videoHeight: height,
+  brightness: 120,
+  poseScores: [0.8],
+  shoulders: {
+    left: { x: (width - shoulderWidth) / 2, y: height / 2, score: 0.9 },
+    right: { x: (width + shoulderWidth) / 2, y: height / 2, score: 0.9 }
+  },
+  ...rest
+});
+
+describe('assessFrameQuality', () => {
+  it('passes a well-framed patient', () => {
+    assert.deepEqual(assessFrameQuality(frame(), 0.3), []);
+  });
+
+  it('flags a patient too far away or too close', () => {
+    assert.deepEqual(assessFrameQuality(frame({ shoulderWidth: 60 }), 0.3), ['tooFar']);
+    assert.deepEqual(assessFrameQuality(frame({ shoulderWidth: 320 }), 0.3), ['tooClose']);
+  });
+
+  it('judges distance the same with the camera turned to portrait', () => {
+    const portrait = (shoulderWidth) => assessFrameQuality(frame({ width: 480, height: 640, shoulderWidth }), 0.3);
+    assert.deepEqual(portrait(120), []);
+    assert.deepEqual(portrait(200), []);
+    assert.deepEqual(portrait(60), ['tooFar']);
+    assert.deepEqual(portrait(320), ['tooClose']);
+  });
+
+  it('flags shoulders out of view or at the edge of the frame', () => {
+    const missing = frame();
+    missing.shoulders.left = null;
+    assert.deepEqual(assessFrameQuality(missing, 0.3), ['shouldersOutOfFrame']);
+
+    const edge = frame();
+    edge.shoulders.left = { x: 5, y: 240, score: 0.9 };
+    assert.deepEqual(assessFrameQuality(edge, 0.3), ['shouldersOutOfFrame', 'tooClose']);
+  });
+
+  it('flags a dark scene and someone else in view, in order of priority', () => {
+    assert.deepEqual(assessFrameQuality(frame({ brightness: 20, poseScores: [0.8, 0.5] }), 0.3), ['tooDark', 'multiplePeople']);
+  });
+
+  it('skips the checks a frame has no data for', () => {
+    assert.deepEqual(assessFrameQuality(frame({ brightness: null, poseScores: undefined }), 0.3), []);
+  });
+});
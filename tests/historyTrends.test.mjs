@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_TREND_OPTIONS, analyzeTrends, computeBaseline, sideSeries } from '../historyTrends.js';
+
+// Stored sessions (see toHistoryEntry in historyStore.js), a day apart from
+// 1 March. Each side is a completed grade-0 hold unless overridden; null leaves
+// the side untested.
+const side = (overrides = {}) => ({
+  tested: true,
+  completed: true,
+  timeToPosition: 2,
+  holdDuration: 10,
+  holdBreaks: 0,
+  meanAngle: 45,
+  drift: 2,
+  grade: 0,
+  ...overrides
+});
+
+const untested = {
+  tested: false, completed: false, timeToPosition: null, holdDuration: 0, holdBreaks: 0, meanAngle: null, drift: null, grade: null
+};
+
+const session = (day, { right = {}, left = {} } = {}) => ({
+  patientId: 'default',
+  startedAt: `2024-03-${String(day).padStart(2, '0')}T09:00:00.000Z`,
+  status: 'complete',
+  mode: 'sequential',
+  sides: { right: right === null ? untested : side(right), left: left === null ? untested : side(left) }
+});
+
+describe('analyzeTrends', () => {
+  it('flags the latest session when it is worse than the baseline', () => {
+    const { right, left } = analyzeTrends([
+      session(1),
+      session(2, { right: { timeToPosition: 3 } }),
+      session(3),
+      session(4, { right: { timeToPosition: 6, drift: 9, meanAngle: 30, grade: 1, completed: false } })
+    ]);
+    assert.deepEqual(right.baseline, { timeToPosition: 2, drift: 2, meanAngle: 45, grade: 0, completed: true });
+    assert.equal(right.worse, true);
+    assert.deepEqual(right.reasons, ['notCompleted', 'grade', 'timeToPosition', 'drift', 'meanAngle']);
+    assert.equal(left.worse, false);
+    assert.deepEqual(left.reasons, []);
+  });
+
+  it('takes the sessions oldest first, whatever order they come in', () => {
+    const sessions = [
+      session(1),
+      session(2),
+      session(3),
+      session(4, { right: { drift: 12 } }),
+      session(5)
+    ];
+    const shuffled = [sessions[4], sessions[1], sessions[3], sessions[0], sessions[2]];
+    const { right } = analyzeTrends(shuffled);
+    assert.deepEqual(right.series.map(point => point.startedAt), sessions.map(entry => entry.startedAt));
+    assert.deepEqual(right.series.map(point => point.sessionIndex), [0, 1, 2, 3, 4]);
+    assert.equal(right.latest.startedAt, sessions[4].startedAt);
+    assert.equal(right.worse, false);
+
+    const reversed = analyzeTrends([sessions[3], ...sessions.slice(0, 3)]);
+    assert.deepEqual(reversed.right.reasons, ['drift']);
+  });
+
+  it('compares without the sessions that never reached position', () => {
+    const { right } = analyzeTrends([
+      session(1, { right: { timeToPosition: null, completed: false } }),
+      session(2),
+      session(3, { right: { timeToPosition: 4 } }),
+      session(4, { right: { timeToPosition: null, completed: false } })
+    ]);
+    assert.equal(right.baseline.timeToPosition, 3);
+    assert.equal(right.baseline.completed, true);
+    assert.deepEqual(right.reasons, ['notCompleted']);
+  });
+
+  it('has no baseline when no baseline session reached position', () => {
+    const never = { timeToPosition: null, completed: false };
+    const { right } = analyzeTrends([
+      session(1, { right: never }),
+      session(2, { right: never }),
+      session(3, { right: never }),
+      session(4, { right: { timeToPosition: 9 } })
+    ]);
+    assert.equal(right.baseline.timeToPosition, null);
+    assert.deepEqual(right.reasons, []);
+  });
+
+  it('charts a single session without judging it', () => {
+    const { right, left } = analyzeTrends([session(1, { left: null })]);
+    assert.equal(right.series.length, 1);
+    assert.equal(right.baseline, null);
+    assert.equal(right.latest, null);
+    assert.equal(right.worse, false);
+    assert.deepEqual(left.series, []);
+  });
+
+  it('waits for a session after the baseline', () => {
+    const { right } = analyzeTrends([session(1), session(2), session(3, { right: { drift: 20 } })]);
+    assert.notEqual(right.baseline, null);
+    assert.equal(right.latest, null);
+    assert.equal(right.worse, false);
+  });
+
+  it('is empty with no sessions', () => {
+    assert.deepEqual(analyzeTrends([]).right, { series: [], baseline: null, latest: null, worse: false, reasons: [] });
+  });
+});
+
+describe('sideSeries', () => {
+  it('skips sessions where the side was not tested, keeping their place', () => {
+    const series = sideSeries([session(1), session(2, { left: null }), session(3)], 'left');
+    assert.deepEqual(series.map(point => point.sessionIndex), [0, 2]);
+  });
+});
+
+describe('computeBaseline', () => {
+  it('takes the median of the earliest sessions', () => {
+    const series = [1, 5, 3, 40].map(drift => side({ drift }));
+    assert.equal(computeBaseline(series).drift, 3);
+    assert.equal(computeBaseline(series, { ...DEFAULT_TREND_OPTIONS, baselineSessions: 2 }).drift, 3);
+  });
+});
@@ -0,0 +1,21 @@
+// Module hooks for running the sources in plain Node, which has no bundler to
+// resolve the extensionless imports ('./assessmentEngine') and, without a package
+// manifest, would load the .js files as CommonJS. See register.mjs.
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import { existsSync } from 'fs';
+
+const ROOT = pathToFileURL(fileURLToPath(new URL('..', import.meta.url))).href;
+
+export const resolve = (specifier, context, nextResolve) => {
+  if (specifier.startsWith('.') && context.parentURL && context.parentURL.startsWith(ROOT) && !/\.m?js$/.test(specifier)) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) => {
+  if (url.startsWith(ROOT) && url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+  return nextLoad(url, context);
+};
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { CAMERA_ERRORS } from '../camera.js';
+import { COMPENSATION_ISSUES } from '../compensation.js';
+import { FINE_MOTOR_TESTS } from '../fineMotor.js';
+import { QUALITY_ISSUES } from '../frameQuality.js';
+import { TREND_METRICS } from '../historyTrends.js';
+import { DEFAULT_LOCALE, MESSAGES, createTranslator, findMissingMessages } from '../messages.js';
+import { ROM_ISSUES, ROM_MOVEMENTS } from '../rangeOfMotion.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+const readSources = () => readdirSync(ROOT)
+  .filter(file => file.endsWith('.js'))
+  .map(file => readFileSync(`${ROOT}${file}`, 'utf8'));
+
+// Keys the components build with template literals, e.g. t(`quality.${issue}`):
+// each family's prefix, the values it is filled with and what follows them
+const SIDES = ['right', 'left'];
+const RHYTHM_TESTS = FINE_MOTOR_TESTS.filter(test => test !== 'targetReach');
+const KEY_FAMILIES = [
+  ['side', SIDES],
+  ['pill', SIDES],
+  ['hand', SIDES],
+  ['handName', SIDES],
+  ['arm', [...SIDES, 'both']],
+  ['grade', [0, 1, 2, 3, 4]],
+  ['quality', QUALITY_ISSUES],
+  ['compensation', COMPENSATION_ISSUES],
+  ['compensationIssue', COMPENSATION_ISSUES],
+  ['romIssue', ROM_ISSUES],
+  ['status.romIssue', ROM_ISSUES],
+  ['rom.movement', ROM_MOVEMENTS],
+  ['status.romFind', ROM_MOVEMENTS],
+  ['status.rom', ROM_MOVEMENTS],
+  ['fineMotor.test', FINE_MOTOR_TESTS],
+  ['fineMotor.banner', FINE_MOTOR_TESTS],
+  ['fineMotor.rate', RHYTHM_TESTS],
+  ['fineMotor.none', RHYTHM_TESTS],
+  ['status', RHYTHM_TESTS],
+  ['speech', RHYTHM_TESTS],
+  ['camera.error', CAMERA_ERRORS, '.title'],
+  ['camera.error', CAMERA_ERRORS, '.help'],
+  ['camera', ['front', 'back', 'external']],
+  ['clinician.phase', ['idle', 'calibrating', 'running', 'complete', 'timedOut']],
+  ['clinician.connection', ['connecting', 'closed']],
+  ['clinician.check', ['detected', 'shoulderTouching', 'correctAngle', 'elbowExtended']],
+  ['history.reason', ['notCompleted', 'grade', 'timeToPosition', 'drift', 'meanAngle']],
+  ['history.metric', TREND_METRICS]
+];
+
+describe('bundled messages', () => {
+  it('has nothing missing in any locale', () => {
+    assert.deepEqual(findMissingMessages(), []);
+  });
+
+  Object.keys(MESSAGES).filter(locale => locale !== DEFAULT_LOCALE).forEach((locale) => {
+    it(`has every key in ${locale}, with the same placeholders`, () => {
+      assert.deepEqual(findMissingMessages({ [DEFAULT_LOCALE]: MESSAGES[DEFAULT_LOCALE], [locale]: MESSAGES[locale] }), []);
+    });
+  });
+
+  it('has every key the components look up by name', () => {
+    const keys = new Set();
+    readSources().forEach((source) => {
+      for (const [, key] of source.matchAll(/\bt\('([\w.]+)'/g)) keys.add(key);
+      // Either key of t(condition ? 'a' : 'b')
+      for (const [, a, b] of source.matchAll(/\bt\([^'`()]*\?\s*'([\w.]+)'\s*:\s*'([\w.]+)'/g)) {
+        keys.add(a);
+        keys.add(b);
+      }
+    });
+    assert.ok(keys.size > 0);
+    assert.deepEqual([...keys].filter(key => MESSAGES[DEFAULT_LOCALE][key] === undefined), []);
+  });
+
+  it('lists every key family the components build', () => {
+    const prefixes = new Set();
+    readSources().forEach((source) => {
+      for (const [, prefix] of source.matchAll(/\bt\(`([\w.]+)\.\$\{/g)) prefixes.add(prefix);
+    });
+    const listed = new Set(KEY_FAMILIES.map(([prefix]) => prefix));
+    assert.ok(prefixes.size > 0);
+    assert.deepEqual([...prefixes].filter(prefix => !listed.has(prefix)), []);
+  });
+
+  Object.keys(MESSAGES).forEach((locale) => {
+    it(`has every key of the built key families in ${locale}`, () => {
+      const keys = KEY_FAMILIES.flatMap(([prefix, values, suffix = '']) => values.map(value => `${prefix}.${value}${suffix}`));
+      assert.deepEqual(keys.filter(key => MESSAGES[locale][key] === undefined), []);
+    });
+  });
+});
+
+describe('findMissingMessages', () => {
+  const reference = { greeting: 'Hello {name}', farewell: 'Bye' };
+
+  it('reports missing keys, different placeholders and unknown keys', () => {
+    const bundles = { en: reference, fr: { greeting: 'Bonjour', extra: 'En plus' } };
+    assert.deepEqual(findMissingMessages(bundles, 'en'), [
+      'fr: "greeting" uses no placeholders, expected {name}',
+      'fr: missing "farewell"',
+      'fr: unknown key "extra"'
+    ]);
+  });
+
+  it('compares the placeholders of every plural form', () => {
+    const bundles = {
+      en: { items: { one: '{count} item', other: '{count} items' } },
+      es: { items: { one: '{count} elemento', other: '{total} elementos' } }
+    };
+    assert.deepEqual(findMissingMessages(bundles, 'en'), ['es: "items" uses {count},{total}, expected {count}']);
+  });
+});
+
+describe('createTranslator', () => {
+  it('fills in placeholders', () => {
+    const t = createTranslator('en');
+    assert.equal(t('timer.remaining', { seconds: 12 }), 'Time Remaining: 12s');
+  });
+
+  it('falls back to the default locale for an unknown one', () => {
+    assert.equal(createTranslator('xx')('result.continue'), MESSAGES[DEFAULT_LOCALE]['result.continue']);
+  });
+});
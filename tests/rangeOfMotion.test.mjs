@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { outwardDirection } from '../coordinates.js';
+import { armRaise, createRomProtocol, createRomState, measureRaise, pointAtRaise, romReducer } from '../rangeOfMotion.js';
+
+// A patient facing a 640x480 camera with arms 150 px long. The right arm is raised
+// to an angle from hanging, out to the side or, with across set, across the body,
+// and the right shoulder is raised by hike px.
+const ARM = 150;
+const shoulders = mirrored => (mirrored
+  ? { left: { x: 260, y: 300, score: 0.9 }, right: { x: 380, y: 300, score: 0.9 } }
+  : { left: { x: 380, y: 300, score: 0.9 }, right: { x: 260, y: 300, score: 0.9 } });
+const hips = mirrored => (mirrored
+  ? { left: { x: 270, y: 450, score: 0.9 }, right: { x: 370, y: 450, score: 0.9 } }
+  : { left: { x: 370, y: 450, score: 0.9 }, right: { x: 270, y: 450, score: 0.9 } });
+
+const frame = (timestamp, angle, { mirrored = true, across = false, hike = 0 } = {}) => {
+  const shoulder = { ...shoulders(mirrored).right, y: 300 - hike };
+  const direction = outwardDirection('right', mirrored) * (across ? -1 : 1);
+  const wrist = pointAtRaise(shoulder, angle, ARM, direction);
+  return {
+    type: 'frame',
+    timestamp,
+    videoWidth: 640,
+    videoHeight: 480,
+    mirrored,
+    shoulders: { ...shoulders(mirrored), right: shoulder },
+    hips: hips(mirrored),
+    elbows: { left: null, right: { x: (shoulder.x + wrist.x) / 2, y: (shoulder.y + wrist.y) / 2, score: 0.9 } },
+    wrists: { left: null, right: { ...wrist, score: 0.9 } }
+  };
+};
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+describe('armRaise', () => {
+  const shoulder = { x: 300, y: 300 };
+
+  it('measures from hanging down toward the given side', () => {
+    near(armRaise(shoulder, { x: 300, y: 450 }, 1), 0);
+    near(armRaise(shoulder, { x: 450, y: 300 }, 1), 90);
+    near(armRaise(shoulder, { x: 300, y: 150 }, 1), 180);
+    near(armRaise(shoulder, { x: 150, y: 300 }, -1), 90);
+  });
+
+  it('goes below 0 or past 180 for an arm on the other side', () => {
+    near(armRaise(shoulder, { x: 150, y: 300 }, 1), 270);
+    assert.ok(armRaise(shoulder, { x: 290, y: 450 }, 1) < 0);
+  });
+
+  it('matches pointAtRaise', () => {
+    [-1, 1].forEach(direction => [0, 45, 90, 135, 180].forEach((angle) => {
+      near(armRaise(shoulder, pointAtRaise(shoulder, angle, ARM, direction), direction), angle);
+    }));
+  });
+});
+
+describe('measureRaise', () => {
+  const protocol = createRomProtocol();
+
+  [true, false].forEach((mirrored) => {
+    it(`measures abduction outward from the body ${mirrored ? 'in a mirrored' : 'in an unmirrored'} view`, () => {
+      const measurement = measureRaise('abduction', 'right', frame(0, 120, { mirrored }), protocol);
+      near(measurement.angle, 120);
+      assert.deepEqual(measurement.issues, []);
+    });
+
+    it(`flags abduction across the body ${mirrored ? 'in a mirrored' : 'in an unmirrored'} view`, () => {
+      const measurement = measureRaise('abduction', 'right', frame(0, 150, { mirrored, across: true }), protocol);
+      assert.deepEqual(measurement.issues, ['crossBody']);
+      assert.equal(measurement.angle, 180);
+    });
+  });
+
+  it('lets an arm hang or reach overhead a little across the body', () => {
+    const hanging = measureRaise('abduction', 'right', frame(0, 10, { across: true }), protocol);
+    assert.deepEqual(hanging.issues, []);
+    assert.equal(hanging.angle, 0);
+    const overhead = measureRaise('abduction', 'right', frame(0, 170, { across: true }), protocol);
+    assert.deepEqual(overhead.issues, []);
+    assert.equal(overhead.angle, 180);
+  });
+
+  it('flags a hiked shoulder up to 90° of abduction but not past it', () => {
+    assert.deepEqual(measureRaise('abduction', 'right', frame(0, 60, { hike: 30 }), protocol).issues, ['shoulderHike']);
+    assert.deepEqual(measureRaise('abduction', 'right', frame(0, 150, { hike: 30 }), protocol).issues, []);
+  });
+
+  it('measures flexion forward and back alike', () => {
+    near(measureRaise('flexion', 'right', frame(0, 100), protocol).angle, 100);
+    near(measureRaise('flexion', 'right', frame(0, 100, { across: true }), protocol).angle, 100);
+  });
+});
+
+describe('romReducer', () => {
+  const protocol = createRomProtocol({ movements: ['abduction'], sideOrder: ['right'] });
+  const run = (frames) => frames.reduce(romReducer, romReducer(createRomState(protocol), { type: 'start', timestamp: 0 }));
+
+  [true, false].forEach((mirrored) => {
+    it(`leaves frames across the body out of the range ${mirrored ? 'in a mirrored' : 'in an unmirrored'} view`, () => {
+      const state = run([
+        frame(0, 0, { mirrored }),
+        frame(1000, 120, { mirrored }),
+        frame(2000, 150, { mirrored, across: true }),
+        frame(8000, 0, { mirrored })
+      ]);
+      assert.equal(state.phase, 'done');
+      const { right } = state.result.abduction;
+      near(right.maxAngle, 120);
+      near(right.peakAngle, 120);
+      assert.equal(right.compensated, false);
+      assert.equal(right.limited, true);
+    });
+  });
+
+  it('takes a full abduction with the shoulder rising naturally as active range', () => {
+    const state = run([
+      frame(0, 0),
+      frame(1000, 90),
+      frame(2000, 130, { hike: 15 }),
+      frame(3000, 170, { hike: 30 }),
+      frame(8000, 0)
+    ]);
+    const { right } = state.result.abduction;
+    near(right.maxAngle, 170);
+    near(right.peakAngle, 170);
+    assert.equal(right.compensated, false);
+    assert.equal(right.limited, false);
+  });
+
+  it('shows the cross-body issue while it lasts', () => {
+    const state = run([frame(0, 0), frame(1000, 150, { across: true })]);
+    assert.deepEqual(state.measurement.issues, ['crossBody']);
+    assert.equal(state.step.maxAngle, 0);
+  });
+});
@@ -0,0 +1,10 @@
+// Run the tests with Node's own runner, no install needed (Node 20.6 or later):
+//
+//   node --import ./tests/register.mjs --test
+//
+// The headless modules (engine, coordinates, exporters, remote channel, messages)
+// are tested directly; anything that needs React, TensorFlow.js or a browser isn't.
+
+import { register } from 'module';
+
+register('./hooks.mjs', import.meta.url);
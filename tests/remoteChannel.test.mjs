@@ -0,0 +1,300 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessmentReducer, createAssessmentState, createProtocol } from '../assessmentEngine.js';
+import { createRemoteChannel, createRemoteView, remoteViewReducer, toRemoteStatus } from '../remoteChannel.js';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// In-memory stand-in for relayServer.js: sockets in the same session reach the
+// other role, and both sides hear when the other one connects or leaves. Sockets
+// stay connecting until accepted.
+const createFakeRelay = () => {
+  const sockets = [];
+  const deliver = (socket, message) => socket.onmessage({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+  const peersOf = socket => sockets.filter(other => other.readyState === OPEN &&
+    other.session === socket.session && other.role !== socket.role);
+
+  const drop = (socket) => {
+    if (socket.readyState === CLOSED) return;
+    socket.readyState = CLOSED;
+    peersOf(socket).forEach(peer => deliver(peer, { type: 'peer', role: socket.role, connected: false }));
+    socket.onclose();
+  };
+
+  const createSocket = (url) => {
+    const params = new URL(url).searchParams;
+    const socket = {
+      url,
+      session: params.get('session'),
+      role: params.get('role'),
+      readyState: CONNECTING,
+      sent: [],
+      send: (data) => {
+        socket.sent.push(JSON.parse(data));
+        peersOf(socket).forEach(peer => deliver(peer, data));
+      },
+      close: () => drop(socket)
+    };
+    sockets.push(socket);
+    return socket;
+  };
+
+  const accept = (socket) => {
+    socket.readyState = OPEN;
+    socket.onopen();
+    const peers = peersOf(socket);
+    peers.forEach(peer => deliver(peer, { type: 'peer', role: socket.role, connected: true }));
+    if (peers.length > 0) deliver(socket, { type: 'peer', role: peers[0].role, connected: true });
+  };
+
+  const latest = role => sockets.filter(socket => socket.role === role).pop();
+
+  return { sockets, createSocket, accept, drop, deliver, latest };
+};
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+afterEach(() => mock.timers.reset());
+
+describe('createRemoteChannel', () => {
+  const open = (relay, options = {}) => {
+    const received = [];
+    const statuses = [];
+    const channel = createRemoteChannel({
+      url: 'wss://relay.example/ws',
+      sessionId: 'ward 7',
+      role: 'clinician',
+      onMessage: message => received.push(message),
+      onStatus: status => statuses.push(status),
+      createSocket: relay.createSocket,
+      ...options
+    });
+    return { channel, received, statuses };
+  };
+
+  it('rejects an unknown role', () => {
+    assert.throws(() => open(createFakeRelay(), { role: 'nurse' }), /Unknown remote role: nurse/);
+  });
+
+  it('connects with the session and role in the URL', () => {
+    const relay = createFakeRelay();
+    const { statuses } = open(relay);
+    assert.equal(relay.sockets.length, 1);
+    assert.equal(relay.sockets[0].url, 'wss://relay.example/ws?session=ward%207&role=clinician');
+    assert.deepEqual(statuses, ['connecting']);
+
+    relay.accept(relay.sockets[0]);
+    assert.deepEqual(statuses, ['connecting', 'open']);
+  });
+
+  it('only sends once the socket is open', () => {
+    const relay = createFakeRelay();
+    const { channel } = open(relay);
+    assert.equal(channel.send({ type: 'command', command: 'start' }), false);
+
+    relay.accept(relay.sockets[0]);
+    assert.equal(channel.send({ type: 'command', command: 'start' }), true);
+    assert.deepEqual(relay.sockets[0].sent, [{ type: 'command', command: 'start' }]);
+  });
+
+  it('passes on typed messages and ignores anything else', () => {
+    const relay = createFakeRelay();
+    const { received } = open(relay);
+    const [socket] = relay.sockets;
+    relay.accept(socket);
+    relay.deliver(socket, 'not json');
+    relay.deliver(socket, { command: 'start' });
+    relay.deliver(socket, 'null');
+    relay.deliver(socket, { type: 'peer', role: 'patient', connected: true });
+    assert.deepEqual(received, [{ type: 'peer', role: 'patient', connected: true }]);
+  });
+
+  it('reconnects after the connection drops', () => {
+    const relay = createFakeRelay();
+    const { channel, statuses } = open(relay, { reconnectDelay: 500 });
+    relay.accept(relay.sockets[0]);
+    relay.drop(relay.sockets[0]);
+    assert.deepEqual(statuses, ['connecting', 'open', 'closed']);
+    assert.equal(channel.send({ type: 'command', command: 'reset' }), false);
+
+    mock.timers.tick(499);
+    assert.equal(relay.sockets.length, 1);
+    mock.timers.tick(1);
+    assert.equal(relay.sockets.length, 2);
+    assert.deepEqual(statuses, ['connecting', 'open', 'closed', 'connecting']);
+
+    relay.accept(relay.sockets[1]);
+    assert.equal(channel.send({ type: 'command', command: 'reset' }), true);
+    assert.deepEqual(relay.sockets[1].sent, [{ type: 'command', command: 'reset' }]);
+  });
+
+  it('stops reconnecting once closed', () => {
+    const relay = createFakeRelay();
+    const { channel, statuses } = open(relay);
+    relay.accept(relay.sockets[0]);
+    channel.close();
+    mock.timers.tick(10000);
+    assert.equal(relay.sockets.length, 1);
+    assert.equal(relay.sockets[0].readyState, CLOSED);
+    assert.deepEqual(statuses, ['connecting', 'open', 'closed']);
+  });
+
+  it('cancels a pending reconnect when closed', () => {
+    const relay = createFakeRelay();
+    const { channel } = open(relay);
+    relay.drop(relay.sockets[0]);
+    channel.close();
+    mock.timers.tick(10000);
+    assert.equal(relay.sockets.length, 1);
+  });
+});
+
+describe('remoteViewReducer', () => {
+  const protocol = createProtocol({ calibrate: false });
+  const started = assessmentReducer(createAssessmentState(protocol), { type: 'start', timestamp: 1000 });
+
+  it('takes the whole engine state from a sync', () => {
+    const view = remoteViewReducer(createRemoteView(), { type: 'sync', state: started, status: toRemoteStatus(started) });
+    assert.equal(view.engine, started);
+    assert.deepEqual(view.status, toRemoteStatus(started));
+    assert.equal(view.frame, null);
+  });
+
+  it('runs events through its copy of the engine and keeps the latest frame', () => {
+    const frame = {
+      type: 'frame',
+      timestamp: 2000,
+      videoWidth: 640,
+      videoHeight: 480,
+      mirrored: true,
+      shoulders: { left: null, right: null },
+      wrists: { left: null, right: null }
+    };
+    const synced = remoteViewReducer(createRemoteView(), { type: 'sync', state: started, status: null });
+    const afterFrame = remoteViewReducer(synced, { type: 'event', event: frame, status: null });
+    assert.equal(afterFrame.frame, frame);
+    assert.deepEqual(afterFrame.engine, assessmentReducer(started, frame));
+
+    const tick = { type: 'tick', timestamp: 31000 };
+    const status = toRemoteStatus(assessmentReducer(afterFrame.engine, tick));
+    const afterTick = remoteViewReducer(afterFrame, { type: 'event', event: tick, status });
+    assert.equal(afterTick.frame, frame);
+    assert.equal(afterTick.engine.timeLeft, 30);
+    assert.deepEqual(afterTick.status, status);
+  });
+
+  it('tracks whether the patient is connected', () => {
+    const joined = remoteViewReducer(createRemoteView(), { type: 'peer', role: 'patient', connected: true });
+    assert.equal(joined.patientConnected, true);
+    assert.equal(remoteViewReducer(joined, { type: 'peer', role: 'clinician', connected: false }), joined);
+    assert.equal(remoteViewReducer(joined, { type: 'peer', role: 'patient', connected: false }).patientConnected, false);
+  });
+
+  it('ignores messages it does not know', () => {
+    const view = createRemoteView();
+    assert.equal(remoteViewReducer(view, { type: 'command', command: 'start' }), view);
+  });
+});
+
+describe('patient and clinician over the relay', () => {
+  // The patient side as HandRaiseDetection runs it: every event goes to the local
+  // engine and out to the clinician, and a clinician who connects gets a sync
+  const createPatient = (relay) => {
+    const patient = { engine: createAssessmentState(createProtocol({ calibrate: false })), commands: [] };
+    patient.channel = createRemoteChannel({
+      url: 'ws://localhost:8787',
+      sessionId: 'abc',
+      role: 'patient',
+      createSocket: relay.createSocket,
+      onMessage: (message) => {
+        if (message.type === 'peer' && message.role === 'clinician' && message.connected) {
+          patient.channel.send({ type: 'sync', state: patient.engine, status: toRemoteStatus(patient.engine) });
+        }
+        if (message.type === 'command') patient.commands.push(message.command);
+      }
+    });
+    patient.dispatch = (event) => {
+      patient.engine = assessmentReducer(patient.engine, event);
+      patient.channel.send({ type: 'event', event, status: toRemoteStatus(patient.engine) });
+    };
+    return patient;
+  };
+
+  const createClinician = (relay) => {
+    const clinician = { view: createRemoteView() };
+    clinician.channel = createRemoteChannel({
+      url: 'ws://localhost:8787',
+      sessionId: 'abc',
+      role: 'clinician',
+      createSocket: relay.createSocket,
+      onMessage: (message) => {
+        clinician.view = remoteViewReducer(clinician.view, message);
+      }
+    });
+    return clinician;
+  };
+
+  // The clinician's engine went through JSON, so compare it to a JSON copy
+  const assertInSync = (patient, clinician) => {
+    assert.deepEqual(clinician.view.engine, JSON.parse(JSON.stringify(patient.engine)));
+    assert.deepEqual(clinician.view.status, toRemoteStatus(patient.engine));
+  };
+
+  it('syncs a clinician who joins mid-run and follows the events after that', () => {
+    const relay = createFakeRelay();
+    const patient = createPatient(relay);
+    relay.accept(relay.latest('patient'));
+    patient.dispatch({ type: 'start', timestamp: 1000 });
+    patient.dispatch({ type: 'tick', timestamp: 5000 });
+
+    const clinician = createClinician(relay);
+    relay.accept(relay.latest('clinician'));
+    assert.equal(clinician.view.patientConnected, true);
+    assertInSync(patient, clinician);
+
+    patient.dispatch({ type: 'tick', timestamp: 9000 });
+    patient.dispatch({ type: 'switchSide', timestamp: 9500 });
+    assertInSync(patient, clinician);
+    assert.equal(clinician.view.engine.currentSide, 'left');
+
+    clinician.channel.send({ type: 'command', command: 'reset' });
+    assert.deepEqual(patient.commands, ['reset']);
+  });
+
+  it('syncs the clinician again after their connection drops and comes back', () => {
+    const relay = createFakeRelay();
+    const patient = createPatient(relay);
+    relay.accept(relay.latest('patient'));
+    const clinician = createClinician(relay);
+    relay.accept(relay.latest('clinician'));
+    patient.dispatch({ type: 'start', timestamp: 1000 });
+
+    // Events sent while the clinician is away are missed
+    relay.drop(relay.latest('clinician'));
+    patient.dispatch({ type: 'tick', timestamp: 20000 });
+    patient.dispatch({ type: 'switchSide', timestamp: 21000 });
+    assert.equal(clinician.view.engine.currentSide, 'right');
+
+    mock.timers.tick(2000);
+    relay.accept(relay.latest('clinician'));
+    assertInSync(patient, clinician);
+    assert.equal(clinician.view.engine.currentSide, 'left');
+  });
+
+  it('shows the patient leaving and coming back', () => {
+    const relay = createFakeRelay();
+    createPatient(relay);
+    relay.accept(relay.latest('patient'));
+    const clinician = createClinician(relay);
+    relay.accept(relay.latest('clinician'));
+    assert.equal(clinician.view.patientConnected, true);
+
+    relay.drop(relay.latest('patient'));
+    assert.equal(clinician.view.patientConnected, false);
+
+    mock.timers.tick(2000);
+    relay.accept(relay.latest('patient'));
+    assert.equal(clinician.view.patientConnected, true);
+  });
+});
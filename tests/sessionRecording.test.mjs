@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { assessmentReducer, createAssessmentState, createProtocol, getAssessmentResult } from '../assessmentEngine.js';
+import { pointAtElevation } from '../coordinates.js';
+import { buildFrame } from '../frames.js';
+import {
+  RECORDING_VERSION,
+  createSessionRecorder,
+  parseSessionRecording,
+  replaySession,
+  toEngineEvent
+} from '../sessionRecording.js';
+
+// Raw pose detections of a patient facing a 640x480 camera, in the unmirrored
+// model space the detectors see, with arms 150 px long given as elevations
+// (-90 hanging, 45 target). Wrists come from the pose model.
+const ARM = 150;
+const SHOULDERS = { left: { x: 380, y: 300 }, right: { x: 260, y: 300 } };
+const HANGING = -90;
+
+const detections = (timestamp, { left = HANGING, right = HANGING } = {}) => {
+  const keypoints = [{ name: 'nose', x: 320, y: 200, score: 0.9 }];
+  Object.entries({ left, right }).forEach(([side, elevation]) => {
+    const shoulder = SHOULDERS[side];
+    const wrist = pointAtElevation(shoulder, elevation, ARM, side, false);
+    keypoints.push(
+      { name: `${side}_shoulder`, ...shoulder, score: 0.9 },
+      { name: `${side}_elbow`, x: (shoulder.x + wrist.x) / 2, y: (shoulder.y + wrist.y) / 2, score: 0.9 },
+      { name: `${side}_wrist`, ...wrist, score: 0.9 },
+      { name: `${side}_hip`, x: shoulder.x + (side === 'left' ? -10 : 10), y: 450, score: 0.9 }
+    );
+  });
+  return {
+    timestamp,
+    videoWidth: 640,
+    videoHeight: 480,
+    brightness: 120,
+    poses: [{ score: 0.8, keypoints: keypoints.map(keypoint => ({ ...keypoint, z: 0 })), keypoints3D: [] }],
+    hands: []
+  };
+};
+
+// A run as HandRaiseDetection drives it, recorded along the way: calibration at
+// rest, a right arm that comes up and drops, a switch to the left side with a gap
+// in the video, and a left arm held for the full time. Returns the live engine
+// state and the recording.
+const recordRun = () => {
+  const protocol = createProtocol();
+  const recorder = createSessionRecorder();
+  let state = assessmentReducer(createAssessmentState(protocol), { type: 'start', timestamp: 0 });
+  recorder.start(0, protocol, 'pose', true);
+
+  const addFrames = (from, to, arms) => {
+    for (let t = from; t <= to; t += 100) {
+      const raw = detections(t, arms);
+      state = assessmentReducer(state, buildFrame(raw, 'pose', true));
+      recorder.addFrame(raw);
+    }
+  };
+  addFrames(0, 3000);
+  addFrames(3100, 4000, { right: 45 });
+  addFrames(4100, 5000, { right: 0 });
+  state = assessmentReducer(state, { type: 'switchSide', timestamp: 5500 });
+  recorder.addSideSwitch(5500);
+  [6000, 7000].forEach((t) => {
+    state = assessmentReducer(state, { type: 'tick', timestamp: t });
+    recorder.addTick(t);
+  });
+  addFrames(8000, 18000, { left: 45 });
+  return { state, recording: recorder.stop(state.endedAt) };
+};
+
+describe('session recording', () => {
+  it('replays to the same result as the live run', () => {
+    const { state, recording } = recordRun();
+    assert.equal(state.phase, 'complete');
+
+    const replayed = replaySession(parseSessionRecording(JSON.stringify(recording)));
+    assert.deepEqual(getAssessmentResult(replayed), getAssessmentResult(state));
+    assert.deepEqual(replayed.sides, state.sides);
+  });
+
+  it('keeps only what buildFrame needs from the detections', () => {
+    const { recording } = recordRun();
+    const [first] = recording.frames;
+    assert.deepEqual(Object.keys(first.poses[0]), ['score', 'keypoints']);
+    assert.deepEqual(first.poses[0].keypoints[0], { x: 320, y: 200, score: 0.9, name: 'nose' });
+  });
+
+  it('records nothing before start', () => {
+    const recorder = createSessionRecorder();
+    recorder.addFrame(detections(0));
+    recorder.addTick(100);
+    assert.equal(recorder.stop(200), null);
+  });
+});
+
+describe('toEngineEvent', () => {
+  it('turns recorded ticks and side switches back into engine events', () => {
+    assert.deepEqual(toEngineEvent({ timestamp: 100 }), { type: 'tick', timestamp: 100 });
+    assert.deepEqual(toEngineEvent({ timestamp: 200, event: 'switchSide' }), { type: 'switchSide', timestamp: 200 });
+  });
+
+  it('applies the display transform the recording was made with', () => {
+    const raw = detections(100);
+    assert.equal(toEngineEvent(raw, { armSource: 'pose', mirrored: true }).shoulders.right.x, 380);
+    assert.equal(toEngineEvent(raw, { armSource: 'pose', mirrored: false }).shoulders.right.x, 260);
+  });
+});
+
+describe('parseSessionRecording', () => {
+  const valid = () => ({ version: RECORDING_VERSION, startedAt: 0, endedAt: 100, frames: [{ timestamp: 100 }] });
+
+  it('accepts JSON text or an object', () => {
+    assert.deepEqual(parseSessionRecording(JSON.stringify(valid())), valid());
+    assert.deepEqual(parseSessionRecording(valid()), valid());
+  });
+
+  it('rejects text that is not JSON', () => {
+    assert.throws(() => parseSessionRecording('not json'), SyntaxError);
+  });
+
+  it('rejects anything but an object', () => {
+    assert.throws(() => parseSessionRecording('null'), /Recording must be a JSON object/);
+    assert.throws(() => parseSessionRecording('42'), /Recording must be a JSON object/);
+  });
+
+  it('rejects another recording version', () => {
+    assert.throws(() => parseSessionRecording({ ...valid(), version: RECORDING_VERSION + 1 }),
+      new RegExp(`Unsupported recording version: ${RECORDING_VERSION + 1}`));
+    assert.throws(() => parseSessionRecording({ ...valid(), version: undefined }), /Unsupported recording version/);
+  });
+
+  it('rejects a recording without startedAt or frames', () => {
+    assert.throws(() => parseSessionRecording({ ...valid(), startedAt: '0' }), /missing startedAt or frames/);
+    assert.throws(() => parseSessionRecording({ ...valid(), frames: {} }), /missing startedAt or frames/);
+  });
+
+  it('rejects malformed frames', () => {
+    assert.throws(() => parseSessionRecording({ ...valid(), frames: [{ timestamp: 0 }, {}] }),
+      /Recording frame 1 has no timestamp/);
+    assert.throws(() => parseSessionRecording({ ...valid(), frames: [{ timestamp: 0, poses: [], hands: null }] }),
+      /Recording frame 0 has malformed detections/);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeStability, recentStabilityScore } from '../stability.js';
+
+// A held wrist sampled at 30 fps with shoulders 120 px apart. It sits at (400, 250)
+// and shakes sideways at a frequency (Hz) with an amplitude in shoulder widths.
+const RATE = 30;
+const SCALE = 120;
+
+const hold = (count, { frequency = 0, amplitude = 0, from = 0 } = {}) => Array.from({ length: count }, (_, i) => {
+  const t = from + (i * 1000) / RATE;
+  return {
+    t,
+    holding: true,
+    wrist: { x: 400 + amplitude * SCALE * Math.sin(2 * Math.PI * frequency * (t / 1000)), y: 250 },
+    fingertip: null,
+    scale: SCALE
+  };
+});
+
+const within = (actual, expected, tolerance) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+describe('analyzeStability', () => {
+  it('finds a tremor at its frequency, with its size', () => {
+    const result = analyzeStability(hold(120, { frequency: 5, amplitude: 0.02 }));
+    within(result.dominantFrequency, 5, 0.3);
+    assert.equal(result.tremor, true);
+    // RMS of a sine is its amplitude over root 2
+    within(result.jitter, 0.02 / Math.SQRT2, 0.002);
+    assert.ok(result.score < 50);
+    assert.equal(result.point, 'wrist');
+  });
+
+  it('scores a perfectly still arm as stable', () => {
+    const result = analyzeStability(hold(60));
+    assert.equal(result.score, 100);
+    within(result.jitter, 0, 1e-9);
+    assert.equal(result.pathLength, 0);
+    assert.equal(result.tremor, false);
+  });
+
+  it('does not flag a shake too small to matter', () => {
+    const result = analyzeStability(hold(120, { frequency: 5, amplitude: 0.002 }));
+    assert.equal(result.tremor, false);
+    assert.ok(result.score > 80);
+  });
+
+  it('tracks the fingertip when it was seen throughout the hold', () => {
+    const samples = hold(60).map(sample => ({ ...sample, fingertip: { x: 410, y: 200 } }));
+    assert.equal(analyzeStability(samples).point, 'fingertip');
+  });
+
+  it('analyzes only the longest unbroken hold', () => {
+    const samples = [...hold(20, { frequency: 5, amplitude: 0.02 }), { t: 700, holding: false, wrist: null }, ...hold(40, { from: 800 })];
+    within(analyzeStability(samples).jitter, 0, 1e-9);
+  });
+
+  it('returns null rather than NaN without enough to go on', () => {
+    assert.equal(analyzeStability([]), null);
+    assert.equal(analyzeStability(hold(15)), null);
+    assert.equal(analyzeStability(hold(60).map(sample => ({ ...sample, holding: false }))), null);
+    assert.equal(analyzeStability(hold(60).map(sample => ({ ...sample, scale: null }))), null);
+    assert.equal(analyzeStability(hold(60).map(sample => ({ ...sample, t: 0 }))), null);
+  });
+});
+
+describe('recentStabilityScore', () => {
+  it('scores only the last few seconds', () => {
+    const samples = [...hold(90, { frequency: 5, amplitude: 0.02 }), ...hold(60, { from: 3000 })];
+    assert.equal(recentStabilityScore(samples), 100);
+    assert.ok(recentStabilityScore(samples, 5) < 100);
+  });
+
+  it('is null with no samples or too few recent ones', () => {
+    assert.equal(recentStabilityScore([]), null);
+    assert.equal(recentStabilityScore(hold(7)), null);
+  });
+});
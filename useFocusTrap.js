@@ -0,0 +1,41 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Keep keyboard focus inside a modal dialog while it is open, and hand it back to
+// whatever had it once the dialog closes. Tab is caught on the document so focus
+// that somehow ended up behind the dialog is pulled back in.
+export const useFocusTrap = (ref, active) => {
+  useEffect(() => {
+    if (!active || !ref.current) return undefined;
+    const dialog = ref.current;
+    const previous = document.activeElement;
+    const focusable = () => Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(element => !element.disabled);
+
+    (focusable()[0] || dialog).focus();
+
+    const onKeyDown = (event) => {
+      if (event.key !== 'Tab') return;
+      const elements = focusable();
+      if (elements.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (event.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('keydown', onKeyDown);
+      if (previous && previous.focus) previous.focus();
+    };
+  }, [ref, active]);
+};
@@ -0,0 +1,75 @@
+// Detector provider that runs the TensorFlow.js models in a Web Worker
+// (detectionWorker.js), so inference doesn't block rendering or the UI. Each
+// video frame is copied into an ImageBitmap and transferred to the worker; the
+// raw predictions come back in the same { poses, hands } shape as
+// createTfjsDetector, so the rest of the pipeline is unchanged.
+
+// Workers need OffscreenCanvas for the WebGL backend; without it the models run
+// on the main thread instead (see createTfjsDetector)
+export const isWorkerInferenceSupported = () => typeof Worker !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+const startWorker = () => new Worker(new URL('./detectionWorker.js', import.meta.url), { type: 'module' });
+
+// Options are the createTfjsDetector options; createWorker builds the worker
+export const createWorkerDetector = ({
+  poseModel = 'movenet-thunder',
+  backends,
+  trackHands = true,
+  trackFace = false,
+  createWorker = startWorker
+} = {}) => {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  // Send a request and wait for its reply
+  const call = (type, payload = {}, transfer = []) => new Promise((resolve, reject) => {
+    if (!worker) {
+      reject(new Error('The detection worker is not running'));
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, type, ...payload }, transfer);
+  });
+
+  const estimateFrame = async (type, video) => {
+    const bitmap = await createImageBitmap(video);
+    return call(type, { bitmap }, [bitmap]);
+  };
+
+  const provider = {
+    name: poseModel,
+    backend: null,
+    load: async () => {
+      worker = createWorker();
+      worker.onmessage = ({ data }) => {
+        const request = pending.get(data.id);
+        if (!request) return;
+        pending.delete(data.id);
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.result);
+      };
+      worker.onerror = (event) => {
+        rejectAll(new Error(event.message || 'The detection worker failed'));
+      };
+      const { backend } = await call('load', { options: { poseModel, backends, trackHands, trackFace } });
+      provider.backend = backend;
+    },
+    estimate: video => estimateFrame('estimate', video),
+    estimateFaces: video => estimateFrame('estimateFaces', video),
+    dispose: () => {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+      rejectAll(new Error('The detection worker was stopped'));
+    }
+  };
+  return provider;
+};